@@ -0,0 +1,534 @@
+const zlib = require('zlib');
+const { crc32 } = require('./zip');
+
+/**
+ * 动图编码：将若干 PNG 帧合成为 GIF 或 APNG
+ *
+ * 帧先解码为 RGBA 像素，尺寸不一致时按边缘像素延伸到最大尺寸；
+ * 除首帧外每帧只编码与上一帧不同的矩形区域（其余部分保留上一帧画面），
+ * 与上一帧完全相同的帧并入上一帧的停留时间
+ */
+
+// 支持的动图格式及对应的 Content-Type
+const ANIMATION_FORMATS = {
+    gif: 'image/gif',
+    apng: 'image/apng'
+};
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// PNG 颜色类型 -> 每像素通道数（仅支持 8 位深度）
+const PNG_CHANNELS = { 0: 1, 2: 3, 4: 2, 6: 4 };
+
+// GIF 每帧最多 256 色
+const GIF_MAX_COLORS = 256;
+
+// ============ PNG 解码 ============
+
+function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    return pb <= pc ? b : c;
+}
+
+/**
+ * 解码 PNG（8 位深度、非隔行，Chromium 截图均满足）
+ * @param {Buffer} buffer
+ * @returns {{ width: number, height: number, pixels: Uint32Array }} 每像素一个 RGBA 值（小端）
+ */
+function decodePng(buffer) {
+    if (!buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+        throw new Error('Frame is not a PNG image');
+    }
+
+    let header = null;
+    const chunks = [];
+    let offset = 8;
+    while (offset + 8 <= buffer.length) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('latin1', offset + 4, offset + 8);
+        const data = buffer.subarray(offset + 8, offset + 8 + length);
+        offset += length + 12;
+
+        if (type === 'IHDR') {
+            header = {
+                width: data.readUInt32BE(0),
+                height: data.readUInt32BE(4),
+                bitDepth: data[8],
+                colorType: data[9],
+                interlace: data[12]
+            };
+        } else if (type === 'IDAT') {
+            chunks.push(data);
+        } else if (type === 'IEND') {
+            break;
+        }
+    }
+
+    if (!header || header.bitDepth !== 8 || header.interlace !== 0 || !PNG_CHANNELS[header.colorType]) {
+        throw new Error('Unsupported PNG frame');
+    }
+
+    const { width, height, colorType } = header;
+    const channels = PNG_CHANNELS[colorType];
+    const stride = width * channels;
+    const raw = zlib.inflateSync(Buffer.concat(chunks));
+    const data = new Uint8Array(stride * height);
+
+    // 逆滤波
+    for (let y = 0; y < height; y++) {
+        const filter = raw[y * (stride + 1)];
+        const src = y * (stride + 1) + 1;
+        const row = y * stride;
+        const prev = row - stride;
+        for (let i = 0; i < stride; i++) {
+            const x = raw[src + i];
+            const a = i >= channels ? data[row + i - channels] : 0;
+            const b = y > 0 ? data[prev + i] : 0;
+            let value;
+            switch (filter) {
+                case 0: value = x; break;
+                case 1: value = x + a; break;
+                case 2: value = x + b; break;
+                case 3: value = x + ((a + b) >> 1); break;
+                case 4: value = x + paeth(a, b, y > 0 && i >= channels ? data[prev + i - channels] : 0); break;
+                default: throw new Error(`Unsupported PNG filter: ${filter}`);
+            }
+            data[row + i] = value & 0xff;
+        }
+    }
+
+    // 统一转换为 RGBA
+    const pixels = new Uint32Array(width * height);
+    for (let p = 0, i = 0; p < pixels.length; p++, i += channels) {
+        let r;
+        let g;
+        let b;
+        let alpha = 255;
+        if (channels >= 3) {
+            r = data[i];
+            g = data[i + 1];
+            b = data[i + 2];
+            if (channels === 4) alpha = data[i + 3];
+        } else {
+            r = g = b = data[i];
+            if (channels === 2) alpha = data[i + 1];
+        }
+        pixels[p] = (r | (g << 8) | (b << 16) | (alpha << 24)) >>> 0;
+    }
+
+    return { width, height, pixels };
+}
+
+/**
+ * 扩展到指定尺寸，超出部分取最近的边缘像素
+ */
+function extendFrame(frame, width, height) {
+    if (frame.width === width && frame.height === height) {
+        return frame.pixels;
+    }
+    const pixels = new Uint32Array(width * height);
+    for (let y = 0; y < height; y++) {
+        const srcRow = Math.min(y, frame.height - 1) * frame.width;
+        for (let x = 0; x < width; x++) {
+            pixels[y * width + x] = frame.pixels[srcRow + Math.min(x, frame.width - 1)];
+        }
+    }
+    return pixels;
+}
+
+/**
+ * 与上一帧不同的矩形区域，完全相同时返回 null
+ */
+function diffRect(prev, next, width, height) {
+    let top = -1;
+    let bottom = -1;
+    let left = width;
+    let right = -1;
+    for (let y = 0; y < height; y++) {
+        const row = y * width;
+        let first = -1;
+        let last = -1;
+        for (let x = 0; x < width; x++) {
+            if (prev[row + x] !== next[row + x]) {
+                if (first === -1) first = x;
+                last = x;
+            }
+        }
+        if (first !== -1) {
+            if (top === -1) top = y;
+            bottom = y;
+            left = Math.min(left, first);
+            right = Math.max(right, last);
+        }
+    }
+    if (top === -1) {
+        return null;
+    }
+    return { x: left, y: top, width: right - left + 1, height: bottom - top + 1 };
+}
+
+function cropPixels(pixels, width, rect) {
+    const out = new Uint32Array(rect.width * rect.height);
+    for (let y = 0; y < rect.height; y++) {
+        const start = (rect.y + y) * width + rect.x;
+        out.set(pixels.subarray(start, start + rect.width), y * rect.width);
+    }
+    return out;
+}
+
+/**
+ * 解码各帧并计算每帧需要编码的区域
+ * @returns {{ width: number, height: number, frames: Array<{ rect, pixels: Uint32Array, delay: number }> }}
+ */
+function prepareFrames(frames) {
+    const decoded = frames.map((frame) => decodePng(frame.buffer));
+    const width = Math.max(...decoded.map((frame) => frame.width));
+    const height = Math.max(...decoded.map((frame) => frame.height));
+
+    const result = [];
+    let previous = null;
+    decoded.forEach((frame, index) => {
+        const pixels = extendFrame(frame, width, height);
+        const delay = frames[index].delay;
+        if (!previous) {
+            result.push({ rect: { x: 0, y: 0, width, height }, pixels, delay });
+        } else {
+            const rect = diffRect(previous, pixels, width, height);
+            if (rect) {
+                result.push({ rect, pixels: cropPixels(pixels, width, rect), delay });
+            } else {
+                result[result.length - 1].delay += delay;
+            }
+        }
+        previous = pixels;
+    });
+
+    return { width, height, frames: result };
+}
+
+// ============ GIF ============
+
+/**
+ * 颜色盒：跨度最大的通道及其跨度
+ */
+function measureBox(buckets) {
+    let channel = 0;
+    let range = -1;
+    for (let c = 0; c < 3; c++) {
+        let min = 255;
+        let max = 0;
+        buckets.forEach((bucket) => {
+            min = Math.min(min, bucket.color[c]);
+            max = Math.max(max, bucket.color[c]);
+        });
+        if (max - min > range) {
+            range = max - min;
+            channel = c;
+        }
+    }
+    return { buckets, channel, range };
+}
+
+/**
+ * 中位切分量化：颜色先按每通道 5 位分桶，再切分为不超过 maxColors 个颜色
+ * @returns {{ palette: Array<number[]>, lookup: Int16Array }} lookup 为桶 -> 调色板下标
+ */
+function quantize(pixels, maxColors) {
+    const counts = new Uint32Array(32768);
+    const sums = new Float64Array(32768 * 3);
+    for (let i = 0; i < pixels.length; i++) {
+        const value = pixels[i];
+        const r = value & 0xff;
+        const g = (value >>> 8) & 0xff;
+        const b = (value >>> 16) & 0xff;
+        const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+        counts[key]++;
+        sums[key * 3] += r;
+        sums[key * 3 + 1] += g;
+        sums[key * 3 + 2] += b;
+    }
+
+    const buckets = [];
+    for (let key = 0; key < 32768; key++) {
+        if (counts[key] > 0) {
+            const count = counts[key];
+            buckets.push({
+                key,
+                count,
+                color: [sums[key * 3] / count, sums[key * 3 + 1] / count, sums[key * 3 + 2] / count]
+            });
+        }
+    }
+
+    const boxes = [measureBox(buckets)];
+    while (boxes.length < maxColors) {
+        // 选通道跨度最大的盒子，沿该通道按像素数中位切分
+        let target = -1;
+        boxes.forEach((box, index) => {
+            if (box.buckets.length > 1 && box.range > 0 && (target === -1 || box.range > boxes[target].range)) {
+                target = index;
+            }
+        });
+        if (target === -1) {
+            break;
+        }
+
+        const { buckets: sorted, channel } = boxes[target];
+        sorted.sort((a, b) => a.color[channel] - b.color[channel]);
+        const total = sorted.reduce((sum, bucket) => sum + bucket.count, 0);
+        let split = 0;
+        for (let seen = 0; split < sorted.length - 2; split++) {
+            seen += sorted[split].count;
+            if (seen >= total / 2) break;
+        }
+        boxes.splice(target, 1, measureBox(sorted.slice(0, split + 1)), measureBox(sorted.slice(split + 1)));
+    }
+
+    const lookup = new Int16Array(32768);
+    const palette = boxes.map((box, index) => {
+        let count = 0;
+        const sum = [0, 0, 0];
+        box.buckets.forEach((bucket) => {
+            lookup[bucket.key] = index;
+            count += bucket.count;
+            for (let c = 0; c < 3; c++) {
+                sum[c] += bucket.color[c] * bucket.count;
+            }
+        });
+        return sum.map((value) => Math.round(value / count));
+    });
+
+    return { palette, lookup };
+}
+
+/**
+ * GIF 变长 LZW 压缩，输出按 255 字节分块
+ */
+function lzwEncode(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const bytes = [];
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let table = new Map();
+    let bitBuffer = 0;
+    let bitCount = 0;
+
+    const emit = (code) => {
+        bitBuffer |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            bytes.push(bitBuffer & 0xff);
+            bitBuffer >>>= 8;
+            bitCount -= 8;
+        }
+    };
+
+    emit(clearCode);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const k = indices[i];
+        const key = (prefix << 8) | k;
+        const code = table.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+
+        emit(prefix);
+        if (nextCode === 4096) {
+            emit(clearCode);
+            table = new Map();
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+        } else {
+            if (nextCode >= (1 << codeSize)) {
+                codeSize++;
+            }
+            table.set(key, nextCode++);
+        }
+        prefix = k;
+    }
+    emit(prefix);
+    emit(endCode);
+    if (bitCount > 0) {
+        bytes.push(bitBuffer & 0xff);
+    }
+
+    const blocks = [];
+    for (let i = 0; i < bytes.length; i += 255) {
+        const block = bytes.slice(i, i + 255);
+        blocks.push(block.length, ...block);
+    }
+    blocks.push(0);
+    return Buffer.from(blocks);
+}
+
+function uint16(value) {
+    const buffer = Buffer.alloc(2);
+    buffer.writeUInt16LE(value);
+    return buffer;
+}
+
+/**
+ * 编码 GIF（每帧使用局部调色板）
+ */
+function encodeGif({ width, height, frames }, { loop }) {
+    const parts = [
+        Buffer.from('GIF89a', 'latin1'),
+        uint16(width),
+        uint16(height),
+        // 无全局调色板
+        Buffer.from([0, 0, 0])
+    ];
+
+    // NETSCAPE2.0 循环次数（重复次数，0 为无限）；只播放一次时省略
+    if (loop !== 1) {
+        parts.push(
+            Buffer.from([0x21, 0xff, 0x0b]),
+            Buffer.from('NETSCAPE2.0', 'latin1'),
+            Buffer.from([0x03, 0x01]),
+            uint16(loop === 0 ? 0 : loop - 1),
+            Buffer.from([0])
+        );
+    }
+
+    frames.forEach(({ rect, pixels, delay }) => {
+        const { palette, lookup } = quantize(pixels, GIF_MAX_COLORS);
+        const indices = new Uint8Array(pixels.length);
+        for (let i = 0; i < pixels.length; i++) {
+            const value = pixels[i];
+            indices[i] = lookup[(((value & 0xff) >> 3) << 10) | ((((value >>> 8) & 0xff) >> 3) << 5)
+                | (((value >>> 16) & 0xff) >> 3)];
+        }
+
+        let bits = 1;
+        while ((1 << bits) < palette.length) bits++;
+        const table = Buffer.alloc(3 << bits);
+        palette.forEach((color, index) => {
+            table[index * 3] = color[0];
+            table[index * 3 + 1] = color[1];
+            table[index * 3 + 2] = color[2];
+        });
+
+        parts.push(
+            // 图形控制扩展：不清除（后续帧叠加在上一帧上），延时单位为 1/100 秒
+            Buffer.from([0x21, 0xf9, 0x04, 1 << 2]),
+            uint16(Math.min(65535, Math.max(2, Math.round(delay / 10)))),
+            Buffer.from([0, 0]),
+            Buffer.from([0x2c]),
+            uint16(rect.x),
+            uint16(rect.y),
+            uint16(rect.width),
+            uint16(rect.height),
+            Buffer.from([0x80 | (bits - 1)]),
+            table,
+            Buffer.from([Math.max(2, bits)]),
+            lzwEncode(indices, Math.max(2, bits))
+        );
+    });
+
+    parts.push(Buffer.from([0x3b]));
+    return Buffer.concat(parts);
+}
+
+// ============ APNG ============
+
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * 像素 -> 压缩后的 PNG 扫描行（逐行 Sub 滤波）
+ */
+function encodeScanlines(pixels, width, height, channels) {
+    const stride = width * channels;
+    const raw = Buffer.alloc((stride + 1) * height);
+    for (let y = 0; y < height; y++) {
+        const row = y * (stride + 1);
+        raw[row] = 1;
+        for (let x = 0; x < width; x++) {
+            const value = pixels[y * width + x];
+            const left = x > 0 ? pixels[y * width + x - 1] : 0;
+            for (let c = 0; c < channels; c++) {
+                const shift = c * 8;
+                raw[row + 1 + x * channels + c] = (((value >>> shift) & 0xff) - ((left >>> shift) & 0xff)) & 0xff;
+            }
+        }
+    }
+    return zlib.deflateSync(raw);
+}
+
+/**
+ * 编码 APNG（所有帧不透明时使用 RGB，否则 RGBA）
+ */
+function encodeApng({ width, height, frames }, { loop }) {
+    const opaque = frames.every(({ pixels }) => pixels.every((value) => (value >>> 24) === 255));
+    const channels = opaque ? 3 : 4;
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8;
+    header[9] = opaque ? 2 : 6;
+
+    const control = Buffer.alloc(8);
+    control.writeUInt32BE(frames.length, 0);
+    control.writeUInt32BE(loop, 4);
+
+    const parts = [PNG_SIGNATURE, pngChunk('IHDR', header), pngChunk('acTL', control)];
+    let sequence = 0;
+    frames.forEach(({ rect, pixels, delay }, index) => {
+        // 不清除、直接覆盖：未编码的区域保留上一帧画面
+        const frameControl = Buffer.alloc(26);
+        frameControl.writeUInt32BE(sequence++, 0);
+        frameControl.writeUInt32BE(rect.width, 4);
+        frameControl.writeUInt32BE(rect.height, 8);
+        frameControl.writeUInt32BE(rect.x, 12);
+        frameControl.writeUInt32BE(rect.y, 16);
+        frameControl.writeUInt16BE(Math.min(65535, delay), 20);
+        frameControl.writeUInt16BE(1000, 22);
+        parts.push(pngChunk('fcTL', frameControl));
+
+        const data = encodeScanlines(pixels, rect.width, rect.height, channels);
+        if (index === 0) {
+            parts.push(pngChunk('IDAT', data));
+        } else {
+            const prefix = Buffer.alloc(4);
+            prefix.writeUInt32BE(sequence++);
+            parts.push(pngChunk('fdAT', Buffer.concat([prefix, data])));
+        }
+    });
+
+    parts.push(pngChunk('IEND', Buffer.alloc(0)));
+    return Buffer.concat(parts);
+}
+
+/**
+ * 合成动图
+ * @param {string} format - gif | apng
+ * @param {Array<{ buffer: Buffer, delay: number }>} frames - PNG 帧与停留时间（毫秒）
+ * @param {object} options
+ * @param {number} options.loop - 播放次数，0 为无限循环
+ * @returns {{ buffer: Buffer, width: number, height: number }} 动图与画布尺寸（像素）
+ */
+function encodeAnimation(format, frames, { loop = 0 } = {}) {
+    const prepared = prepareFrames(frames);
+    const buffer = format === 'apng' ? encodeApng(prepared, { loop }) : encodeGif(prepared, { loop });
+    return { buffer, width: prepared.width, height: prepared.height };
+}
+
+module.exports = {
+    ANIMATION_FORMATS,
+    decodePng,
+    encodeAnimation
+};
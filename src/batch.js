@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const { createZip } = require('./zip');
+
+// 批量渲染支持的响应方式
+const BATCH_RESPONSE_TYPES = {
+    json: 'application/json',
+    multipart: 'multipart/mixed',
+    zip: 'application/zip'
+};
+
+const FILE_EXTENSIONS = {
+    png: 'png',
+    jpeg: 'jpg',
+    webp: 'webp',
+    pdf: 'pdf'
+};
+
+/**
+ * 结果文件名：序号 + 模板名，如 001-go.png
+ */
+function fileName(item) {
+    return `${String(item.index + 1).padStart(3, '0')}-${item.template}.${FILE_EXTENSIONS[item.format]}`;
+}
+
+/**
+ * 单项结果描述（不含文件内容）
+ */
+function describe(item) {
+    const summary = { index: item.index };
+    if (item.id !== undefined) summary.id = item.id;
+    summary.template = item.template;
+    summary.ok = item.ok;
+
+    if (item.ok) {
+        summary.file = fileName(item);
+        summary.mime = item.mime;
+        summary.width = item.width;
+        summary.height = item.height;
+        summary.bytes = item.buffer.length;
+    } else {
+        summary.status = item.status;
+        summary.error = item.error;
+        if (item.details) summary.details = item.details;
+    }
+    return summary;
+}
+
+function encodeJson(items) {
+    const results = items.map((item) => (item.ok
+        ? { ...describe(item), data: item.buffer.toString('base64') }
+        : describe(item)));
+    return Buffer.from(JSON.stringify({
+        succeeded: items.filter((item) => item.ok).length,
+        failed: items.filter((item) => !item.ok).length,
+        results
+    }));
+}
+
+/**
+ * multipart/mixed：每项一个分段，失败项为 JSON 分段
+ * 分段头 X-Batch-Index / X-Batch-Status 标明序号与状态码
+ */
+function encodeMultipart(items, boundary) {
+    const parts = [];
+    items.forEach((item) => {
+        const headers = [`--${boundary}`];
+        let body;
+        if (item.ok) {
+            headers.push(`Content-Type: ${item.mime}`);
+            headers.push(`Content-Disposition: attachment; filename="${fileName(item)}"`);
+            headers.push('X-Batch-Status: 200');
+            body = item.buffer;
+        } else {
+            headers.push('Content-Type: application/json; charset=utf-8');
+            headers.push(`X-Batch-Status: ${item.status}`);
+            body = Buffer.from(JSON.stringify(describe(item)));
+        }
+        headers.push(`X-Batch-Index: ${item.index}`);
+        if (item.id !== undefined) {
+            headers.push(`Content-ID: <${encodeURIComponent(item.id)}>`);
+        }
+        parts.push(Buffer.from(`${headers.join('\r\n')}\r\n\r\n`), body, Buffer.from('\r\n'));
+    });
+    parts.push(Buffer.from(`--${boundary}--\r\n`));
+    return Buffer.concat(parts);
+}
+
+/**
+ * ZIP：成功项为图片文件，manifest.json 记录每项结果（含失败原因）
+ */
+function encodeZip(items) {
+    const files = items
+        .filter((item) => item.ok)
+        .map((item) => ({ name: fileName(item), data: item.buffer }));
+    files.push({
+        name: 'manifest.json',
+        data: Buffer.from(JSON.stringify({ results: items.map(describe) }, null, 2))
+    });
+    return createZip(files);
+}
+
+/**
+ * 按响应方式编码批量结果
+ * @param {string} type - json | multipart | zip
+ * @param {Array<object>} items - 每项 { index, id?, template, ok, format?, mime?, buffer?, width?, height?, status?, error?, details? }
+ * @returns {{ contentType: string, body: Buffer }}
+ */
+function encodeBatch(type, items) {
+    if (type === 'multipart') {
+        const boundary = `batch-${crypto.randomBytes(12).toString('hex')}`;
+        return {
+            contentType: `${BATCH_RESPONSE_TYPES.multipart}; boundary=${boundary}`,
+            body: encodeMultipart(items, boundary)
+        };
+    }
+    if (type === 'zip') {
+        return { contentType: BATCH_RESPONSE_TYPES.zip, body: encodeZip(items) };
+    }
+    return { contentType: `${BATCH_RESPONSE_TYPES.json}; charset=utf-8`, body: encodeJson(items) };
+}
+
+module.exports = {
+    BATCH_RESPONSE_TYPES,
+    encodeBatch
+};
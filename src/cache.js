@@ -0,0 +1,203 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * 稳定序列化：对象键排序、忽略 undefined，保证相同内容得到相同字符串
+ */
+function stableStringify(value) {
+    if (value === undefined) {
+        return undefined;
+    }
+    if (value === null || typeof value !== 'object') {
+        return JSON.stringify(value);
+    }
+    if (Array.isArray(value)) {
+        return `[${value.map((item) => stableStringify(item) ?? 'null').join(',')}]`;
+    }
+
+    const parts = [];
+    Object.keys(value).sort().forEach((key) => {
+        const item = stableStringify(value[key]);
+        if (item !== undefined) {
+            parts.push(`${JSON.stringify(key)}:${item}`);
+        }
+    });
+    return `{${parts.join(',')}}`;
+}
+
+/**
+ * 计算内容哈希
+ */
+function hashKey(...parts) {
+    const hash = crypto.createHash('sha256');
+    parts.forEach((part) => hash.update(typeof part === 'string' ? part : stableStringify(part)));
+    return hash.digest('hex');
+}
+
+/**
+ * 创建 LRU 缓存（内存 + 可选磁盘）
+ * @param {object} options
+ * @param {number} options.maxEntries - 内存最大条目数，0 表示禁用缓存
+ * @param {number} options.maxBytes - 内存最大总字节数
+ * @param {number} options.ttl - 过期时间（毫秒）
+ * @param {string} options.dir - 磁盘缓存目录，留空表示仅内存
+ */
+function createCache({ maxEntries, maxBytes, ttl, dir }) {
+    const entries = new Map();
+    const stats = { hits: 0, misses: 0, diskHits: 0, evictions: 0 };
+    let totalBytes = 0;
+    let lastPrune = 0;
+
+    const enabled = maxEntries > 0;
+
+    if (enabled && dir) {
+        fs.mkdirSync(dir, { recursive: true });
+    }
+
+    function filePath(key) {
+        return path.join(dir, `${key}.bin`);
+    }
+
+    function metaPath(key) {
+        return path.join(dir, `${key}.json`);
+    }
+
+    function remove(key) {
+        const entry = entries.get(key);
+        if (entry) {
+            totalBytes -= entry.buffer.length;
+            entries.delete(key);
+        }
+    }
+
+    function remember(key, buffer, meta, createdAt) {
+        remove(key);
+        entries.set(key, { buffer, meta, createdAt });
+        totalBytes += buffer.length;
+
+        // Map 按插入顺序迭代，首个即最久未使用
+        while (entries.size > maxEntries || totalBytes > maxBytes) {
+            const oldest = entries.keys().next().value;
+            if (oldest === key) break;
+            remove(oldest);
+            stats.evictions++;
+        }
+    }
+
+    /**
+     * 读取内存缓存（命中时刷新 LRU 顺序）
+     * @returns {{ buffer: Buffer, meta: object }|null}
+     */
+    function get(key) {
+        if (!enabled) return null;
+
+        const entry = entries.get(key);
+        if (!entry) return null;
+
+        if (Date.now() - entry.createdAt > ttl) {
+            remove(key);
+            return null;
+        }
+
+        entries.delete(key);
+        entries.set(key, entry);
+        stats.hits++;
+        return { buffer: entry.buffer, meta: entry.meta };
+    }
+
+    /**
+     * 读取磁盘缓存，命中后回填内存
+     */
+    async function getFromDisk(key) {
+        if (!enabled || !dir) return null;
+
+        try {
+            const stat = await fs.promises.stat(filePath(key));
+            if (Date.now() - stat.mtimeMs > ttl) {
+                await fs.promises.unlink(filePath(key)).catch(() => {});
+                await fs.promises.unlink(metaPath(key)).catch(() => {});
+                return null;
+            }
+            const buffer = await fs.promises.readFile(filePath(key));
+            const meta = JSON.parse(await fs.promises.readFile(metaPath(key), 'utf-8'));
+            remember(key, buffer, meta, stat.mtimeMs);
+            stats.hits++;
+            stats.diskHits++;
+            return { buffer, meta };
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * 写入缓存
+     * @param {string} key
+     * @param {Buffer} buffer - 文件内容
+     * @param {object} meta - 附带的元数据（如图片尺寸）
+     */
+    function set(key, buffer, meta = {}) {
+        if (!enabled) return;
+
+        remember(key, buffer, meta, Date.now());
+
+        if (dir) {
+            // 先写元数据：只有 .bin 存在时才会被读取
+            fs.promises.writeFile(metaPath(key), JSON.stringify(meta))
+                .then(() => fs.promises.writeFile(filePath(key), buffer))
+                .catch((e) => {
+                    console.error('Render cache write error:', e.message);
+                });
+            pruneDisk();
+        }
+    }
+
+    /**
+     * 清理磁盘上的过期文件（每个 TTL 周期最多一次）
+     */
+    function pruneDisk() {
+        const now = Date.now();
+        if (now - lastPrune < ttl) return;
+        lastPrune = now;
+
+        fs.promises.readdir(dir).then((files) => Promise.all(files
+            .filter((file) => file.endsWith('.bin') || file.endsWith('.json'))
+            .map(async (file) => {
+                const full = path.join(dir, file);
+                const stat = await fs.promises.stat(full);
+                if (now - stat.mtimeMs > ttl) {
+                    await fs.promises.unlink(full);
+                }
+            }))).catch(() => {});
+    }
+
+    function recordMiss() {
+        stats.misses++;
+    }
+
+    function clear() {
+        entries.clear();
+        totalBytes = 0;
+    }
+
+    function getStats() {
+        return {
+            enabled,
+            entries: entries.size,
+            bytes: totalBytes,
+            maxEntries,
+            maxBytes,
+            ttl,
+            disk: Boolean(dir),
+            ...stats
+        };
+    }
+
+    if (enabled && dir) {
+        pruneDisk();
+    }
+
+    return { get, getFromDisk, set, recordMiss, clear, getStats };
+}
+
+module.exports = { createCache, hashKey, stableStringify };
@@ -0,0 +1,424 @@
+/**
+ * 图表：由序列数据生成内联 SVG（折线 line、柱状 bar、饼图 pie、迷你折线 sparkline）
+ *
+ * 颜色取自宿主模板在 :root 中声明的 CSS 变量（未声明时使用括号内的默认值）：
+ * --chart-1 / --chart-2 为前两个序列（通常映射到主题的 primary / accent），
+ * --chart-text、--chart-muted、--chart-grid、--chart-surface 为文字、坐标轴、网格线与背景
+ * 其余序列使用固定色板；文字沿用宿主模板的字体，中文标签按全角宽度估算排版
+ */
+
+const { escapeHtml } = require('./markdown');
+
+const CHART_TYPES = ['line', 'bar', 'pie', 'sparkline'];
+
+const PALETTE = [
+    'var(--chart-1, #3b82f6)',
+    'var(--chart-2, #f97316)',
+    '#10b981',
+    '#8b5cf6',
+    '#ef4444',
+    '#0ea5e9',
+    '#eab308',
+    '#ec4899'
+];
+const TEXT_COLOR = 'var(--chart-text, #374151)';
+const MUTED_COLOR = 'var(--chart-muted, #6b7280)';
+const GRID_COLOR = 'var(--chart-grid, #e5e7eb)';
+const SURFACE_COLOR = 'var(--chart-surface, #ffffff)';
+
+// 各类型的默认高度
+const DEFAULT_HEIGHTS = { line: 260, bar: 260, pie: 220, sparkline: 32 };
+const FONT_SIZE = 12;
+// 数据点不超过该数量时画出圆点 / 数值标签
+const MAX_MARKERS = 31;
+const MAX_VALUE_LABELS = 24;
+
+// ============ 工具 ============
+
+/**
+ * 估算文字宽度：全角字符按字号计，其余按 0.6 倍字号计
+ */
+function textWidth(text, size = FONT_SIZE) {
+    let width = 0;
+    for (const char of String(text)) {
+        width += /[\u2e80-\uffff]/.test(char) ? size : size * 0.6;
+    }
+    return width;
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function formatValue(value, unit = '', decimals) {
+    const options = decimals === undefined
+        ? { maximumFractionDigits: 2 }
+        : { minimumFractionDigits: decimals, maximumFractionDigits: decimals };
+    return value.toLocaleString('en-US', options) + unit;
+}
+
+function seriesColor(series, index) {
+    return series.color || PALETTE[index % PALETTE.length];
+}
+
+function svgText(x, y, content, { anchor = 'start', color = MUTED_COLOR, size = FONT_SIZE, weight } = {}) {
+    const fontWeight = weight ? ` font-weight="${weight}"` : '';
+    return `<text x="${round(x)}" y="${round(y)}" text-anchor="${anchor}" font-size="${size}"${fontWeight} style="fill: ${color}">${escapeHtml(content)}</text>`;
+}
+
+function wrapSvg(width, height, body) {
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" style="display: block; overflow: visible">${body}</svg>`;
+}
+
+/**
+ * 坐标轴刻度：步长取 1 / 2 / 2.5 / 5 × 10^n
+ * @returns {{ min: number, max: number, ticks: number[], decimals: number }}
+ */
+function niceScale(min, max, fixedMin, fixedMax) {
+    if (min === max) {
+        const pad = Math.abs(min) * 0.1 || 1;
+        min -= pad;
+        max += pad;
+    }
+    const raw = (max - min) / 5;
+    const magnitude = 10 ** Math.floor(Math.log10(raw));
+    const norm = raw / magnitude;
+    const step = Number(([1, 2, 2.5, 5, 10].find((candidate) => norm <= candidate) * magnitude).toPrecision(10));
+    const decimals = (String(step).split('.')[1] || '').length;
+
+    const lo = fixedMin !== undefined ? min : Math.floor(min / step) * step;
+    const hi = fixedMax !== undefined ? max : Math.ceil(max / step) * step;
+    const ticks = [];
+    for (let tick = Math.ceil(lo / step) * step; tick <= hi + step / 1000; tick += step) {
+        ticks.push(Number(tick.toFixed(decimals)));
+    }
+    return { min: lo, max: hi, ticks, decimals };
+}
+
+/**
+ * 图例：色块 + 名称，超出宽度时换行
+ * @returns {{ svg: string, height: number }}
+ */
+function renderLegend(items, x, y, width) {
+    const ROW_HEIGHT = 18;
+    let cursor = x;
+    let row = 0;
+    const parts = items.map((item) => {
+        const itemWidth = 14 + textWidth(item.label) + 16;
+        if (cursor > x && cursor + itemWidth > x + width) {
+            cursor = x;
+            row++;
+        }
+        const top = y + row * ROW_HEIGHT;
+        const part = `<rect x="${round(cursor)}" y="${top + 3}" width="10" height="10" rx="2" style="fill: ${item.color}"/>`
+            + svgText(cursor + 14, top + 12, item.label, { color: TEXT_COLOR });
+        cursor += itemWidth;
+        return part;
+    });
+    return { svg: parts.join(''), height: items.length > 0 ? (row + 1) * ROW_HEIGHT : 0 };
+}
+
+// ============ 折线 / 柱状 ============
+
+function renderCartesian(spec, width, height) {
+    const { type, series, unit = '' } = spec;
+    const count = Math.max(...series.map((item) => item.data.length));
+    const labels = Array.from({ length: count }, (_, i) => (
+        spec.labels && spec.labels[i] !== undefined ? spec.labels[i] : String(i + 1)
+    ));
+    const stacked = type === 'bar' && spec.stacked;
+
+    const showLegend = spec.show_legend ?? series.length > 1;
+    const legend = showLegend
+        ? renderLegend(series.map((item, i) => ({ label: item.name || `序列${i + 1}`, color: seriesColor(item, i) })), 0, 0, width)
+        : { svg: '', height: 0 };
+
+    // 取值范围：柱状图包含 0，堆叠时按每组的正负合计
+    let values = series.flatMap((item) => item.data).filter((value) => value !== null && value !== undefined);
+    if (stacked) {
+        values = labels.flatMap((_, i) => {
+            const column = series.map((item) => item.data[i] || 0);
+            return [column.filter((v) => v > 0).reduce((a, b) => a + b, 0), column.filter((v) => v < 0).reduce((a, b) => a + b, 0)];
+        });
+    }
+    if (values.length === 0) {
+        values = [0];
+    }
+    let min = spec.y_min ?? Math.min(...values);
+    let max = spec.y_max ?? Math.max(...values);
+    if (type === 'bar') {
+        min = spec.y_min ?? Math.min(0, min);
+        max = spec.y_max ?? Math.max(0, max);
+    }
+    const scale = niceScale(min, max, spec.y_min, spec.y_max);
+    const tickLabels = scale.ticks.map((tick) => formatValue(tick, unit, scale.decimals));
+
+    const top = legend.height + (legend.height ? 10 : 8);
+    const bottom = 24;
+    const left = Math.max(...tickLabels.map((label) => textWidth(label))) + 10;
+    const right = 12;
+    const plotWidth = Math.max(width - left - right, 10);
+    const plotHeight = Math.max(height - top - bottom, 10);
+    const y = (value) => top + plotHeight * (1 - (Math.min(Math.max(value, scale.min), scale.max) - scale.min) / (scale.max - scale.min));
+
+    // 折线图两端留白，柱状图按分组居中
+    const band = plotWidth / count;
+    const x = type === 'bar'
+        ? (i) => left + band * (i + 0.5)
+        : (i) => (count === 1 ? left + plotWidth / 2 : left + 8 + i * (plotWidth - 16) / (count - 1));
+
+    const parts = [legend.svg];
+
+    // 网格线与纵轴刻度
+    scale.ticks.forEach((tick, i) => {
+        parts.push(`<line x1="${round(left)}" y1="${round(y(tick))}" x2="${round(left + plotWidth)}" y2="${round(y(tick))}" stroke-width="1" style="stroke: ${GRID_COLOR}"/>`);
+        parts.push(svgText(left - 6, y(tick) + 4, tickLabels[i], { anchor: 'end' }));
+    });
+    parts.push(`<line x1="${round(left)}" y1="${round(top + plotHeight)}" x2="${round(left + plotWidth)}" y2="${round(top + plotHeight)}" stroke-width="1" style="stroke: ${MUTED_COLOR}"/>`);
+
+    // 横轴标签：放不下时隔几个显示一个，最后一个总是显示
+    const labelWidth = Math.max(...labels.map((label) => textWidth(label))) + 8;
+    const every = Math.max(1, Math.ceil(labelWidth * count / plotWidth));
+    labels.forEach((label, i) => {
+        const last = i === count - 1;
+        const crowded = !last && (count - 1 - i) < every && (count - 1) % every !== 0;
+        if ((i % every === 0 && !crowded) || last) {
+            parts.push(svgText(x(i), top + plotHeight + 16, label, { anchor: 'middle' }));
+        }
+    });
+
+    const showValues = spec.show_values && count <= MAX_VALUE_LABELS;
+
+    if (type === 'bar') {
+        const inner = band * 0.7;
+        const barWidth = stacked ? inner : inner / series.length;
+        const positive = new Array(count).fill(0);
+        const negative = new Array(count).fill(0);
+        series.forEach((item, j) => {
+            const color = seriesColor(item, j);
+            item.data.forEach((value, i) => {
+                if (value === null || value === undefined) return;
+                let from = 0;
+                if (stacked) {
+                    from = value >= 0 ? positive[i] : negative[i];
+                    if (value >= 0) positive[i] += value; else negative[i] += value;
+                }
+                const to = from + value;
+                const barX = x(i) - inner / 2 + (stacked ? 0 : j * barWidth);
+                const barTop = Math.min(y(from), y(to));
+                const barHeight = Math.max(Math.abs(y(to) - y(from)), value === 0 ? 0 : 1);
+                parts.push(`<rect x="${round(barX + 1)}" y="${round(barTop)}" width="${round(Math.max(barWidth - 2, 1))}" height="${round(barHeight)}" rx="2" style="fill: ${color}"/>`);
+                if (showValues && !stacked) {
+                    const labelY = value >= 0 ? barTop - 4 : barTop + barHeight + 12;
+                    parts.push(svgText(barX + barWidth / 2, labelY, formatValue(value), { anchor: 'middle', color: TEXT_COLOR, size: 10 }));
+                }
+            });
+        });
+        if (showValues && stacked) {
+            positive.forEach((total, i) => {
+                parts.push(svgText(x(i), y(total) - 4, formatValue(total), { anchor: 'middle', color: TEXT_COLOR, size: 10 }));
+            });
+        }
+    } else {
+        series.forEach((item, j) => {
+            const color = seriesColor(item, j);
+            // 空值处断开折线
+            const segments = [];
+            let current = [];
+            item.data.forEach((value, i) => {
+                if (value === null || value === undefined) {
+                    if (current.length) segments.push(current);
+                    current = [];
+                } else {
+                    current.push([x(i), y(value), value]);
+                }
+            });
+            if (current.length) segments.push(current);
+
+            segments.forEach((points) => {
+                const path = points.map(([px, py], i) => `${i === 0 ? 'M' : 'L'}${round(px)} ${round(py)}`).join(' ');
+                // 只有一个序列时填充折线下方区域
+                if (series.length === 1 && points.length > 1) {
+                    const base = round(top + plotHeight);
+                    parts.push(`<path d="${path} L${round(points[points.length - 1][0])} ${base} L${round(points[0][0])} ${base} Z" fill-opacity="0.12" style="fill: ${color}"/>`);
+                }
+                parts.push(`<path d="${path}" fill="none" stroke-width="2" stroke-linejoin="round" stroke-linecap="round" style="stroke: ${color}"/>`);
+                if (count <= MAX_MARKERS || points.length === 1) {
+                    points.forEach(([px, py]) => {
+                        parts.push(`<circle cx="${round(px)}" cy="${round(py)}" r="3" stroke-width="1.5" style="fill: ${SURFACE_COLOR}; stroke: ${color}"/>`);
+                    });
+                }
+                if (showValues) {
+                    points.forEach(([px, py, value]) => {
+                        parts.push(svgText(px, py - 7, formatValue(value), { anchor: 'middle', color: TEXT_COLOR, size: 10 }));
+                    });
+                }
+            });
+        });
+    }
+
+    return wrapSvg(width, height, parts.join(''));
+}
+
+// ============ 饼图 ============
+
+function polar(cx, cy, radius, angle) {
+    return [cx + radius * Math.cos(angle), cy + radius * Math.sin(angle)];
+}
+
+function renderPie(spec, width, height) {
+    const data = spec.series[0].data.map((value) => Math.max(0, value || 0));
+    const labels = data.map((_, i) => (spec.labels && spec.labels[i] !== undefined ? spec.labels[i] : `${i + 1}`));
+    const total = data.reduce((a, b) => a + b, 0);
+    const percent = (value) => (total > 0 ? Math.round(value / total * 1000) / 10 : 0);
+
+    const showLegend = spec.show_legend ?? true;
+    const items = labels.map((label, i) => ({
+        label: `${label}  ${formatValue(data[i], spec.unit || '')} · ${percent(data[i])}%`,
+        color: PALETTE[i % PALETTE.length]
+    }));
+    const legendWidth = showLegend ? Math.max(...items.map((item) => textWidth(item.label))) + 14 : 0;
+    // 宽度足够时图例在右侧，否则在下方
+    const beside = !showLegend || width - legendWidth - 24 >= Math.min(height, width / 2);
+    const legendBelow = showLegend && !beside ? renderLegend(items, 0, 0, width) : null;
+
+    const pieHeight = legendBelow ? height - legendBelow.height - 12 : height;
+    const pieWidth = beside && showLegend ? width - legendWidth - 24 : width;
+    const radius = Math.max(Math.min(pieHeight, pieWidth) / 2 - 4, 10);
+    const inner = spec.donut ? radius * 0.58 : 0;
+    const cx = beside && showLegend ? radius + 4 : width / 2;
+    const cy = pieHeight / 2;
+
+    const parts = [];
+    if (total === 0) {
+        parts.push(`<circle cx="${round(cx)}" cy="${round(cy)}" r="${round(radius)}" style="fill: ${GRID_COLOR}"/>`);
+        parts.push(svgText(cx, cy + 4, '暂无数据', { anchor: 'middle' }));
+    } else {
+        let angle = -Math.PI / 2;
+        data.forEach((value, i) => {
+            if (value <= 0) return;
+            const color = PALETTE[i % PALETTE.length];
+            const sweep = value / total * Math.PI * 2;
+            if (sweep >= Math.PI * 2 - 1e-6) {
+                parts.push(`<circle cx="${round(cx)}" cy="${round(cy)}" r="${round(radius)}" style="fill: ${color}"/>`);
+            } else {
+                const large = sweep > Math.PI ? 1 : 0;
+                const [x1, y1] = polar(cx, cy, radius, angle);
+                const [x2, y2] = polar(cx, cy, radius, angle + sweep);
+                let path = `M${round(cx)} ${round(cy)} L${round(x1)} ${round(y1)} A${round(radius)} ${round(radius)} 0 ${large} 1 ${round(x2)} ${round(y2)} Z`;
+                if (inner) {
+                    const [x3, y3] = polar(cx, cy, inner, angle + sweep);
+                    const [x4, y4] = polar(cx, cy, inner, angle);
+                    path = `M${round(x1)} ${round(y1)} A${round(radius)} ${round(radius)} 0 ${large} 1 ${round(x2)} ${round(y2)} `
+                        + `L${round(x3)} ${round(y3)} A${round(inner)} ${round(inner)} 0 ${large} 0 ${round(x4)} ${round(y4)} Z`;
+                }
+                parts.push(`<path d="${path}" stroke-width="1.5" style="fill: ${color}; stroke: ${SURFACE_COLOR}"/>`);
+            }
+            // 占比不小于 5% 的扇区标出百分比
+            if (spec.show_values && value / total >= 0.05) {
+                const [lx, ly] = polar(cx, cy, inner ? (radius + inner) / 2 : radius * 0.65, angle + sweep / 2);
+                parts.push(svgText(lx, ly + 4, `${percent(value)}%`, { anchor: 'middle', color: '#ffffff', size: 11, weight: 600 }));
+            }
+            angle += sweep;
+        });
+        if (inner) {
+            parts.push(`<circle cx="${round(cx)}" cy="${round(cy)}" r="${round(inner)}" style="fill: ${SURFACE_COLOR}"/>`);
+            parts.push(svgText(cx, cy + 5, formatValue(total, spec.unit || ''), { anchor: 'middle', color: TEXT_COLOR, size: 14, weight: 700 }));
+        }
+    }
+
+    if (legendBelow) {
+        parts.push(`<g transform="translate(0 ${round(pieHeight + 12)})">${legendBelow.svg}</g>`);
+    } else if (showLegend) {
+        const ROW_HEIGHT = 20;
+        const legendX = cx + radius + 24;
+        const legendY = Math.max(cy - items.length * ROW_HEIGHT / 2, 0);
+        items.forEach((item, i) => {
+            const rowY = legendY + i * ROW_HEIGHT;
+            parts.push(`<rect x="${round(legendX)}" y="${round(rowY + 4)}" width="10" height="10" rx="2" style="fill: ${item.color}"/>`);
+            parts.push(svgText(legendX + 14, rowY + 13, item.label, { color: TEXT_COLOR }));
+        });
+    }
+
+    return wrapSvg(width, height, parts.join(''));
+}
+
+// ============ 迷你折线 ============
+
+function renderSparkline(spec, width, height) {
+    const data = spec.series[0].data;
+    const color = seriesColor(spec.series[0], 0);
+    const values = data.filter((value) => value !== null && value !== undefined);
+    if (values.length === 0) {
+        return wrapSvg(width, height, '');
+    }
+    const min = spec.y_min ?? Math.min(...values);
+    const max = spec.y_max ?? Math.max(...values);
+    const pad = 3;
+    const x = (i) => (data.length === 1 ? width / 2 : pad + i * (width - pad * 2) / (data.length - 1));
+    const y = (value) => (max === min ? height / 2 : pad + (height - pad * 2) * (1 - (value - min) / (max - min)));
+
+    const points = data.map((value, i) => (value === null || value === undefined ? null : [x(i), y(value)])).filter(Boolean);
+    const path = points.map(([px, py], i) => `${i === 0 ? 'M' : 'L'}${round(px)} ${round(py)}`).join(' ');
+    const [lastX, lastY] = points[points.length - 1];
+    const parts = [];
+    if (points.length > 1) {
+        parts.push(`<path d="${path} L${round(lastX)} ${height} L${round(points[0][0])} ${height} Z" fill-opacity="0.15" style="fill: ${color}"/>`);
+        parts.push(`<path d="${path}" fill="none" stroke-width="1.5" stroke-linejoin="round" stroke-linecap="round" style="stroke: ${color}"/>`);
+    }
+    parts.push(`<circle cx="${round(lastX)}" cy="${round(lastY)}" r="2.5" style="fill: ${color}"/>`);
+    return wrapSvg(width, height, parts.join(''));
+}
+
+/**
+ * 生成图表 SVG
+ * @param {object} spec - 图表数据（见 schemas.js 的 chartSpec）
+ * @param {string} [spec.type] - line | bar | pie | sparkline，默认 line
+ * @param {string[]} [spec.labels] - 横轴标签（饼图为各扇区名称）
+ * @param {Array<{ name?: string, data: Array<number|null>, color?: string }>} spec.series - 数据序列，饼图与迷你折线只用第一个
+ * @param {object} options
+ * @param {number} options.width - SVG 宽度
+ * @param {number} [options.height] - SVG 高度，缺省时取 spec.height 或该类型的默认高度
+ * @returns {string} SVG 标记
+ */
+function renderChart(spec, { width, height }) {
+    const type = spec.type || 'line';
+    const chartHeight = height || spec.height || DEFAULT_HEIGHTS[type];
+    const chartWidth = Math.round(width);
+    const normalized = { ...spec, type };
+    if (type === 'pie') {
+        return renderPie(normalized, chartWidth, chartHeight);
+    }
+    if (type === 'sparkline') {
+        return renderSparkline(normalized, chartWidth, chartHeight);
+    }
+    return renderCartesian(normalized, chartWidth, chartHeight);
+}
+
+/**
+ * 序列摘要：最新值、最高、最低与首尾涨跌
+ * @param {Array<number|null>} data
+ * @returns {object|null} { last, max, min, change, change_pct }，change_pct 为百分比（首值为 0 时为 null），无数据时为 null
+ */
+function summarizeSeries(data) {
+    const values = data.filter((value) => value !== null && value !== undefined);
+    if (values.length === 0) {
+        return null;
+    }
+    const first = values[0];
+    const last = values[values.length - 1];
+    return {
+        last,
+        max: Math.max(...values),
+        min: Math.min(...values),
+        change: round(last - first),
+        change_pct: first !== 0 ? round((last - first) / Math.abs(first) * 100) : null
+    };
+}
+
+module.exports = {
+    CHART_TYPES,
+    renderChart,
+    summarizeSeries,
+    formatValue
+};
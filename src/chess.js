@@ -0,0 +1,534 @@
+/**
+ * 国际象棋规则与记谱：FEN / PGN 解析、合法着法、SAN 记谱、将军与终局判断
+ *
+ * 棋盘为 64 个元素的一维数组，index = rank * 8 + file，rank 0 为白方底线（第 1 横线），file 0 为 a 列，
+ * 元素为颜色（W / B）+ 兵种：K 王、Q 后、R 车、B 象、N 马、P 兵（与 chess.ejs 一致）
+ */
+
+const INITIAL_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+
+// 子力价值（用于吃子栏的子力差）
+const PIECE_VALUES = { Q: 9, R: 5, B: 3, N: 3, P: 1, K: 0 };
+
+// 开局时各兵种的数量（用于推算被吃掉的棋子）
+const INITIAL_COUNTS = { Q: 1, R: 2, B: 2, N: 2, P: 8 };
+
+const KNIGHT_STEPS = [[1, 2], [2, 1], [2, -1], [1, -2], [-1, -2], [-2, -1], [-2, 1], [-1, 2]];
+const KING_STEPS = [[1, 0], [1, 1], [0, 1], [-1, 1], [-1, 0], [-1, -1], [0, -1], [1, -1]];
+const ROOK_DIRECTIONS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+const BISHOP_DIRECTIONS = [[1, 1], [1, -1], [-1, 1], [-1, -1]];
+const PROMOTIONS = ['Q', 'R', 'B', 'N'];
+
+// 王车易位：王与车的起止位置
+const CASTLING = {
+    K: { king: [4, 6], rook: [7, 5], path: [5, 6], safe: [4, 5, 6] },
+    Q: { king: [4, 2], rook: [0, 3], path: [1, 2, 3], safe: [4, 3, 2] }
+};
+
+function chessError(message) {
+    const error = new Error(message);
+    error.chess = true;
+    return error;
+}
+
+function opponent(color) {
+    return color === 'W' ? 'B' : 'W';
+}
+
+const fileOf = (index) => index % 8;
+const rankOf = (index) => Math.floor(index / 8);
+
+/**
+ * 位置索引 <-> 坐标（如 e4）
+ */
+function squareName(index) {
+    return 'abcdefgh'[fileOf(index)] + (rankOf(index) + 1);
+}
+
+function parseSquare(name) {
+    return (Number(name[1]) - 1) * 8 + name.charCodeAt(0) - 97;
+}
+
+// 沿 (df, dr) 移动一步，越界返回 -1
+function offset(index, df, dr) {
+    const file = fileOf(index) + df;
+    const rank = rankOf(index) + dr;
+    return file >= 0 && file < 8 && rank >= 0 && rank < 8 ? rank * 8 + file : -1;
+}
+
+/**
+ * 解析 FEN
+ * @returns {{ board: string[], turn: string, castling: string, ep: number|null, halfmove: number, fullmove: number }}
+ * @throws {Error} 格式错误（error.chess 为 true）
+ */
+function parseFen(fen) {
+    const fields = String(fen).trim().split(/\s+/);
+    const ranks = fields[0].split('/');
+    if (ranks.length !== 8) {
+        throw chessError(`FEN 需包含 8 行，实际为 ${ranks.length} 行`);
+    }
+
+    const board = Array(64).fill('');
+    ranks.forEach((row, i) => {
+        const rank = 7 - i;
+        let file = 0;
+        for (const char of row) {
+            if (/[1-8]/.test(char)) {
+                file += Number(char);
+                continue;
+            }
+            if (!/^[kqrbnp]$/i.test(char)) {
+                throw chessError(`无法识别的棋子 "${char}"`);
+            }
+            if (file < 8) {
+                board[rank * 8 + file] = (char === char.toUpperCase() ? 'W' : 'B') + char.toUpperCase();
+            }
+            file++;
+        }
+        if (file !== 8) {
+            throw chessError(`第 ${i + 1} 行应为 8 列，实际为 ${file} 列`);
+        }
+    });
+
+    ['W', 'B'].forEach((color) => {
+        const kings = board.filter((piece) => piece === `${color}K`).length;
+        if (kings !== 1) {
+            throw chessError(`${color === 'W' ? '白' : '黑'}方应有且只有一个王`);
+        }
+    });
+
+    const side = (fields[1] || 'w').toLowerCase();
+    if (side !== 'w' && side !== 'b') {
+        throw chessError(`行棋方应为 w 或 b，实际为 "${fields[1]}"`);
+    }
+    const ep = /^[a-h][36]$/.test(fields[3] || '') ? parseSquare(fields[3]) : null;
+    return {
+        board,
+        turn: side === 'b' ? 'B' : 'W',
+        castling: /^[KQkq]+$/.test(fields[2] || '') ? fields[2] : '',
+        ep,
+        halfmove: parseInt(fields[4], 10) || 0,
+        fullmove: parseInt(fields[5], 10) || 1
+    };
+}
+
+/**
+ * square 是否受到 color 一方的攻击
+ */
+function isAttacked(board, square, color) {
+    const pawnRank = color === 'W' ? -1 : 1;
+    if ([-1, 1].some((df) => board[offset(square, df, pawnRank)] === `${color}P`)) {
+        return true;
+    }
+    if (KNIGHT_STEPS.some(([df, dr]) => board[offset(square, df, dr)] === `${color}N`)) {
+        return true;
+    }
+    if (KING_STEPS.some(([df, dr]) => board[offset(square, df, dr)] === `${color}K`)) {
+        return true;
+    }
+    const slides = (directions, types) => directions.some(([df, dr]) => {
+        let index = offset(square, df, dr);
+        while (index !== -1) {
+            const piece = board[index];
+            if (piece) {
+                return piece[0] === color && types.includes(piece[1]);
+            }
+            index = offset(index, df, dr);
+        }
+        return false;
+    });
+    return slides(ROOK_DIRECTIONS, 'RQ') || slides(BISHOP_DIRECTIONS, 'BQ');
+}
+
+/**
+ * color 一方的王是否正被将军
+ */
+function isInCheck(board, color) {
+    const king = board.indexOf(`${color}K`);
+    return king !== -1 && isAttacked(board, king, opponent(color));
+}
+
+/**
+ * 行棋方的伪合法着法（不检查走子后己方是否被将军）
+ */
+function pseudoMoves(state) {
+    const { board, turn } = state;
+    const moves = [];
+    const add = (from, to, extra = {}) => moves.push({ from, to, ...extra });
+
+    board.forEach((piece, from) => {
+        if (!piece || piece[0] !== turn) return;
+        const type = piece[1];
+
+        if (type === 'P') {
+            const dir = turn === 'W' ? 1 : -1;
+            const lastRank = turn === 'W' ? 7 : 0;
+            const addPawn = (to, extra) => {
+                if (rankOf(to) === lastRank) {
+                    PROMOTIONS.forEach((promotion) => add(from, to, { ...extra, promotion }));
+                } else {
+                    add(from, to, extra);
+                }
+            };
+            const one = offset(from, 0, dir);
+            if (one !== -1 && !board[one]) {
+                addPawn(one);
+                const two = offset(from, 0, dir * 2);
+                if (rankOf(from) === (turn === 'W' ? 1 : 6) && !board[two]) {
+                    add(from, two);
+                }
+            }
+            [-1, 1].forEach((df) => {
+                const to = offset(from, df, dir);
+                if (to === -1) return;
+                if (board[to] && board[to][0] !== turn) {
+                    addPawn(to);
+                } else if (to === state.ep) {
+                    add(from, to, { enPassant: true });
+                }
+            });
+            return;
+        }
+
+        const steps = { N: KNIGHT_STEPS, K: KING_STEPS }[type];
+        if (steps) {
+            steps.forEach(([df, dr]) => {
+                const to = offset(from, df, dr);
+                if (to !== -1 && (!board[to] || board[to][0] !== turn)) add(from, to);
+            });
+        } else {
+            const directions = {
+                R: ROOK_DIRECTIONS,
+                B: BISHOP_DIRECTIONS,
+                Q: ROOK_DIRECTIONS.concat(BISHOP_DIRECTIONS)
+            }[type];
+            directions.forEach(([df, dr]) => {
+                let to = offset(from, df, dr);
+                while (to !== -1) {
+                    if (board[to]) {
+                        if (board[to][0] !== turn) add(from, to);
+                        break;
+                    }
+                    add(from, to);
+                    to = offset(to, df, dr);
+                }
+            });
+        }
+    });
+
+    // 王车易位：王与车未动过、中间无子、王经过的格子不受攻击
+    const base = turn === 'W' ? 0 : 56;
+    Object.keys(CASTLING).forEach((side) => {
+        const right = turn === 'W' ? side : side.toLowerCase();
+        const { king, rook, path, safe } = CASTLING[side];
+        if (!state.castling.includes(right)
+            || board[base + king[0]] !== `${turn}K`
+            || board[base + rook[0]] !== `${turn}R`
+            || path.some((file) => board[base + file])
+            || safe.some((file) => isAttacked(board, base + file, opponent(turn)))) {
+            return;
+        }
+        add(base + king[0], base + king[1], { castle: side });
+    });
+
+    return moves;
+}
+
+/**
+ * 执行着法，返回新局面
+ */
+function applyMove(state, move) {
+    const board = state.board.slice();
+    const piece = board[move.from];
+    const captured = board[move.to];
+    board[move.to] = move.promotion ? piece[0] + move.promotion : piece;
+    board[move.from] = '';
+
+    if (move.enPassant) {
+        board[move.to + (state.turn === 'W' ? -8 : 8)] = '';
+    }
+    if (move.castle) {
+        const base = state.turn === 'W' ? 0 : 56;
+        const [rookFrom, rookTo] = CASTLING[move.castle].rook;
+        board[base + rookTo] = board[base + rookFrom];
+        board[base + rookFrom] = '';
+    }
+
+    // 王或车离开原位、车在原位被吃后失去对应的易位权
+    const lost = { 4: 'KQ', 0: 'Q', 7: 'K', 60: 'kq', 56: 'q', 63: 'k' };
+    let castling = state.castling;
+    [move.from, move.to].forEach((square) => {
+        (lost[square] || '').split('').forEach((right) => {
+            castling = castling.replace(right, '');
+        });
+    });
+
+    const double = piece[1] === 'P' && Math.abs(move.to - move.from) === 16;
+    return {
+        board,
+        turn: opponent(state.turn),
+        castling,
+        ep: double ? (move.from + move.to) / 2 : null,
+        halfmove: piece[1] === 'P' || captured ? 0 : state.halfmove + 1,
+        fullmove: state.turn === 'B' ? state.fullmove + 1 : state.fullmove
+    };
+}
+
+/**
+ * 行棋方的合法着法
+ */
+function legalMoves(state) {
+    return pseudoMoves(state).filter((move) => !isInCheck(applyMove(state, move).board, state.turn));
+}
+
+/**
+ * 着法 -> SAN（如 Nf3、exd5、O-O、e8=Q#）
+ */
+function formatSan(state, move, moves = legalMoves(state)) {
+    const piece = state.board[move.from];
+    let san;
+    if (move.castle) {
+        san = move.castle === 'K' ? 'O-O' : 'O-O-O';
+    } else {
+        const capture = state.board[move.to] || move.enPassant;
+        if (piece[1] === 'P') {
+            san = capture ? `${squareName(move.from)[0]}x` : '';
+        } else {
+            // 同兵种可走到同一格时，按列、行或完整坐标区分
+            const rivals = moves.filter((other) => other.to === move.to && other.from !== move.from
+                && state.board[other.from] === piece);
+            let hint = '';
+            if (rivals.length > 0) {
+                const from = squareName(move.from);
+                if (rivals.every((other) => fileOf(other.from) !== fileOf(move.from))) {
+                    hint = from[0];
+                } else if (rivals.every((other) => rankOf(other.from) !== rankOf(move.from))) {
+                    hint = from[1];
+                } else {
+                    hint = from;
+                }
+            }
+            san = piece[1] + hint + (capture ? 'x' : '');
+        }
+        san += squareName(move.to) + (move.promotion ? `=${move.promotion}` : '');
+    }
+
+    const next = applyMove(state, move);
+    if (isInCheck(next.board, next.turn)) {
+        san += legalMoves(next).length === 0 ? '#' : '+';
+    }
+    return san;
+}
+
+/**
+ * 解析 SAN 或 UCI 着法（Nf3、exd5、O-O、e7e8q）
+ * @returns {object} 合法着法
+ * @throws {Error} 无法识别、不合法或有歧义（error.chess 为 true）
+ */
+function parseMove(state, notation, moves = legalMoves(state)) {
+    const text = String(notation).trim().replace(/[+#!?]+$/, '').replace(/0/g, 'O');
+
+    let candidates;
+    const castle = { 'O-O': 'K', 'O-O-O': 'Q' }[text];
+    const uci = /^([a-h][1-8])([a-h][1-8])([qrbn])?$/.exec(text);
+    const san = /^([KQRBN])?([a-h])?([1-8])?x?([a-h][1-8])(?:=?([QRBN]))?$/.exec(text);
+    if (castle) {
+        candidates = moves.filter((move) => move.castle === castle);
+    } else if (uci) {
+        const promotion = uci[3] ? uci[3].toUpperCase() : undefined;
+        candidates = moves.filter((move) => squareName(move.from) === uci[1] && squareName(move.to) === uci[2]
+            && move.promotion === (promotion || (move.promotion && 'Q')));
+    } else if (san) {
+        const [, type = 'P', file, rank, to, promotion] = san;
+        candidates = moves.filter((move) => {
+            const from = squareName(move.from);
+            return state.board[move.from][1] === type
+                && squareName(move.to) === to
+                && (!file || from[0] === file)
+                && (!rank || from[1] === rank)
+                && move.promotion === promotion;
+        });
+    } else {
+        throw chessError(`无法识别的着法 "${notation}"`);
+    }
+
+    if (candidates.length === 0) {
+        throw chessError(`着法 "${notation}" 不合法`);
+    }
+    if (candidates.length > 1) {
+        throw chessError(`着法 "${notation}" 有歧义`);
+    }
+    return candidates[0];
+}
+
+/**
+ * 解析 PGN：标签与主线着法（忽略注释、变着与 NAG）
+ * @returns {{ headers: object, moves: string[], result: string|null }}
+ */
+function parsePgn(text) {
+    const source = String(text);
+    const headers = {};
+    const headerRe = /\[\s*(\w+)\s+"((?:[^"\\]|\\.)*)"\s*\]/g;
+    let match;
+    while ((match = headerRe.exec(source)) !== null) {
+        headers[match[1]] = match[2].replace(/\\(.)/g, '$1');
+    }
+
+    const body = source.replace(headerRe, ' ');
+    let movetext = '';
+    let depth = 0;
+    for (let i = 0; i < body.length; i++) {
+        const char = body[i];
+        if (char === '{') {
+            const end = body.indexOf('}', i);
+            if (end === -1) throw chessError('注释缺少 "}"');
+            i = end;
+        } else if (char === ';') {
+            const end = body.indexOf('\n', i);
+            i = end === -1 ? body.length : end;
+        } else if (char === '(') {
+            depth++;
+        } else if (char === ')') {
+            if (depth === 0) throw chessError('多余的 ")"');
+            depth--;
+        } else if (depth === 0) {
+            movetext += char;
+        }
+    }
+    if (depth > 0) {
+        throw chessError('变着缺少 ")"');
+    }
+
+    const moves = [];
+    let result = null;
+    movetext.split(/\s+/).forEach((token) => {
+        const move = token.replace(/^\d+\.+/, '');
+        if (!move || /^\$\d+$/.test(move)) return;
+        if (/^(1-0|0-1|1\/2-1\/2|\*)$/.test(move)) {
+            result = move;
+            return;
+        }
+        moves.push(move);
+    });
+    return { headers, moves, result: result || headers.Result || null };
+}
+
+/**
+ * 被吃掉的棋子（按开局子力推算，升变按兵计）与子力差
+ * @returns {{ captured_white: string[], captured_black: string[], material_diff: number }}
+ *          captured_white 为被吃掉的白子兵种，material_diff 为白方子力减黑方子力
+ */
+function capturedMaterial(board) {
+    const result = {};
+    let diff = 0;
+    ['W', 'B'].forEach((color) => {
+        const counts = {};
+        board.forEach((piece) => {
+            if (piece && piece[0] === color) {
+                counts[piece[1]] = (counts[piece[1]] || 0) + 1;
+                diff += (color === 'W' ? 1 : -1) * PIECE_VALUES[piece[1]];
+            }
+        });
+        // 升变多出的棋子从兵中扣除
+        let promoted = 0;
+        const captured = [];
+        ['Q', 'R', 'B', 'N'].forEach((type) => {
+            const missing = INITIAL_COUNTS[type] - (counts[type] || 0);
+            if (missing < 0) promoted -= missing;
+            for (let i = 0; i < missing; i++) captured.push(type);
+        });
+        const pawns = INITIAL_COUNTS.P - (counts.P || 0) - promoted;
+        for (let i = 0; i < pawns; i++) captured.push('P');
+        result[color === 'W' ? 'captured_white' : 'captured_black'] = captured;
+    });
+    return { ...result, material_diff: diff };
+}
+
+/**
+ * 由 FEN 或 PGN 推演局面
+ * @param {object} options
+ * @param {string} options.fen - 起始局面（PGN 中的 FEN 标签优先），默认开局局面
+ * @param {string} options.pgn - PGN 棋谱
+ * @param {number} options.ply - 重放到第几个半回合，默认到棋谱末尾
+ * @returns {object} board、current_turn、move_count、last_move、in_check、is_finished、winner、result_text、
+ *                   history（[{ round, side, text }]），以及 PGN 中的对局者与赛事名称
+ * @throws {Error} FEN / PGN 无法解析、着法不合法或 ply 超出范围（error.chess 为 true，error.path 指明字段）
+ */
+function replayGame({ fen, pgn, ply }) {
+    const withPath = (path, fn) => {
+        try {
+            return fn();
+        } catch (error) {
+            if (error.chess) error.path = path;
+            throw error;
+        }
+    };
+
+    const record = pgn ? withPath('pgn', () => parsePgn(pgn)) : { headers: {}, moves: [], result: null };
+    let state = withPath(pgn && record.headers.FEN ? 'pgn' : 'fen', () => parseFen(record.headers.FEN || fen || INITIAL_FEN));
+    if (ply !== undefined && ply > record.moves.length) {
+        throw Object.assign(chessError(`ply 超出棋谱着法数（共 ${record.moves.length} 个半回合）`), { path: 'ply' });
+    }
+
+    const played = record.moves.slice(0, ply);
+    const history = [];
+    let lastMove = null;
+    played.forEach((notation, index) => {
+        const moves = legalMoves(state);
+        const move = withPath('pgn', () => {
+            try {
+                return parseMove(state, notation, moves);
+            } catch (error) {
+                error.message = `第 ${index + 1} 个半回合：${error.message}`;
+                throw error;
+            }
+        });
+        history.push({ round: state.fullmove, side: state.turn, text: formatSan(state, move, moves) });
+        state = applyMove(state, move);
+        lastMove = { from: squareName(move.from), to: squareName(move.to) };
+    });
+
+    const inCheck = isInCheck(state.board, state.turn);
+    const data = {
+        board: state.board,
+        current_turn: state.turn,
+        move_count: state.turn === 'W' ? state.fullmove - 1 : state.fullmove,
+        last_move: lastMove,
+        in_check: inCheck,
+        is_finished: false,
+        winner: null,
+        result_text: '',
+        history
+    };
+
+    if (legalMoves(state).length === 0) {
+        // 将杀或逼和
+        data.is_finished = true;
+        data.winner = inCheck ? opponent(state.turn) : null;
+        data.result_text = inCheck ? '将杀' : '逼和';
+    } else if (played.length === record.moves.length && record.result && record.result !== '*') {
+        data.is_finished = true;
+        data.winner = { '1-0': 'W', '0-1': 'B' }[record.result] || null;
+        data.result_text = record.result;
+    }
+
+    const header = (key) => (record.headers[key] && record.headers[key] !== '?' ? record.headers[key] : undefined);
+    if (header('White')) data.white_player_name = header('White');
+    if (header('Black')) data.black_player_name = header('Black');
+    if (header('Event')) data.event = header('Event');
+    return data;
+}
+
+module.exports = {
+    INITIAL_FEN,
+    squareName,
+    parseSquare,
+    parseFen,
+    parsePgn,
+    legalMoves,
+    formatSan,
+    parseMove,
+    isInCheck,
+    capturedMaterial,
+    replayGame
+};
@@ -0,0 +1,97 @@
+/**
+ * 围棋规则：落子与提子
+ *
+ * 棋盘为 size * size 的一维数组，index = y * size + x，y = 0 为最下面一行（与 go.ejs 一致），
+ * 元素为 'B'、'W' 或 ''
+ */
+
+// 列坐标（跳过 I）
+const GO_COLUMNS = 'ABCDEFGHJKLMNOPQRST';
+
+function opponent(color) {
+    return color === 'B' ? 'W' : 'B';
+}
+
+function neighbors(index, size) {
+    const x = index % size;
+    const y = Math.floor(index / size);
+    const result = [];
+    if (x > 0) result.push(index - 1);
+    if (x < size - 1) result.push(index + 1);
+    if (y > 0) result.push(index - size);
+    if (y < size - 1) result.push(index + size);
+    return result;
+}
+
+/**
+ * 与 index 相连的同色棋子及其气数
+ */
+function collectGroup(board, size, index) {
+    const color = board[index];
+    const stones = [index];
+    const seen = new Set(stones);
+    const liberties = new Set();
+    for (let i = 0; i < stones.length; i++) {
+        neighbors(stones[i], size).forEach((next) => {
+            if (!board[next]) {
+                liberties.add(next);
+            } else if (board[next] === color && !seen.has(next)) {
+                seen.add(next);
+                stones.push(next);
+            }
+        });
+    }
+    return { stones, liberties: liberties.size };
+}
+
+/**
+ * 落子并提去无气的对方棋子（不检查打劫）
+ * @param {string[]} board - 当前棋盘（不会被修改）
+ * @param {number} size - 棋盘尺寸
+ * @param {number} index - 落子位置
+ * @param {string} color - 'B' 或 'W'
+ * @returns {{ board: string[], captured: number[] }} 落子后的棋盘与被提子的位置
+ * @throws {Error} 位置越界、已有棋子或自杀
+ */
+function playMove(board, size, index, color) {
+    if (!Number.isInteger(index) || index < 0 || index >= size * size) {
+        throw new Error(`落子位置需为 0-${size * size - 1} 的整数`);
+    }
+    if (board[index]) {
+        throw new Error(`${formatPoint(index, size)} 已有棋子`);
+    }
+
+    const next = board.slice();
+    next[index] = color;
+
+    const captured = [];
+    neighbors(index, size).forEach((adjacent) => {
+        if (next[adjacent] !== opponent(color)) return;
+        const group = collectGroup(next, size, adjacent);
+        if (group.liberties === 0) {
+            group.stones.forEach((stone) => {
+                next[stone] = '';
+                captured.push(stone);
+            });
+        }
+    });
+
+    if (captured.length === 0 && collectGroup(next, size, index).liberties === 0) {
+        throw new Error(`${formatPoint(index, size)} 为禁着点（自杀）`);
+    }
+    return { board: next, captured };
+}
+
+/**
+ * 位置索引 -> 棋盘坐标（如 D4）
+ */
+function formatPoint(index, size) {
+    return `${GO_COLUMNS[index % size]}${Math.floor(index / size) + 1}`;
+}
+
+module.exports = {
+    GO_COLUMNS,
+    opponent,
+    playMove,
+    formatPoint
+};
@@ -0,0 +1,564 @@
+/**
+ * iCalendar（.ics）与课表课程的互相转换
+ *
+ * 导入：按周重复的 VEVENT（RRULE FREQ=WEEKLY，支持 INTERVAL / COUNT / UNTIL / BYDAY，以及 EXDATE、RDATE、
+ * RECURRENCE-ID）展开为上课日期，再按开学日期与节次时间表换算为 weekday / section_start / section_end / weeks
+ * 导出：每门课生成一个每周重复的事件，中间停课的周以 EXDATE 表示
+ *
+ * 日期以 1970-01-01 起的天数表示，时刻以当天的分钟数表示（均为 timezone 下的本地时间）
+ */
+
+const crypto = require('crypto');
+const { DEFAULT_SECTIONS, MAX_WEEK, formatWeeks, courseSpan, courseWeeks } = require('./timetable');
+
+// 课表所在时区（导入时换算 UTC 时刻、导出时写入 TZID）
+const DEFAULT_TIMEZONE = 'Asia/Shanghai';
+// 未给出周次的课程导出时按此周数重复
+const DEFAULT_TOTAL_WEEKS = 20;
+// 单个事件最多展开的次数
+const MAX_OCCURRENCES = 500;
+// 导入的课程数上限（与 timetable 的 courses 一致）
+const MAX_COURSES = 200;
+
+const DAY_MS = 86400000;
+const WEEKDAY_CODES = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+
+function icsError(message, path = 'ics') {
+    const error = new Error(message);
+    error.ics = true;
+    error.path = path;
+    return error;
+}
+
+// ============ 时区 ============
+
+const zoneFormats = new Map();
+
+function zoneFormat(timezone) {
+    if (!zoneFormats.has(timezone)) {
+        zoneFormats.set(timezone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return zoneFormats.get(timezone);
+}
+
+function isTimezone(timezone) {
+    try {
+        zoneFormat(timezone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * 时区在某一 UTC 时刻的偏移（毫秒）
+ */
+function zoneOffset(utc, timezone) {
+    const parts = {};
+    zoneFormat(timezone).formatToParts(new Date(utc)).forEach(({ type, value }) => {
+        parts[type] = Number(value);
+    });
+    const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return local - Math.floor(utc / 1000) * 1000;
+}
+
+// ============ 日期 ============
+
+// 星期，0 为周一（1970-01-01 为周四）
+function weekdayOf(day) {
+    return (day + 3) % 7;
+}
+
+function mondayOf(day) {
+    return day - weekdayOf(day);
+}
+
+function dayToString(day) {
+    return new Date(day * DAY_MS).toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+/**
+ * "2025-02-24" -> 天数
+ */
+function parseDate(value) {
+    const match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(String(value).trim());
+    if (!match) {
+        return null;
+    }
+    const time = Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    return Number.isNaN(time) ? null : time / DAY_MS;
+}
+
+// ============ 解析 ============
+
+/**
+ * 拆分内容行：展开折行，解析属性名、参数与值
+ */
+function parseLines(text) {
+    return String(text)
+        .replace(/\r\n?/g, '\n')
+        .replace(/\n[ \t]/g, '')
+        .split('\n')
+        .filter((line) => line.trim())
+        .map((line) => {
+            // 属性值以第一个不在引号内的冒号开始
+            let colon = -1;
+            let quoted = false;
+            for (let i = 0; i < line.length; i++) {
+                if (line[i] === '"') quoted = !quoted;
+                if (line[i] === ':' && !quoted) {
+                    colon = i;
+                    break;
+                }
+            }
+            const head = colon === -1 ? line : line.slice(0, colon);
+            const [name, ...params] = head.split(';');
+            return {
+                name: name.trim().toUpperCase(),
+                params: Object.fromEntries(params.map((param) => {
+                    const [key, ...value] = param.split('=');
+                    return [key.trim().toUpperCase(), value.join('=').replace(/^"|"$/g, '')];
+                })),
+                value: colon === -1 ? '' : line.slice(colon + 1)
+            };
+        });
+}
+
+function unescapeText(value) {
+    return value.replace(/\\([\\;,nN])/g, (_, char) => (char === 'n' || char === 'N' ? '\n' : char)).trim();
+}
+
+/**
+ * 解析日期或日期时间，换算为 timezone 下的本地时间
+ * @returns {{ day: number, minutes: number, allDay: boolean }|null}
+ */
+function parseDateTime(value, params, timezone) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value.trim());
+    if (!match) {
+        return null;
+    }
+    const [, year, month, date, hour = '0', minute = '0', second = '0', utc] = match;
+    const wall = Date.UTC(Number(year), Number(month) - 1, Number(date), Number(hour), Number(minute), Number(second));
+    let local = wall;
+    if (utc) {
+        local = wall + zoneOffset(wall, timezone);
+    } else if (params.TZID && params.TZID !== timezone && isTimezone(params.TZID)) {
+        // 其他时区的本地时间先换算为 UTC（无法识别的 TZID 视为课表所在时区）
+        const instant = wall - zoneOffset(wall, params.TZID);
+        local = instant + zoneOffset(instant, timezone);
+    }
+    return {
+        day: Math.floor(local / DAY_MS),
+        minutes: Math.round((local % DAY_MS) / 60000),
+        allDay: match[4] === undefined
+    };
+}
+
+/**
+ * "PT1H35M" -> 分钟
+ */
+function parseDuration(value) {
+    const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+    if (!match) {
+        return null;
+    }
+    const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0] = match;
+    const total = ((Number(weeks) * 7 + Number(days)) * 24 + Number(hours)) * 60 + Number(minutes);
+    return sign === '-' ? -total : total;
+}
+
+/**
+ * 取出 VEVENT（忽略嵌套的 VALARM 等组件）
+ * @returns {Array<Map<string, Array<{ params: object, value: string }>>>}
+ */
+function parseEvents(text) {
+    const lines = parseLines(text);
+    if (!lines.length || lines[0].name !== 'BEGIN' || lines[0].value.trim().toUpperCase() !== 'VCALENDAR') {
+        throw icsError('不是有效的 iCalendar 数据（需以 BEGIN:VCALENDAR 开头）');
+    }
+
+    const events = [];
+    const stack = [];
+    lines.forEach((line) => {
+        const component = line.value.trim().toUpperCase();
+        if (line.name === 'BEGIN') {
+            stack.push(component);
+            if (component === 'VEVENT') {
+                events.push(new Map());
+            }
+        } else if (line.name === 'END') {
+            stack.pop();
+        } else if (stack[stack.length - 1] === 'VEVENT') {
+            const props = events[events.length - 1];
+            if (!props.has(line.name)) {
+                props.set(line.name, []);
+            }
+            props.get(line.name).push(line);
+        }
+    });
+    return events;
+}
+
+function prop(event, name) {
+    return event.has(name) ? event.get(name)[0] : null;
+}
+
+// 多值属性（EXDATE、RDATE）中的全部日期
+function propDays(event, name, timezone) {
+    return (event.get(name) || [])
+        .flatMap(({ value, params }) => value.split(',').map((item) => parseDateTime(item, params, timezone)))
+        .filter(Boolean)
+        .map((time) => time.day);
+}
+
+/**
+ * 展开每周重复规则
+ * @returns {number[]} 上课日期（未去除 EXDATE）
+ */
+function expandWeekly(rule, startDay, timezone, summary) {
+    const parts = Object.fromEntries(rule.split(';').filter(Boolean).map((part) => {
+        const [key, ...value] = part.split('=');
+        return [key.trim().toUpperCase(), value.join('=').trim()];
+    }));
+    if (parts.FREQ !== 'WEEKLY') {
+        throw icsError(`"${summary}" 的重复规则 FREQ=${parts.FREQ} 不受支持（仅支持 WEEKLY）`);
+    }
+
+    const interval = Math.max(1, parseInt(parts.INTERVAL, 10) || 1);
+    const count = parseInt(parts.COUNT, 10) || 0;
+    const until = parts.UNTIL ? parseDateTime(parts.UNTIL, {}, timezone) : null;
+    // 没有 COUNT 与 UNTIL 时最多展开一个学期
+    const lastDay = until ? until.day : startDay + MAX_WEEK * 7;
+    const weekdays = parts.BYDAY
+        ? parts.BYDAY.split(',').map((code) => WEEKDAY_CODES.indexOf(code.trim().slice(-2).toUpperCase())).filter((i) => i >= 0)
+        : [weekdayOf(startDay)];
+    weekdays.sort((a, b) => a - b);
+
+    const days = [];
+    for (let monday = mondayOf(startDay); monday <= lastDay; monday += interval * 7) {
+        for (const weekday of weekdays) {
+            const day = monday + weekday;
+            if (day < startDay || day > lastDay) continue;
+            days.push(day);
+            if ((count && days.length >= count) || days.length >= MAX_OCCURRENCES) {
+                return days;
+            }
+        }
+    }
+    return days;
+}
+
+/**
+ * 节次时间表 -> [{ index, start, end }]（分钟），跳过没有时间的节次
+ */
+function sectionMinutes(sections) {
+    const toMinutes = (time) => {
+        const [hour, minute] = time.split(':').map(Number);
+        return hour * 60 + minute;
+    };
+    return sections
+        .map((section, i) => ({ index: i + 1, start: section.start, end: section.end }))
+        .filter((section) => section.start && section.end)
+        .map((section) => ({ ...section, start: toMinutes(section.start), end: toMinutes(section.end) }));
+}
+
+// 开始 / 结束时刻最接近的节次
+function nearestSection(sections, minutes, key) {
+    return sections.reduce((best, section) => (
+        Math.abs(section[key] - minutes) < Math.abs(best[key] - minutes) ? section : best
+    ));
+}
+
+/**
+ * 从描述中提取教师，如 "教师：张老师"
+ */
+function findTeacher(description) {
+    const match = /(?:任课教师|授课教师|教师|老师|Teacher)\s*[:：]\s*([^\n,，;；]+)/i.exec(description);
+    return match ? match[1].trim() : '';
+}
+
+/**
+ * 将 iCalendar 中的课程事件换算为 timetable 的课程
+ * @param {object} options
+ * @param {string} options.ics - iCalendar 文本
+ * @param {object[]} [options.sections] - 节次时间表，缺省为 DEFAULT_SECTIONS
+ * @param {string} [options.term_start] - 第 1 周中的任意一天（YYYY-MM-DD），缺省为最早一次课所在的周
+ * @param {string} [options.timezone] - 课表所在时区
+ * @returns {object[]} 课程（weekday、section_start、section_end、course_name、location、teacher、weeks、weeks_raw）
+ * @throws {Error} 无法解析或超出范围（error.ics 为 true，error.path 指明字段）
+ */
+function importCalendar({ ics, sections, term_start: termStart, timezone = DEFAULT_TIMEZONE }) {
+    if (!isTimezone(timezone)) {
+        throw icsError(`无法识别的时区 "${timezone}"`, 'timezone');
+    }
+    const schedule = sectionMinutes(sections && sections.length > 0 ? sections : DEFAULT_SECTIONS);
+    if (schedule.length === 0) {
+        throw icsError('节次时间表中没有带时间的节次，无法换算', 'sections');
+    }
+
+    const events = parseEvents(ics).filter((event) => {
+        const status = prop(event, 'STATUS');
+        return !status || status.value.trim().toUpperCase() !== 'CANCELLED';
+    });
+
+    // 单独修改过的实例（RECURRENCE-ID）从原重复事件中去掉，按普通事件处理
+    const overridden = new Map();
+    events.forEach((event) => {
+        const uid = prop(event, 'UID');
+        const recurrence = prop(event, 'RECURRENCE-ID');
+        if (uid && recurrence) {
+            const time = parseDateTime(recurrence.value, recurrence.params, timezone);
+            if (time) {
+                if (!overridden.has(uid.value)) overridden.set(uid.value, []);
+                overridden.get(uid.value).push(time.day);
+            }
+        }
+    });
+
+    const occurrences = [];
+    events.forEach((event) => {
+        const start = prop(event, 'DTSTART');
+        const summary = unescapeText((prop(event, 'SUMMARY') || { value: '' }).value) || '未知课程';
+        const startTime = start && parseDateTime(start.value, start.params, timezone);
+        if (!startTime) {
+            throw icsError(`"${summary}" 缺少有效的 DTSTART`);
+        }
+        // 全天事件不是课程
+        if (startTime.allDay) {
+            return;
+        }
+
+        let duration = 0;
+        const end = prop(event, 'DTEND');
+        const durationProp = prop(event, 'DURATION');
+        if (end) {
+            const endTime = parseDateTime(end.value, end.params, timezone);
+            duration = endTime ? (endTime.day - startTime.day) * 1440 + endTime.minutes - startTime.minutes : 0;
+        } else if (durationProp) {
+            duration = parseDuration(durationProp.value) || 0;
+        }
+
+        const rule = prop(event, 'RRULE');
+        const uid = prop(event, 'UID');
+        const excluded = new Set(propDays(event, 'EXDATE', timezone));
+        if (uid && !prop(event, 'RECURRENCE-ID')) {
+            (overridden.get(uid.value) || []).forEach((day) => excluded.add(day));
+        }
+        const days = (rule ? expandWeekly(rule.value, startTime.day, timezone, summary) : [startTime.day])
+            .concat(propDays(event, 'RDATE', timezone))
+            .filter((day) => !excluded.has(day));
+
+        const description = unescapeText((prop(event, 'DESCRIPTION') || { value: '' }).value);
+        days.forEach((day) => occurrences.push({
+            day,
+            start: startTime.minutes,
+            end: startTime.minutes + duration,
+            name: summary,
+            location: unescapeText((prop(event, 'LOCATION') || { value: '' }).value),
+            teacher: findTeacher(description)
+        }));
+    });
+
+    if (occurrences.length === 0) {
+        throw icsError('没有找到带时间的课程事件（VEVENT）');
+    }
+
+    let firstMonday = mondayOf(Math.min(...occurrences.map((item) => item.day)));
+    if (termStart) {
+        const day = parseDate(termStart);
+        if (day === null) {
+            throw icsError('需为 YYYY-MM-DD 格式的日期', 'term_start');
+        }
+        firstMonday = mondayOf(day);
+    }
+
+    // 同一时间、同一课程的各次上课合并为一门课程
+    const courses = new Map();
+    occurrences.forEach((item) => {
+        const week = Math.floor((item.day - firstMonday) / 7) + 1;
+        if (week < 1 || week > MAX_WEEK) {
+            return;
+        }
+        const first = nearestSection(schedule, item.start, 'start');
+        const last = nearestSection(schedule.filter((section) => section.index >= first.index), item.end, 'end');
+        const course = {
+            weekday: weekdayOf(item.day) + 1,
+            section_start: first.index,
+            section_end: last.index,
+            course_name: item.name.slice(0, 60),
+            location: item.location.slice(0, 60),
+            teacher: item.teacher.slice(0, 40)
+        };
+        const key = JSON.stringify(course);
+        if (!courses.has(key)) {
+            courses.set(key, { ...course, weeks: new Set() });
+        }
+        courses.get(key).weeks.add(week);
+    });
+
+    if (courses.size > MAX_COURSES) {
+        throw icsError(`课程数超过 ${MAX_COURSES} 门`);
+    }
+    return Array.from(courses.values())
+        .map((course) => {
+            const weeks = Array.from(course.weeks).sort((a, b) => a - b);
+            return { ...course, weeks, weeks_raw: formatWeeks(weeks).slice(0, 60) };
+        })
+        .sort((a, b) => a.weekday - b.weekday || a.section_start - b.section_start);
+}
+
+// ============ 导出 ============
+
+function escapeText(value) {
+    return String(value).replace(/[\\;,]/g, (char) => `\\${char}`).replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * 折行：每行不超过 75 个字节（不拆开多字节字符）
+ */
+function foldLine(line) {
+    const chunks = [];
+    let current = '';
+    let bytes = 0;
+    for (const char of line) {
+        const size = Buffer.byteLength(char);
+        const limit = chunks.length === 0 ? 75 : 74;
+        if (bytes + size > limit) {
+            chunks.push(current);
+            current = '';
+            bytes = 0;
+        }
+        current += char;
+        bytes += size;
+    }
+    chunks.push(current);
+    return chunks.join('\r\n ');
+}
+
+function formatOffset(offset) {
+    const minutes = Math.round(Math.abs(offset) / 60000);
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${offset < 0 ? '-' : '+'}${pad(Math.floor(minutes / 60))}${pad(minutes % 60)}`;
+}
+
+/**
+ * 将 timetable 的课程导出为 iCalendar
+ * @param {object} options
+ * @param {object[]} options.courses - 同 timetable 的 courses
+ * @param {string} options.term_start - 第 1 周中的任意一天（YYYY-MM-DD）
+ * @param {object[]} [options.sections] - 节次时间表，缺省为 DEFAULT_SECTIONS
+ * @param {string} [options.timezone] - 课表所在时区
+ * @param {number} [options.total_weeks] - 未给出周次的课程重复的周数
+ * @param {string} [options.title] - 日历名称
+ * @returns {string} iCalendar 文本（CRLF 换行）
+ * @throws {Error} 节次没有时间等（error.ics 为 true，error.path 指明字段）
+ */
+function exportCalendar({
+    courses,
+    term_start: termStart,
+    sections,
+    timezone = DEFAULT_TIMEZONE,
+    total_weeks: totalWeeks = DEFAULT_TOTAL_WEEKS,
+    title = '课程表'
+}) {
+    if (!isTimezone(timezone)) {
+        throw icsError(`无法识别的时区 "${timezone}"`, 'timezone');
+    }
+    const startDay = parseDate(termStart);
+    if (startDay === null) {
+        throw icsError('需为 YYYY-MM-DD 格式的日期', 'term_start');
+    }
+    const firstMonday = mondayOf(startDay);
+    const schedule = sections && sections.length > 0 ? sections : DEFAULT_SECTIONS;
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+    const clock = (time) => time.replace(':', '').padStart(4, '0') + '00';
+
+    // 时区只写入开学时的偏移（适用于不实行夏令时的时区；日历应用通常按 TZID 识别）
+    const offset = formatOffset(zoneOffset(firstMonday * DAY_MS, timezone));
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//text2img//timetable//ZH',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(title)}`,
+        `X-WR-TIMEZONE:${timezone}`,
+        'BEGIN:VTIMEZONE',
+        `TZID:${timezone}`,
+        'BEGIN:STANDARD',
+        'DTSTART:19700101T000000',
+        `TZOFFSETFROM:${offset}`,
+        `TZOFFSETTO:${offset}`,
+        'END:STANDARD',
+        'END:VTIMEZONE'
+    ];
+
+    courses.forEach((course, index) => {
+        const [first, last] = courseSpan(course);
+        const startSection = schedule[first - 1];
+        const endSection = schedule[last - 1];
+        if (!startSection || !startSection.start) {
+            throw icsError(`第 ${first} 节没有时间，无法导出`, `courses[${index}].section_start`);
+        }
+        if (!endSection || !endSection.end) {
+            throw icsError(`第 ${last} 节没有时间，无法导出`, `courses[${index}].section_end`);
+        }
+
+        const weeks = courseWeeks(course) || Array.from({ length: totalWeeks }, (_, i) => i + 1);
+        // 周次等间隔（如单双周）时用 INTERVAL，否则逐周重复并排除停课的周
+        const step = weeks.length > 1 ? weeks[1] - weeks[0] : 1;
+        const regular = weeks.every((week, i) => i === 0 || week - weeks[i - 1] === step);
+        const interval = regular ? step : 1;
+        const total = regular ? weeks.length : weeks[weeks.length - 1] - weeks[0] + 1;
+        const dayOf = (week) => dayToString(firstMonday + (week - 1) * 7 + (course.weekday || 1) - 1);
+        const skipped = regular ? [] : Array.from({ length: total }, (_, i) => weeks[0] + i)
+            .filter((week) => !weeks.includes(week));
+
+        const uid = crypto.createHash('sha1')
+            .update(JSON.stringify([index, course.weekday, first, last, course.course_name, weeks]))
+            .digest('hex')
+            .slice(0, 20);
+        const description = [
+            course.teacher ? `教师：${course.teacher}` : '',
+            `周次：${course.weeks_raw || formatWeeks(weeks)}`,
+            `节次：第 ${first}-${last} 节`
+        ].filter(Boolean).join('\n');
+
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${uid}@text2img`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART;TZID=${timezone}:${dayOf(weeks[0])}T${clock(startSection.start)}`,
+            `DTEND;TZID=${timezone}:${dayOf(weeks[0])}T${clock(endSection.end)}`
+        );
+        if (total > 1) {
+            lines.push(`RRULE:FREQ=WEEKLY;INTERVAL=${interval};COUNT=${total}`);
+        }
+        if (skipped.length > 0) {
+            lines.push(`EXDATE;TZID=${timezone}:${skipped.map((week) => `${dayOf(week)}T${clock(startSection.start)}`).join(',')}`);
+        }
+        lines.push(`SUMMARY:${escapeText(course.course_name || '未知课程')}`);
+        if (course.location) {
+            lines.push(`LOCATION:${escapeText(course.location)}`);
+        }
+        lines.push(`DESCRIPTION:${escapeText(description)}`, 'END:VEVENT');
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    importCalendar,
+    exportCalendar
+};
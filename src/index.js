@@ -2,13 +2,49 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const renderService = require('./render');
+const metrics = require('./metrics');
+const registry = require('./registry');
+const schemas = require('./schemas');
+const { validate, validationError, validateBody } = require('./schema');
+const { BATCH_RESPONSE_TYPES, encodeBatch } = require('./batch');
+const { planPages } = require('./split');
+const { resolveTheme } = require('./themes');
+const sandbox = require('./sandbox');
+const { buildReplay, sampleFrames } = require('./replay');
+const { ANIMATION_FORMATS } = require('./animation');
+const { exportCalendar } = require('./ics');
 
 const app = express();
 const PORT = process.env.PORT || 51234;
 
+// 按路径取请求体大小上限：注册项的接口（旧路径或 /render/<name>）取其 bodyLimit，其余为默认值
+const routeEntries = new Map(registry.list().filter((entry) => entry.route).map((entry) => [entry.route, entry]));
+const jsonParsers = new Map();
+
+// 批量渲染：每个任务按默认上限计
+const BATCH_BODY_LIMIT = schemas.BATCH_MAX * registry.DEFAULT_BODY_LIMIT;
+
+function bodyLimitFor(pathname) {
+    const normalized = pathname.toLowerCase().replace(/\/+$/, '') || '/';
+    if (normalized === '/render/batch') {
+        return BATCH_BODY_LIMIT;
+    }
+    const match = /^\/render\/([^/]+)$/.exec(normalized);
+    const entry = routeEntries.get(normalized) || (match && registry.get(match[1]));
+    return entry ? entry.bodyLimit : registry.DEFAULT_BODY_LIMIT;
+}
+
+function jsonBody(req, res, next) {
+    const limit = bodyLimitFor(req.path);
+    if (!jsonParsers.has(limit)) {
+        jsonParsers.set(limit, express.json({ limit }));
+    }
+    jsonParsers.get(limit)(req, res, next);
+}
+
 // 中间件
 app.use(cors());
-app.use(express.json());
+app.use(jsonBody);
 
 // 请求日志
 app.use((req, res, next) => {
@@ -16,953 +52,582 @@ app.use((req, res, next) => {
     next();
 });
 
-// 获取星期几
-function getWeekday() {
-    const weekdays = ['日', '一', '二', '三', '四', '五', '六'];
-    return '星期' + weekdays[new Date().getDay()];
-}
+// 按路由统计响应状态（404 统一归为 unmatched，避免标签爆炸）
+app.use((req, res, next) => {
+    res.on('finish', () => {
+        let route = 'unmatched';
+        if (req.route) {
+            route = req.baseUrl + req.route.path;
+        } else if (res.statusCode !== 404) {
+            route = req.originalUrl.split('?')[0];
+        }
+        metrics.observeResponse(route, res.statusCode);
+    });
+    next();
+});
 
-// 获取当前日期
-function getDateStr() {
-    const now = new Date();
-    const year = now.getFullYear();
-    const month = now.getMonth() + 1;
-    const day = now.getDate();
-    return `${year}年${month}月${day}日`;
-}
+const FORMAT_ALIASES = { jpg: 'jpeg' };
 
-function sanitizeText(input, maxLen = 140) {
-    const text = String(input ?? '').replace(/\u0000/g, '').trim();
-    if (!text) return '';
-    return text.length > maxLen ? `${text.slice(0, maxLen - 3)}...` : text;
-}
+const PRIORITIES = ['high', 'normal', 'low'];
 
-function normalizeQfarmRows(rows) {
-    if (!Array.isArray(rows)) return [];
-    return rows.slice(0, 80).map((row) => {
-        if (row && typeof row === 'object') {
-            const label = sanitizeText(row.label, 40);
-            const value = sanitizeText(row.value, 220);
-            if (label) return { label, value };
-            return { value };
-        }
-        return { value: sanitizeText(row, 220) };
-    }).filter((row) => row.value || row.label);
-}
+// max_height 取值范围（CSS 像素）
+const MIN_PAGE_HEIGHT = 300;
+const MAX_PAGE_HEIGHT = 20000;
 
-// 健康检查
-app.get('/health', (req, res) => {
-    res.json({ status: 'ok', timestamp: new Date().toISOString() });
-});
+function badRequest(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
 
 /**
- * 通用渲染接口
- * POST /render
- * Body: { title, subtitle, items?, content?, table?, stats?, quote?, ... }
- * Returns: PNG image
+ * 校验并规范化渲染选项，取值非法时抛出 400 错误
  */
-app.post('/render', async (req, res) => {
-    try {
-        const data = {
-            ...req.body,
-            weekday: req.body.weekday || getWeekday(),
-            subtitle: req.body.subtitle || getDateStr()
-        };
+function normalizeRenderOptions({ format = 'png', priority = 'normal', quality, theme }) {
+    format = String(format).toLowerCase();
+    format = FORMAT_ALIASES[format] || format;
+    if (!renderService.OUTPUT_FORMATS[format]) {
+        throw badRequest('format 仅支持 png|jpeg|webp|pdf');
+    }
 
-        const imageBuffer = await renderService.render('universal', data);
+    priority = String(priority).toLowerCase();
+    if (!PRIORITIES.includes(priority)) {
+        throw badRequest('priority 仅支持 high|normal|low');
+    }
 
-        res.set('Content-Type', 'image/png');
-        res.send(imageBuffer);
-    } catch (error) {
-        console.error('Render error:', error);
-        res.status(500).json({ error: error.message });
+    const options = { format, priority };
+    if (quality !== undefined && format !== 'png' && format !== 'pdf') {
+        quality = parseInt(quality, 10);
+        if (!(quality >= 1 && quality <= 100)) {
+            throw badRequest('quality 需为 1-100 的整数');
+        }
+        options.quality = quality;
     }
-});
 
-/**
- * 发病语录
- * POST /api/fabing
- * Body: { saying: "..." }
- */
-app.post('/api/fabing', async (req, res) => {
-    try {
-        const { saying } = req.body;
-        const data = {
-            title: '发病语录',
-            icon: '🤒',
-            subtitle: getDateStr(),
-            content: saying,
-            quote: '适量发病有益身心健康~',
-            sources: '60s语录合集'
-        };
-        const imageBuffer = await renderService.render('universal', data);
-        res.set('Content-Type', 'image/png');
-        res.send(imageBuffer);
-    } catch (error) {
-        console.error('Fabing render error:', error);
-        res.status(500).json({ error: error.message });
+    if (theme !== undefined && theme !== null && theme !== '') {
+        try {
+            options.theme = resolveTheme(theme);
+        } catch (error) {
+            throw badRequest(error.message);
+        }
     }
-});
+    return options;
+}
 
 /**
- * KFC 文案
- * POST /api/kfc
- * Body: { text: "..." }
+ * 解析渲染选项，结果写入 res.locals.renderOptions，取值非法时返回 400
+ * - 输出格式：query > body > Accept 头，默认 PNG
+ * - 排队优先级：query > body > X-Priority 头，默认 normal
+ * - 主题：query > body 的 theme 字段（名称或自定义调色板），原始值写入 res.locals.theme
+ * - 响应方式：query > body 的 response 字段，写入 res.locals.responseMode
+ * - 分页高度：query > body 的 max_height 字段，写入 res.locals.maxHeight
  */
-app.post('/api/kfc', async (req, res) => {
+function parseRenderOptions(req, res, next) {
+    const body = (req.body && typeof req.body === 'object') ? req.body : {};
+    res.locals.responseMode = String(req.query.response || body.response || 'binary').toLowerCase();
+
+    let format = req.query.format || body.format;
+
+    if (!format) {
+        const accepted = req.accepts(Object.values(renderService.OUTPUT_FORMATS));
+        format = Object.keys(renderService.OUTPUT_FORMATS)
+            .find((key) => renderService.OUTPUT_FORMATS[key] === accepted) || 'png';
+    }
+
+    res.locals.theme = req.query.theme !== undefined ? req.query.theme : body.theme;
+
     try {
-        const { text } = req.body;
-        const data = {
-            title: '疯狂星期四',
-            icon: '🍗',
-            subtitle: getDateStr(),
-            weekday: getWeekday(),
-            content: text,
-            quote: 'V我50，今天吃什么？',
-            sources: '60s语录合集 · KFC文案'
-        };
-        const imageBuffer = await renderService.render('universal', data);
-        res.set('Content-Type', 'image/png');
-        res.send(imageBuffer);
+        res.locals.renderOptions = normalizeRenderOptions({
+            format,
+            priority: req.query.priority || body.priority || req.get('X-Priority') || 'normal',
+            quality: req.query.quality !== undefined ? req.query.quality : body.quality,
+            theme: res.locals.theme
+        });
     } catch (error) {
-        console.error('KFC render error:', error);
-        res.status(500).json({ error: error.message });
+        return sendError(res, error);
     }
-});
 
-/**
- * 黄金价格
- * POST /api/gold
- * Body: { date, metals, stores, recycle }
- */
-app.post('/api/gold', async (req, res) => {
-    try {
-        const { date, metals, stores, recycle } = req.body;
-
-        // 构建表格数据
-        const table = [];
-        if (metals && metals.length > 0) {
-            metals.slice(0, 4).forEach(m => {
-                table.push({ label: m.name, value: `${m.today_price} ${m.unit}` });
-            });
+    const maxHeightRaw = req.query.max_height !== undefined ? req.query.max_height : body.max_height;
+    if (maxHeightRaw !== undefined && maxHeightRaw !== null && maxHeightRaw !== '') {
+        const maxHeight = Number(maxHeightRaw);
+        if (!(Number.isInteger(maxHeight) && maxHeight >= MIN_PAGE_HEIGHT && maxHeight <= MAX_PAGE_HEIGHT)) {
+            return sendError(res, badRequest(`max_height 需为 ${MIN_PAGE_HEIGHT}-${MAX_PAGE_HEIGHT} 的整数`));
         }
-        if (stores && stores.length > 0) {
-            stores.slice(0, 4).forEach(s => {
-                table.push({ label: s.brand, value: s.formatted });
-            });
-        }
-
-        const data = {
-            title: '实时金价',
-            icon: '🏆',
-            subtitle: date || getDateStr(),
-            weekday: getWeekday(),
-            table: table,
-            quote: '数据仅供参考，投资需谨慎',
-            sources: '60s语录合集 · 黄金价格'
-        };
-        const imageBuffer = await renderService.render('universal', data);
-        res.set('Content-Type', 'image/png');
-        res.send(imageBuffer);
-    } catch (error) {
-        console.error('Gold render error:', error);
-        res.status(500).json({ error: error.message });
+        res.locals.maxHeight = maxHeight;
     }
-});
+    next();
+}
+
+const RESPONSE_MODES = ['binary', 'json'];
 
 /**
- * 运势
- * POST /api/luck
- * Body: { luck_desc, luck_rank, luck_tip }
+ * 渲染模板并按请求的输出格式发送结果
  */
-app.post('/api/luck', async (req, res) => {
-    try {
-        const { luck_desc, luck_rank, luck_tip } = req.body;
-
-        const data = {
-            title: '今日运势',
-            icon: '🔮',
-            subtitle: getDateStr(),
-            weekday: getWeekday(),
-            stats: {
-                '运势类型': luck_desc || '未知',
-                '运势指数': `${luck_rank || 0}/100`
-            },
-            quote: luck_tip || '祝你今天好运！',
-            sources: '60s语录合集 · 仅供娱乐'
-        };
-        const imageBuffer = await renderService.render('universal', data);
-        res.set('Content-Type', 'image/png');
-        res.send(imageBuffer);
-    } catch (error) {
-        console.error('Luck render error:', error);
-        res.status(500).json({ error: error.message });
-    }
-});
+async function sendRender(req, res, entry, data, options = {}) {
+    const renderOptions = { ...options, ...res.locals.renderOptions };
+    const template = registry.resolveTemplate(entry, data);
+    const key = await renderService.getCacheKey(template, data, renderOptions);
+    await sendOutput(req, res, entry.name, key, renderService.OUTPUT_FORMATS[renderOptions.format],
+        () => renderService.render(template, data, renderOptions));
+}
 
 /**
- * 课表渲染（网格布局）
- * POST /api/timetable
- * Body: {
- *   title: "第X周课表",
- *   subtitle: "2024-2025-2",
- *   week: 1,           // 当前周次（可选，用于标题）
- *   courses: [         // 课程列表
- *     {
- *       weekday: 1,           // 1=周一, 7=周日
- *       section_start: 1,     // 起始节次 (1, 3, 5, 7, 9)
- *       course_name: "高数",
- *       location: "A101",
- *       teacher: "张老师",
- *       weeks_raw: "1-16周"   // 可选，显示周次范围
- *     }
- *   ]
- * }
+ * 按请求的响应方式发送渲染结果
+ * - binary（默认）：直接返回文件内容
+ * - json：返回 { ok, template, mime, width, height, bytes, data_uri, render_ms }
+ * ETag 由渲染缓存键（模板与输入内容）计算，If-None-Match 命中时直接返回 304，无需渲染
+ * @param {string} name - 响应中的模板名
+ * @param {string} key - 渲染缓存键
+ * @param {string} mime - 输出的 Content-Type
+ * @param {Function} produce - 执行渲染，返回 { buffer, width, height }
  */
-app.post('/api/timetable', async (req, res) => {
-    try {
-        const { title, subtitle, week, courses } = req.body;
-
-        // 构建网格数据结构: grid[weekday][section_key] = [courses]
-        const grid = {};
-        for (let wd = 1; wd <= 7; wd++) {
-            grid[wd] = {};
-        }
-
-        // 将课程填入网格
-        if (courses && Array.isArray(courses)) {
-            courses.forEach(course => {
-                const wd = course.weekday || 1;
-                // 将节次映射到大节 key (1-2->1, 3-4->3, 5-6->5, 7-8->7, 9-10->9)
-                let sectionKey = course.section_start || 1;
-                // 规范化到奇数节次
-                if (sectionKey % 2 === 0) {
-                    sectionKey = sectionKey - 1;
-                }
+async function sendOutput(req, res, name, key, mime, produce) {
+    const mode = res.locals.responseMode || 'binary';
+    if (!RESPONSE_MODES.includes(mode)) {
+        throw badRequest('response 仅支持 binary|json');
+    }
 
-                if (!grid[wd][sectionKey]) {
-                    grid[wd][sectionKey] = [];
-                }
+    const etag = mode === 'json' ? `"${key}-json"` : `"${key}"`;
 
-                grid[wd][sectionKey].push({
-                    name: course.course_name || '未知课程',
-                    location: course.location || '',
-                    teacher: course.teacher || '',
-                    weeks: course.weeks_raw || ''
-                });
-            });
-        }
+    const ifNoneMatch = req.get('If-None-Match');
+    if (ifNoneMatch && ifNoneMatch.split(',').some((tag) => tag.trim().replace(/^W\//, '') === etag)) {
+        return res.status(304).set('ETag', etag).end();
+    }
 
-        const data = {
-            title: title || (week ? `第${week}周课表` : '课程表'),
-            subtitle: subtitle || getDateStr(),
-            weekday: getWeekday(),
-            courseCount: courses ? courses.length : 0,
-            grid: grid
-        };
+    const startTime = Date.now();
+    const { buffer, width, height } = await produce();
+    res.set('ETag', etag);
 
-        const imageBuffer = await renderService.render('timetable', data, { width: 1100 });
-        res.set('Content-Type', 'image/png');
-        res.send(imageBuffer);
-    } catch (error) {
-        console.error('Timetable render error:', error);
-        res.status(500).json({ error: error.message });
+    if (mode === 'json') {
+        return res.json({
+            ok: true,
+            template: name,
+            mime,
+            width,
+            height,
+            bytes: buffer.length,
+            data_uri: `data:${mime};base64,${buffer.toString('base64')}`,
+            render_ms: Date.now() - startTime
+        });
     }
-});
 
-/**
- * 通用内容渲染（用于 AI 资讯等）
- * POST /api/universal
- * Body: { title, content, icon?, subtitle?, ... }
- */
-app.post('/api/universal', async (req, res) => {
-    try {
-        const { title, content, icon } = req.body;
-
-        const data = {
-            title: title || '资讯',
-            icon: icon || '📋',
-            subtitle: getDateStr(),
-            weekday: getWeekday(),
-            content: content,
-            sources: '60s语录合集'
-        };
-        const imageBuffer = await renderService.render('universal', data);
-        res.set('Content-Type', 'image/png');
-        res.send(imageBuffer);
-    } catch (error) {
-        console.error('Universal render error:', error);
-        res.status(500).json({ error: error.message });
-    }
-});
+    res.set('Content-Type', mime);
+    res.send(buffer);
+}
 
 /**
- * qfarm 结构化渲染
- * POST /api/qfarm
- * Body: {
- *   title, subtitle, icon, theme, summary,
- *   stats: [{ label, value }],
- *   sections: [{ title, rows: [{ label?, value }] }],
- *   page: { index, total }, footer
- * }
+ * 按 max_height 拆分渲染，各页以批量结果返回（response: json | multipart | zip，默认 json）
+ * 每页由注册项的 split() 生成数据并完整渲染，带有各自的页头、页尾与页码
  */
-app.post('/api/qfarm', async (req, res) => {
-    try {
-        const body = (req.body && typeof req.body === 'object') ? req.body : {};
+async function sendPages(req, res, entry, data, options = {}) {
+    if (!entry.split) {
+        throw badRequest(`模板 ${entry.name} 不支持 max_height`);
+    }
 
-        const themeInput = sanitizeText(body.theme || 'light', 16).toLowerCase();
-        if (!['light', 'dark'].includes(themeInput)) {
-            return res.status(400).json({ error: 'theme 仅支持 light|dark' });
-        }
+    const mode = res.locals.responseMode === 'binary' ? 'json' : res.locals.responseMode;
+    if (!BATCH_RESPONSE_TYPES[mode]) {
+        throw badRequest('response 仅支持 json|multipart|zip');
+    }
 
-        const stats = Array.isArray(body.stats)
-            ? body.stats
-                .slice(0, 10)
-                .map((item) => ({
-                    label: sanitizeText(item && item.label, 30),
-                    value: sanitizeText(item && item.value, 80),
-                }))
-                .filter((item) => item.label || item.value)
-            : [];
-
-        const sections = Array.isArray(body.sections)
-            ? body.sections
-                .slice(0, 8)
-                .map((section) => ({
-                    title: sanitizeText(section && section.title, 24),
-                    rows: normalizeQfarmRows(section && section.rows),
-                }))
-                .filter((section) => Array.isArray(section.rows) && section.rows.length > 0)
-            : [];
-
-        const pageRaw = (body.page && typeof body.page === 'object') ? body.page : {};
-        const pageIndex = Math.max(1, parseInt(pageRaw.index, 10) || 1);
-        const pageTotal = Math.max(pageIndex, parseInt(pageRaw.total, 10) || pageIndex);
-
-        const data = {
-            title: sanitizeText(body.title, 30) || 'QFarm 结果',
-            subtitle: sanitizeText(body.subtitle, 60) || getDateStr(),
-            icon: sanitizeText(body.icon, 8) || '🌾',
-            theme: themeInput,
-            summary: sanitizeText(body.summary, 220),
-            stats,
-            sections,
-            page: { index: pageIndex, total: pageTotal },
-            footer: sanitizeText(body.footer, 80) || 'astrbot_plugin_qfarm',
+    const renderOptions = { ...options, ...res.locals.renderOptions };
+    const template = registry.resolveTemplate(entry, data);
+    const layout = await renderService.measureLayout(template, data, renderOptions);
+    const ranges = planPages(layout, res.locals.maxHeight);
+
+    const items = await Promise.all(ranges.map(async (range, index) => {
+        const pageData = ranges.length > 1
+            ? entry.split(data, range, { index: index + 1, total: ranges.length })
+            : data;
+        const output = await renderService.render(template, pageData, renderOptions);
+        return {
+            ...output,
+            index,
+            template: entry.name,
+            ok: true,
+            format: renderOptions.format,
+            mime: renderService.OUTPUT_FORMATS[renderOptions.format]
         };
+    }));
 
-        const imageBuffer = await renderService.render('qfarm', data, { width: 920 });
-        res.set('Content-Type', 'image/png');
-        res.send(imageBuffer);
-    } catch (error) {
-        console.error('QFarm render error:', error);
-        res.status(500).json({ error: error.message });
-    }
-});
+    sendBatch(res, mode, items);
+}
 
 /**
- * 井字棋游戏渲染
- * POST /api/tictactoe
- * Body: {
- *   board: ['X', 'O', '', '', 'X', ...],  // 9个元素，'X', 'O' 或 ''
- *   player_x_name: "玩家A",
- *   player_o_name: "玩家B",              // 可为空表示等待加入
- *   current_turn: "X",                    // 'X' 或 'O'
- *   winner: "X",                          // 'X', 'O' 或 null
- *   is_finished: false,
- *   subtitle: "第 3 回合"                 // 可选
- * }
+ * 发送批量结果
  */
-app.post('/api/tictactoe', async (req, res) => {
-    try {
-        const {
-            board,
-            player_x_name,
-            player_o_name,
-            current_turn,
-            winner,
-            is_finished,
-            subtitle
-        } = req.body;
-
-        const data = {
-            board: board || Array(9).fill(''),
-            player_x_name: player_x_name || '玩家X',
-            player_o_name: player_o_name || '',
-            current_turn: current_turn || 'X',
-            winner: winner || null,
-            is_finished: is_finished || false,
-            subtitle: subtitle || ''
-        };
-
-        const imageBuffer = await renderService.render('tictactoe', data, { width: 420 });
-        res.set('Content-Type', 'image/png');
-        res.send(imageBuffer);
-    } catch (error) {
-        console.error('TicTacToe render error:', error);
-        res.status(500).json({ error: error.message });
+function sendBatch(res, type, items) {
+    const { contentType, body } = encodeBatch(type, items);
+    res.set('Content-Type', contentType);
+    if (type === 'zip') {
+        res.set('Content-Disposition', 'attachment; filename="render-batch.zip"');
     }
-});
+    res.send(body);
+}
 
 /**
- * 围棋游戏渲染
- * POST /api/go
- * Body: {
- *   board: ['B', 'W', '', ...],  // board_size * board_size 个元素
- *   board_size: 9,                // 9, 13, 或 19
- *   black_player_name: "玩家A",
- *   player_white_name: "玩家B",
- *   current_turn: "B",            // 'B' 或 'W'
- *   captured_black: 0,
- *   captured_white: 0,
- *   move_count: 0,
- *   last_move: null,              // 最后落子位置索引
- *   is_finished: false,
- *   winner: null,                 // 'B', 'W' 或 null
- *   subtitle: "第 15 手"
- * }
+ * 统一错误响应，服务繁忙时附带 Retry-After
+ * json 响应方式下与成功结果使用同一结构：{ ok: false, template, status, error, details? }
  */
-app.post('/api/go', async (req, res) => {
-    try {
-        const {
-            board,
-            board_size,
-            black_player_name,
-            player_white_name,
-            current_turn,
-            captured_black,
-            captured_white,
-            move_count,
-            last_move,
-            is_finished,
-            winner,
-            subtitle
-        } = req.body;
-
-        const size = board_size || 9;
-
-        const data = {
-            board: board || Array(size * size).fill(''),
-            board_size: size,
-            black_player_name: black_player_name || '黑方',
-            player_white_name: player_white_name || '',
-            current_turn: current_turn || 'B',
-            captured_black: captured_black || 0,
-            captured_white: captured_white || 0,
-            move_count: move_count || 0,
-            last_move: last_move !== undefined ? last_move : null,
-            is_finished: is_finished || false,
-            winner: winner || null,
-            subtitle: subtitle || ''
-        };
-
-        // 根据棋盘大小调整渲染宽度
-        const widthMap = { 9: 450, 13: 550, 19: 700 };
-        const width = widthMap[size] || 450;
-
-        const imageBuffer = await renderService.render('go', data, { width });
-        res.set('Content-Type', 'image/png');
-        res.send(imageBuffer);
-    } catch (error) {
-        console.error('Go render error:', error);
-        res.status(500).json({ error: error.message });
+function sendError(res, error) {
+    if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
     }
-});
 
-/**
- * 五子棋游戏渲染
- * POST /api/gomoku
- * Body: {
- *   board: ['B', 'W', '', ...],  // board_size * board_size 个元素
- *   board_size: 15,               // 13, 15, 或 19
- *   black_player_name: "玩家A",
- *   white_player_name: "玩家B",
- *   current_turn: "B",            // 'B' 或 'W'
- *   move_count: 0,
- *   last_move: null,              // 最后落子位置索引
- *   win_line: null,               // 获胜连线位置数组 [pos1, pos2, ...]
- *   is_finished: false,
- *   winner: null,                 // 'B', 'W' 或 null
- *   subtitle: "第 15 手"
- * }
- */
-app.post('/api/gomoku', async (req, res) => {
-    try {
-        const {
-            board,
-            board_size,
-            black_player_name,
-            white_player_name,
-            current_turn,
-            move_count,
-            last_move,
-            win_line,
-            is_finished,
-            winner,
-            subtitle
-        } = req.body;
+    const status = error.status || error.statusCode || 500;
+    const body = { error: error.message };
+    if (error.details) {
+        body.details = error.details;
+    }
 
-        const size = board_size || 15;
-
-        const data = {
-            board: board || Array(size * size).fill(''),
-            board_size: size,
-            black_player_name: black_player_name || '黑方',
-            white_player_name: white_player_name || '',
-            current_turn: current_turn || 'B',
-            move_count: move_count || 0,
-            last_move: last_move !== undefined ? last_move : null,
-            win_line: win_line || null,
-            is_finished: is_finished || false,
-            winner: winner || null,
-            subtitle: subtitle || ''
-        };
+    if (res.locals.responseMode === 'json') {
+        return res.status(status).json({ ok: false, template: res.locals.template, status, ...body });
+    }
+    res.status(status).json(body);
+}
 
-        // 根据棋盘大小调整渲染宽度
-        const widthMap = { 13: 500, 15: 550, 19: 700 };
-        const width = widthMap[size] || 550;
+app.use(['/render', '/api'], parseRenderOptions);
 
-        const imageBuffer = await renderService.render('gomoku', data, { width });
-        res.set('Content-Type', 'image/png');
-        res.send(imageBuffer);
-    } catch (error) {
-        console.error('Gomoku render error:', error);
-        res.status(500).json({ error: error.message });
-    }
+// 健康检查
+app.get('/health', (req, res) => {
+    res.json({
+        status: 'ok',
+        timestamp: new Date().toISOString(),
+        browser: renderService.getBrowserStatus(),
+        pool: renderService.getPoolStats(),
+        cache: renderService.getCacheStats(),
+        templates: renderService.getTemplateStatus()
+    });
 });
 
-/**
- * 四子棋游戏渲染
- * POST /api/connect4
- */
-app.post('/api/connect4', async (req, res) => {
+// Prometheus 指标
+app.get('/metrics', async (req, res) => {
     try {
-        const {
-            board,
-            columns,
-            rows,
-            player_red_name,
-            player_yellow_name,
-            current_turn,
-            move_count,
-            last_move,
-            is_finished,
-            winner,
-            subtitle
-        } = req.body;
-
-        const cols = columns || 7;
-        const rws = rows || 6;
-
-        const data = {
-            board: board || Array(cols * rws).fill(''),
-            columns: cols,
-            rows: rws,
-            player_red_name: player_red_name || '红方',
-            player_yellow_name: player_yellow_name || '',
-            current_turn: current_turn || 'R',
-            move_count: move_count || 0,
-            last_move: last_move !== undefined ? last_move : null,
-            is_finished: is_finished || false,
-            winner: winner || null,
-            subtitle: subtitle || ''
-        };
-
-        const width = Math.max(420, cols * 64 + 80);
-        const imageBuffer = await renderService.render('connect4', data, { width });
-        res.set('Content-Type', 'image/png');
-        res.send(imageBuffer);
+        metrics.updateRuntimeGauges({
+            pool: renderService.getPoolStats(),
+            cache: renderService.getCacheStats(),
+            browser: renderService.getBrowserStatus()
+        });
+        res.set('Content-Type', metrics.register.contentType);
+        res.send(await metrics.register.metrics());
     } catch (error) {
-        console.error('Connect4 render error:', error);
-        res.status(500).json({ error: error.message });
+        console.error('Metrics error:', error);
+        sendError(res, error);
     }
 });
 
 /**
- * 扫雷游戏渲染
- * POST /api/minesweeper
+ * 管理接口鉴权：设置了 ADMIN_TOKEN 时需携带 Authorization: Bearer <token>
  */
-app.post('/api/minesweeper', async (req, res) => {
-    try {
-        const {
-            cells,
-            width,
-            height,
-            mine_count,
-            player_name,
-            move_count,
-            flags_used,
-            is_finished,
-            is_win,
-            subtitle
-        } = req.body;
-
-        const w = width || 9;
-        const h = height || 9;
-
-        const data = {
-            cells: cells || Array(w * h).fill('hidden'),
-            width: w,
-            height: h,
-            mine_count: mine_count || 10,
-            player_name: player_name || '玩家',
-            move_count: move_count || 0,
-            flags_used: flags_used || 0,
-            is_finished: is_finished || false,
-            is_win: is_win || false,
-            subtitle: subtitle || ''
-        };
-
-        const longSide = Math.max(w, h);
-        const cellSize = longSide <= 9 ? 34 : (longSide <= 12 ? 30 : 26);
-        const gridWidth = w * cellSize + (w - 1) * 6;
-        const rowLabelW = longSide <= 9 ? 18 : 20;
-        const sideBlockW = rowLabelW * 2 + 6 * 2;
-        const renderWidth = Math.max(460, gridWidth + sideBlockW + 120);
-
-        const imageBuffer = await renderService.render('minesweeper', data, { width: renderWidth });
-        res.set('Content-Type', 'image/png');
-        res.send(imageBuffer);
-    } catch (error) {
-        console.error('Minesweeper render error:', error);
-        res.status(500).json({ error: error.message });
+function requireAdmin(req, res, next) {
+    const token = process.env.ADMIN_TOKEN;
+    if (token && req.get('Authorization') !== `Bearer ${token}`) {
+        return res.status(401).json({ error: '未授权' });
     }
-});
+    next();
+}
 
 /**
- * 2048 游戏渲染
- * POST /api/game2048
+ * 重新加载模板
+ * POST /admin/templates/reload
+ * Body: { name? }  // 不传时重新扫描整个模板目录
  */
-app.post('/api/game2048', async (req, res) => {
+app.post('/admin/templates/reload', requireAdmin, async (req, res) => {
     try {
-        const {
-            board,
-            size,
-            player_name,
-            score,
-            best_tile,
-            move_count,
-            is_finished,
-            is_win,
-            subtitle,
-            last_spawn_pos
-        } = req.body;
-
-        const n = size || 4;
-
-        const data = {
-            board: board || Array(n * n).fill(0),
-            size: n,
-            player_name: player_name || '玩家',
-            score: score || 0,
-            best_tile: best_tile || 0,
-            move_count: move_count || 0,
-            is_finished: is_finished || false,
-            is_win: is_win || false,
-            subtitle: subtitle || '',
-            last_spawn_pos: last_spawn_pos !== undefined ? last_spawn_pos : null
-        };
-
-        const tileSize = n <= 4 ? 84 : (n <= 5 ? 68 : 56);
-        const renderWidth = Math.max(460, n * tileSize + (n - 1) * 10 + 120);
-
-        const imageBuffer = await renderService.render('game2048', data, { width: renderWidth });
-        res.set('Content-Type', 'image/png');
-        res.send(imageBuffer);
+        const name = req.body && req.body.name;
+        if (name !== undefined && !/^[\w-]+$/.test(String(name))) {
+            return res.status(400).json({ error: 'name 仅支持字母、数字、下划线与连字符' });
+        }
+        res.json(await renderService.reloadTemplates(name && String(name)));
     } catch (error) {
-        console.error('2048 render error:', error);
-        res.status(500).json({ error: error.message });
+        console.error('Template reload error:', error);
+        sendError(res, error);
     }
 });
 
 /**
- * 德州扑克渲染
- * POST /api/texas
+ * 按注册项渲染的请求处理函数
  */
-app.post('/api/texas', async (req, res) => {
-    try {
-        const {
-            phase_text,
-            pot,
-            current_bet,
-            community_cards,
-            players,
-            is_finished,
-            winner_names,
-            last_action,
-            subtitle
-        } = req.body;
-
-        const list = Array.isArray(players) ? players : [];
-
-        const data = {
-            phase_text: phase_text || '等待玩家',
-            pot: pot || 0,
-            current_bet: current_bet || 0,
-            community_cards: community_cards || [],
-            players: list,
-            is_finished: is_finished || false,
-            winner_names: winner_names || [],
-            last_action: last_action || '',
-            subtitle: subtitle || ''
-        };
-
-        // 双列玩家卡片，宽度按玩家数量轻微放大
-        const width = list.length > 4 ? 920 : 860;
-        const imageBuffer = await renderService.render('texas', data, { width });
-        res.set('Content-Type', 'image/png');
-        res.send(imageBuffer);
-    } catch (error) {
-        console.error('Texas render error:', error);
-        res.status(500).json({ error: error.message });
-    }
-});
+function renderHandler(entry) {
+    return async (req, res) => {
+        try {
+            const data = registry.buildData(entry, req.body);
+            const width = registry.resolveWidth(entry, data);
+            if (res.locals.maxHeight) {
+                await sendPages(req, res, entry, data, { width });
+            } else {
+                await sendRender(req, res, entry, data, { width });
+            }
+        } catch (error) {
+            if (error.status !== 400) {
+                console.error(`${entry.name} render error:`, error);
+            }
+            sendError(res, error);
+        }
+    };
+}
 
 /**
- * 21点渲染
- * POST /api/blackjack
+ * 已注册模板列表
+ * GET /templates
  */
-app.post('/api/blackjack', async (req, res) => {
-    try {
-        const {
-            phase_text,
-            dealer_cards,
-            dealer_value_text,
-            players,
-            is_finished,
-            winner_names,
-            last_action,
-            subtitle
-        } = req.body;
-
-        const list = Array.isArray(players) ? players : [];
-
-        const data = {
-            phase_text: phase_text || '等待发牌',
-            dealer_cards: dealer_cards || [],
-            dealer_value_text: dealer_value_text || '0',
-            players: list,
-            is_finished: is_finished || false,
-            winner_names: winner_names || [],
-            last_action: last_action || '',
-            subtitle: subtitle || ''
-        };
-
-        const width = list.length > 3 ? 920 : 860;
-        const imageBuffer = await renderService.render('blackjack', data, { width });
-        res.set('Content-Type', 'image/png');
-        res.send(imageBuffer);
-    } catch (error) {
-        console.error('Blackjack render error:', error);
-        res.status(500).json({ error: error.message });
-    }
+app.get('/templates', (req, res) => {
+    res.json({ templates: registry.list().map(registry.describe) });
 });
 
 /**
- * UNO渲染
- * POST /api/uno
+ * 批量渲染
+ * POST /render/batch
+ * Body: {
+ *   jobs: [{ id?, template, data, options?: { format, quality, priority, theme } }],
+ *   theme?,            // 各任务的默认主题，任务 options.theme 优先
+ *   response: "json"   // json | multipart | zip，也可用 ?response= 或 Accept 头指定
+ * }
+ * 各任务并行经页面池渲染，单项失败不影响其他任务，失败原因随结果返回
  */
-app.post('/api/uno', async (req, res) => {
+app.post('/render/batch', validateBody(schemas.batch), async (req, res) => {
     try {
-        const {
-            phase_text,
-            top_card,
-            current_color,
-            direction,
-            pending_draw,
-            players,
-            is_finished,
-            winner_name,
-            last_action,
-            subtitle
-        } = req.body;
+        let responseType = req.query.response || req.body.response;
+        if (!responseType) {
+            const accepted = req.accepts(Object.values(BATCH_RESPONSE_TYPES));
+            responseType = Object.keys(BATCH_RESPONSE_TYPES)
+                .find((key) => BATCH_RESPONSE_TYPES[key] === accepted) || 'json';
+        }
+        responseType = String(responseType).toLowerCase();
+        if (!BATCH_RESPONSE_TYPES[responseType]) {
+            return res.status(400).json({ error: 'response 仅支持 json|multipart|zip' });
+        }
 
-        const list = Array.isArray(players) ? players : [];
-
-        const data = {
-            phase_text: phase_text || '等待发牌',
-            top_card: top_card || '',
-            current_color: current_color || 'R',
-            direction: direction || 1,
-            pending_draw: pending_draw || 0,
-            players: list,
-            is_finished: is_finished || false,
-            winner_name: winner_name || '',
-            last_action: last_action || '',
-            subtitle: subtitle || ''
-        };
+        const items = await Promise.all(req.body.jobs.map(async (job, index) => {
+            const item = { index, id: job.id, template: job.template };
+            try {
+                const entry = registry.get(job.template);
+                if (!entry) {
+                    const error = new Error(`未知模板: ${job.template}`);
+                    error.status = 404;
+                    throw error;
+                }
+
+                const { value, errors } = validate(entry.schema, job.data || {});
+                if (errors.length > 0) {
+                    throw validationError(errors, '(data)');
+                }
 
-        const width = list.length > 4 ? 980 : 900;
-        const imageBuffer = await renderService.render('uno', data, { width });
-        res.set('Content-Type', 'image/png');
-        res.send(imageBuffer);
+                const options = normalizeRenderOptions({
+                    ...res.locals.renderOptions,
+                    theme: res.locals.theme,
+                    ...job.options
+                });
+                const data = registry.buildData(entry, value);
+                const width = registry.resolveWidth(entry, data);
+                const output = await renderService.render(registry.resolveTemplate(entry, data), data, { ...options, width });
+
+                return {
+                    ...item,
+                    ...output,
+                    ok: true,
+                    format: options.format,
+                    mime: renderService.OUTPUT_FORMATS[options.format]
+                };
+            } catch (error) {
+                if (!error.status || error.status >= 500) {
+                    console.error(`Batch job ${index} (${job.template}) render error:`, error);
+                }
+                return {
+                    ...item,
+                    ok: false,
+                    status: error.status || 500,
+                    error: error.message,
+                    details: error.details
+                };
+            }
+        }));
+
+        sendBatch(res, responseType, items);
     } catch (error) {
-        console.error('UNO render error:', error);
-        res.status(500).json({ error: error.message });
+        console.error('Batch render error:', error);
+        sendError(res, error);
     }
 });
 
 /**
- * 斗地主渲染
- * POST /api/doudizhu
+ * 渲染自定义 HTML
+ * POST /render/html
+ * Body: {
+ *   html?,             // 完整的 HTML 文档或片段
+ *   ejs?, data?,       // 或内联 EJS 模板与数据（在隔离的 vm 上下文中执行，不支持 include）
+ *   width?             // 视口宽度，默认 800
+ * }
+ * 页面禁用 JavaScript 并拒绝一切外部资源，HTML 大小、渲染耗时与输出尺寸均有上限
  */
-app.post('/api/doudizhu', async (req, res) => {
+app.post('/render/html', (req, res, next) => {
+    res.locals.template = 'html';
+    next();
+}, validateBody(schemas.htmlRender), async (req, res) => {
     try {
-        const {
-            phase_text,
-            landlord_name,
-            bottom_cards,
-            players,
-            last_play_text,
-            current_turn_name,
-            winner_text,
-            is_finished,
-            last_action,
-            subtitle
-        } = req.body;
+        if (res.locals.maxHeight) {
+            throw badRequest('自定义 HTML 不支持 max_height');
+        }
 
-        const list = Array.isArray(players) ? players : [];
-
-        const data = {
-            phase_text: phase_text || '等待发牌',
-            landlord_name: landlord_name || '',
-            bottom_cards: bottom_cards || [],
-            players: list,
-            last_play_text: last_play_text || '无',
-            current_turn_name: current_turn_name || '',
-            winner_text: winner_text || '',
-            is_finished: is_finished || false,
-            last_action: last_action || '',
-            subtitle: subtitle || ''
-        };
+        const { maxBytes, timeout } = renderService.SANDBOX_LIMITS;
+        const isEjs = req.body.ejs !== undefined;
+        const source = isEjs ? req.body.ejs : req.body.html;
+        if (Buffer.byteLength(source) > maxBytes) {
+            const error = new Error(`${isEjs ? 'ejs' : 'html'} 不能超过 ${maxBytes / 1024}KB`);
+            error.status = 413;
+            throw error;
+        }
 
-        const width = 920;
-        const imageBuffer = await renderService.render('doudizhu', data, { width });
-        res.set('Content-Type', 'image/png');
-        res.send(imageBuffer);
+        const html = isEjs ? sandbox.renderInline(source, req.body.data, { timeout }) : source;
+        const options = { ...res.locals.renderOptions, width: req.body.width || 800 };
+        const key = renderService.getHtmlCacheKey(html, options);
+        await sendOutput(req, res, 'html', key, renderService.OUTPUT_FORMATS[options.format],
+            () => renderService.renderHtml(html, options));
     } catch (error) {
-        console.error('DouDizhu render error:', error);
-        res.status(500).json({ error: error.message });
+        if (!error.status || error.status >= 500) {
+            console.error('HTML render error:', error);
+        }
+        sendError(res, error);
     }
 });
 
+// 回放默认参数：每帧停留、最后一帧停留（毫秒）、设备像素比
+const REPLAY_DELAY = 800;
+const REPLAY_FINAL_DELAY = 2500;
+const REPLAY_SCALE = 1;
+
 /**
- * 中国象棋游戏渲染
- * POST /api/xiangqi
+ * 棋局回放动图
+ * POST /render/replay
  * Body: {
- *   board: ['RC', 'RH', 'RE', ...],  // 90 个元素
- *   red_player_name: "玩家A",
- *   black_player_name: "玩家B",
- *   current_turn: "R",               // 'R' 或 'B'
- *   move_count: 0,
- *   last_move: { from: 4, to: 13 },  // 可为 null
- *   in_check: false,
- *   is_finished: false,
- *   winner: null,                    // 'R', 'B' 或 null
- *   subtitle: "第 10 回合"
+ *   template: "gomoku",       // gomoku | go | xiangqi | connect4
+ *   data: { ... },            // 初始局面，同对应接口的请求体
+ *   moves: [112, 113, ...],   // 着法列表（见 replay.js），或 states: [{ ... }] 逐帧局面
+ *   final?: { ... },          // 合并到最后一帧，如 { is_finished: true, winner: 'B' }
+ *   animation: "gif",         // gif | apng，也可用 ?animation= 指定
+ *   delay?, final_delay?,     // 每帧 / 最后一帧停留时间（毫秒）
+ *   max_frames?,              // 帧数上限，超出时均匀抽帧（保留首尾）
+ *   scale?,                   // 设备像素比，默认 1
+ *   loop?                     // 播放次数，默认 0（无限循环）
  * }
+ * 每帧按对应模板渲染并高亮该步的 last_move，逐帧缓存
  */
-app.post('/api/xiangqi', async (req, res) => {
+app.post('/render/replay', (req, res, next) => {
+    res.locals.template = 'replay';
+    next();
+}, validateBody(schemas.replay), async (req, res) => {
     try {
+        if (res.locals.maxHeight) {
+            throw badRequest('回放不支持 max_height');
+        }
+        const format = String(req.query.animation || req.body.animation || 'gif').toLowerCase();
+        if (!ANIMATION_FORMATS[format]) {
+            throw badRequest('animation 仅支持 gif|apng');
+        }
+
+        const entry = registry.get(req.body.template);
+        res.locals.template = entry.name;
         const {
-            board,
-            red_player_name,
-            black_player_name,
-            current_turn,
-            move_count,
-            last_move,
-            in_check,
-            is_finished,
-            winner,
-            subtitle
+            delay = REPLAY_DELAY,
+            final_delay: finalDelay = REPLAY_FINAL_DELAY,
+            max_frames: maxFrames = schemas.REPLAY_MAX_FRAMES,
+            scale = REPLAY_SCALE,
+            loop = 0
         } = req.body;
 
-        const data = {
-            board: board || Array(90).fill(''),
-            red_player_name: red_player_name || '红方',
-            black_player_name: black_player_name || '',
-            current_turn: current_turn || 'R',
-            move_count: move_count || 0,
-            last_move: last_move || null,
-            in_check: in_check || false,
-            is_finished: is_finished || false,
-            winner: winner || null,
-            subtitle: subtitle || ''
+        const states = sampleFrames(buildReplay(entry, req.body), maxFrames);
+        const frames = states.map((data, index) => ({
+            data,
+            delay: index === states.length - 1 ? finalDelay : delay
+        }));
+
+        const { priority, theme } = res.locals.renderOptions;
+        const options = {
+            priority,
+            theme,
+            width: registry.resolveWidth(entry, states[0]),
+            scale,
+            animation: format,
+            loop
         };
-
-        const imageBuffer = await renderService.render('xiangqi', data, { width: 500 });
-        res.set('Content-Type', 'image/png');
-        res.send(imageBuffer);
+        const key = await renderService.getAnimationCacheKey(entry.template, frames, options);
+        await sendOutput(req, res, entry.name, key, ANIMATION_FORMATS[format],
+            () => renderService.renderAnimation(entry.template, frames, options));
     } catch (error) {
-        console.error('Xiangqi render error:', error);
-        res.status(500).json({ error: error.message });
+        if (!error.status || error.status >= 500) {
+            console.error('Replay render error:', error);
+        }
+        sendError(res, error);
     }
 });
 
 /**
- * 游戏帮助渲染
- * POST /api/gamehelp
+ * 课表导出为 iCalendar
+ * POST /api/timetable/ics
+ * Body: {
+ *   courses: [{ ... }],        // 同 /api/timetable 的 courses
+ *   term_start: "2025-02-24",  // 第 1 周中的任意一天
+ *   sections?,                 // 节次时间表，同 /api/timetable
+ *   timezone?,                 // 默认 Asia/Shanghai
+ *   total_weeks?,              // 未给出周次的课程重复的周数，默认 20
+ *   title?                     // 日历名称
+ * }
+ * Returns: text/calendar，每门课为一个每周重复的事件（见 ics.js）
  */
-app.post('/api/gamehelp', async (req, res) => {
+app.post('/api/timetable/ics', (req, res, next) => {
+    res.locals.template = 'timetable';
+    next();
+}, validateBody(schemas.timetableIcs), (req, res) => {
     try {
-        const { subtitle } = req.body;
-
-        const data = {
-            subtitle: subtitle || 'Game Plugin v1.0'
-        };
-
-        const imageBuffer = await renderService.render('gamehelp', data, { width: 480 });
-        res.set('Content-Type', 'image/png');
-        res.send(imageBuffer);
+        const calendar = exportCalendar(req.body);
+        res.set('Content-Type', 'text/calendar; charset=utf-8');
+        res.set('Content-Disposition', 'attachment; filename="timetable.ics"');
+        res.send(calendar);
     } catch (error) {
-        console.error('GameHelp render error:', error);
-        res.status(500).json({ error: error.message });
+        if (error.ics) {
+            return sendError(res, validationError([{ path: error.path, message: error.message }]));
+        }
+        console.error('Timetable export error:', error);
+        sendError(res, error);
     }
 });
 
 /**
- * 军棋翻棋游戏渲染
- * POST /api/junqi
+ * 按模板名渲染
+ * POST /render/:template
+ * Body: 该模板的数据字段（见 GET /templates）
+ * Returns: 图片（默认 PNG，可通过 format 指定 jpeg|webp|pdf）
  */
-app.post('/api/junqi', async (req, res) => {
-    try {
-        const {
-            board,
-            player_a_name,
-            player_b_name,
-            player_a_side,
-            player_b_side,
-            current_turn,
-            move_count,
-            last_action,
-            last_pos,
-            is_finished,
-            winner,
-            subtitle
-        } = req.body;
-
-        const data = {
-            board: board || [],
-            player_a_name: player_a_name || '玩家A',
-            player_b_name: player_b_name || '',
-            player_a_side: player_a_side || null,
-            player_b_side: player_b_side || null,
-            current_turn: current_turn || 1,
-            move_count: move_count || 0,
-            last_action: last_action || null,
-            last_pos: last_pos !== undefined ? last_pos : null,
-            is_finished: is_finished || false,
-            winner: winner || null,
-            subtitle: subtitle || ''
-        };
+app.post('/render/:template', (req, res, next) => {
+    const entry = registry.get(req.params.template);
+    if (!entry) {
+        const error = new Error(`未知模板: ${req.params.template}`);
+        error.status = 404;
+        return sendError(res, error);
+    }
+    res.locals.template = entry.name;
+    validateBody(entry.schema)(req, res, (error) => (error ? next(error) : renderHandler(entry)(req, res, next)));
+});
 
-        const imageBuffer = await renderService.render('junqi', data, { width: 400 });
-        res.set('Content-Type', 'image/png');
-        res.send(imageBuffer);
-    } catch (error) {
-        console.error('Junqi render error:', error);
-        res.status(500).json({ error: error.message });
+// 旧接口（/render、/api/*）作为注册项的别名保留
+registry.list()
+    .filter((entry) => entry.route)
+    .forEach((entry) => {
+        app.post(entry.route, (req, res, next) => {
+            res.locals.template = entry.name;
+            next();
+        }, validateBody(entry.schema), renderHandler(entry));
+    });
+
+// 错误处理（参数校验失败、请求体解析失败等）
+app.use((error, req, res, next) => {
+    if (!error.status && !error.statusCode) {
+        console.error('Unhandled error:', error);
+    }
+    // 请求体解析失败时尚未经过 parseRenderOptions，按 query 判断响应方式
+    if (!res.locals.responseMode && req.query.response) {
+        res.locals.responseMode = String(req.query.response).toLowerCase();
     }
+    sendError(res, error);
 });
 
 // 启动服务
@@ -0,0 +1,44 @@
+const { Marked } = require('marked');
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Markdown 渲染器（GFM：标题、强调、列表、引用、行内代码、代码块、表格）
+ *
+ * 输出直接插入渲染页面，因此：
+ * - 原始 HTML（块级与行内）一律转义为文本，不会生成任何标签
+ * - 链接只显示文字，不输出 href；图片只显示替代文字
+ */
+const marked = new Marked({
+    gfm: true,
+    breaks: true,
+    renderer: {
+        html(html, block) {
+            return block ? `<p>${escapeHtml(html.trim())}</p>` : escapeHtml(html);
+        },
+        link(href, title, text) {
+            return `<span class="md-link">${text}</span>`;
+        },
+        image(href, title, text) {
+            return text ? `<span class="md-image">[${text}]</span>` : '';
+        }
+    }
+});
+
+/**
+ * Markdown 转 HTML
+ * @param {string} source - Markdown 文本
+ * @returns {string} 可安全插入页面的 HTML
+ */
+function renderMarkdown(source) {
+    return marked.parse(String(source ?? ''));
+}
+
+module.exports = { renderMarkdown, escapeHtml };
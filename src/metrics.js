@@ -0,0 +1,133 @@
+const client = require('prom-client');
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: 'text2img_' });
+
+// 渲染耗时分桶（秒）
+const DURATION_BUCKETS = [0.05, 0.1, 0.2, 0.3, 0.5, 0.75, 1, 1.5, 2, 3, 5, 10];
+// 输出大小分桶（字节）
+const SIZE_BUCKETS = [16e3, 64e3, 128e3, 256e3, 512e3, 1e6, 2e6, 4e6, 8e6, 16e6];
+
+const renderDuration = new client.Histogram({
+    name: 'text2img_render_duration_seconds',
+    help: 'Total render duration per template, including queue wait',
+    labelNames: ['template', 'format'],
+    buckets: DURATION_BUCKETS,
+    registers: [register]
+});
+
+const renderPhaseDuration = new client.Histogram({
+    name: 'text2img_render_phase_duration_seconds',
+    help: 'Render duration per template and phase (html, set_content, screenshot, encode)',
+    labelNames: ['template', 'phase'],
+    buckets: DURATION_BUCKETS,
+    registers: [register]
+});
+
+const outputBytes = new client.Histogram({
+    name: 'text2img_output_bytes',
+    help: 'Size of rendered output in bytes',
+    labelNames: ['template', 'format'],
+    buckets: SIZE_BUCKETS,
+    registers: [register]
+});
+
+const httpRequests = new client.Counter({
+    name: 'text2img_http_requests_total',
+    help: 'HTTP requests per route and status code',
+    labelNames: ['route', 'status'],
+    registers: [register]
+});
+
+const httpErrors = new client.Counter({
+    name: 'text2img_http_errors_total',
+    help: 'HTTP error responses (status >= 400) per route and status code',
+    labelNames: ['route', 'status'],
+    registers: [register]
+});
+
+const poolPages = new client.Gauge({
+    name: 'text2img_page_pool_pages',
+    help: 'Pages in the pool by state (idle, busy)',
+    labelNames: ['state'],
+    registers: [register]
+});
+
+const queueDepth = new client.Gauge({
+    name: 'text2img_render_queue_depth',
+    help: 'Requests waiting for a free page',
+    registers: [register]
+});
+
+const cacheEvents = new client.Gauge({
+    name: 'text2img_render_cache_events',
+    help: 'Render cache counters since start (hits, misses, disk_hits, evictions, deduped)',
+    labelNames: ['event'],
+    registers: [register]
+});
+
+const cacheEntries = new client.Gauge({
+    name: 'text2img_render_cache_entries',
+    help: 'Entries held in the in-memory render cache',
+    registers: [register]
+});
+
+const browserRestarts = new client.Gauge({
+    name: 'text2img_browser_restarts',
+    help: 'Chromium relaunches since start',
+    registers: [register]
+});
+
+/**
+ * 记录单个渲染阶段耗时
+ * @param {string} template - 模板名称
+ * @param {string} phase - html | set_content | screenshot | encode
+ * @param {number} startTime - 阶段开始时间（Date.now()）
+ */
+function observePhase(template, phase, startTime) {
+    renderPhaseDuration.observe({ template, phase }, (Date.now() - startTime) / 1000);
+}
+
+/**
+ * 记录一次完成的渲染
+ */
+function observeRender(template, format, startTime, bytes) {
+    renderDuration.observe({ template, format }, (Date.now() - startTime) / 1000);
+    outputBytes.observe({ template, format }, bytes);
+}
+
+/**
+ * 记录 HTTP 响应
+ */
+function observeResponse(route, status) {
+    httpRequests.inc({ route, status });
+    if (status >= 400) {
+        httpErrors.inc({ route, status });
+    }
+}
+
+/**
+ * 抓取前刷新运行时状态（页面池、队列、缓存、浏览器）
+ */
+function updateRuntimeGauges({ pool, cache, browser }) {
+    poolPages.set({ state: 'idle' }, pool.idle);
+    poolPages.set({ state: 'busy' }, pool.busy);
+    queueDepth.set(pool.queued);
+
+    cacheEntries.set(cache.entries);
+    cacheEvents.set({ event: 'hits' }, cache.hits);
+    cacheEvents.set({ event: 'misses' }, cache.misses);
+    cacheEvents.set({ event: 'disk_hits' }, cache.diskHits);
+    cacheEvents.set({ event: 'evictions' }, cache.evictions);
+    cacheEvents.set({ event: 'deduped' }, cache.deduped);
+
+    browserRestarts.set(browser.restarts);
+}
+
+module.exports = {
+    register,
+    observePhase,
+    observeRender,
+    observeResponse,
+    updateRuntimeGauges
+};
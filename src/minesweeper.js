@@ -0,0 +1,124 @@
+/**
+ * 扫雷：由地雷位置、已翻开与已插旗的格子推导 minesweeper 模板的 cells
+ *
+ * 位置为索引 y * width + x（y = 0 为最下面一行，与 minesweeper.ejs 一致）或坐标（如 A1，列 A 起、行 1 起）
+ */
+
+function positionError(path, message) {
+    const error = new Error(message);
+    error.minesweeper = true;
+    error.path = path;
+    return error;
+}
+
+/**
+ * 位置 -> 索引
+ */
+function parsePosition(value, width, height, path) {
+    let index = value;
+    if (typeof value === 'string') {
+        const match = /^([A-Z])(\d{1,2})$/i.exec(value.trim());
+        if (!match) {
+            throw positionError(path, `无法识别的坐标 "${value}"`);
+        }
+        const x = match[1].toUpperCase().charCodeAt(0) - 65;
+        const y = Number(match[2]) - 1;
+        index = x < width && y >= 0 && y < height ? y * width + x : -1;
+    }
+    if (!Number.isInteger(index) || index < 0 || index >= width * height) {
+        throw positionError(path, `位置 ${value} 超出 ${width}x${height} 棋盘`);
+    }
+    return index;
+}
+
+function neighbors(index, width, height) {
+    const x = index % width;
+    const y = Math.floor(index / width);
+    const result = [];
+    for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+            const nx = x + dx;
+            const ny = y + dy;
+            if ((dx || dy) && nx >= 0 && nx < width && ny >= 0 && ny < height) {
+                result.push(ny * width + nx);
+            }
+        }
+    }
+    return result;
+}
+
+/**
+ * 推导棋盘
+ * @param {object} model
+ * @param {number} model.width
+ * @param {number} model.height
+ * @param {Array<number|string>} model.mines - 地雷位置
+ * @param {Array<number|string>} model.revealed - 玩家翻开的格子（周围无雷的格子自动连锁翻开）
+ * @param {Array<number|string>} model.flagged - 插旗的格子
+ * @param {boolean} model.finished - 调用方已判定对局结束（如放弃）
+ * @returns {object} cells、mine_count、flags_used、is_finished、is_win
+ *          对局结束时显示全部地雷，踩中的雷为 boom，插错的旗为 wrong_flag；获胜时地雷均显示为旗子
+ * @throws {Error} 位置无效（error.minesweeper 为 true，error.path 指明字段）
+ */
+function deriveBoard({ width, height, mines, revealed = [], flagged = [], finished = false }) {
+    const parseAll = (values, key) => values.map((value, i) => parsePosition(value, width, height, `${key}[${i}]`));
+    const mineSet = new Set(parseAll(mines, 'mines'));
+    const flagSet = new Set(parseAll(flagged, 'flagged'));
+
+    const adjacent = (index) => neighbors(index, width, height).filter((next) => mineSet.has(next)).length;
+
+    // 翻开格子，周围没有雷时连锁翻开相邻格子（跳过插旗的格子）
+    const open = new Set();
+    const exploded = new Set();
+    parseAll(revealed, 'revealed').forEach((start) => {
+        if (mineSet.has(start)) {
+            exploded.add(start);
+            return;
+        }
+        const queue = [start];
+        while (queue.length > 0) {
+            const index = queue.pop();
+            if (open.has(index)) continue;
+            open.add(index);
+            if (adjacent(index) === 0) {
+                neighbors(index, width, height).forEach((next) => {
+                    if (!open.has(next) && !flagSet.has(next) && !mineSet.has(next)) queue.push(next);
+                });
+            }
+        }
+    });
+
+    const isWin = exploded.size === 0 && open.size === width * height - mineSet.size;
+    const isFinished = finished || exploded.size > 0 || isWin;
+
+    const cells = Array.from({ length: width * height }, (_, index) => {
+        if (open.has(index)) {
+            const count = adjacent(index);
+            return count > 0 ? `n${count}` : 'empty';
+        }
+        if (exploded.has(index)) {
+            return 'boom';
+        }
+        if (isFinished) {
+            if (mineSet.has(index)) {
+                return flagSet.has(index) || isWin ? 'flag' : 'mine';
+            }
+            if (flagSet.has(index)) {
+                return 'wrong_flag';
+            }
+        }
+        return flagSet.has(index) ? 'flag' : 'hidden';
+    });
+
+    return {
+        cells,
+        mine_count: mineSet.size,
+        flags_used: isWin ? mineSet.size : flagSet.size,
+        is_finished: isFinished,
+        is_win: isWin
+    };
+}
+
+module.exports = {
+    deriveBoard
+};
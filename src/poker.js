@@ -0,0 +1,214 @@
+/**
+ * 德州扑克牌型判定与摊牌结算
+ *
+ * 牌面为点数 + 花色，如 AS、TH、10D（点数 2-9 / T / J / Q / K / A，花色 S / H / D / C）
+ */
+
+const RANKS = '23456789TJQKA';
+
+// 牌型名称，下标即牌型等级
+const HAND_NAMES = ['高牌', '一对', '两对', '三条', '顺子', '同花', '葫芦', '四条', '同花顺'];
+const ROYAL_FLUSH = '皇家同花顺';
+
+function pokerError(path, message) {
+    const error = new Error(message);
+    error.poker = true;
+    error.path = path;
+    return error;
+}
+
+/**
+ * 解析牌面
+ * @returns {{ code: string, rank: number, suit: string }|null} rank 为 0（2）- 12（A），无法识别时为 null
+ */
+function parseCard(code) {
+    const match = /^(10|[2-9TJQKA])([SHDC])$/i.exec(String(code || '').trim());
+    if (!match) {
+        return null;
+    }
+    const rank = match[1] === '10' ? 'T' : match[1].toUpperCase();
+    return { code, rank: RANKS.indexOf(rank), suit: match[2].toUpperCase() };
+}
+
+/**
+ * 五张牌的牌力：[牌型等级, 比较用点数...]，逐项比较大小
+ */
+function scoreFive(cards) {
+    const counts = new Map();
+    cards.forEach((card) => counts.set(card.rank, (counts.get(card.rank) || 0) + 1));
+    // 按张数、点数从大到小排列
+    const groups = Array.from(counts.entries()).sort((a, b) => b[1] - a[1] || b[0] - a[0]);
+    const ranks = groups.map(([rank]) => rank);
+    const flush = cards.every((card) => card.suit === cards[0].suit);
+
+    let straightHigh = -1;
+    if (groups.length === 5) {
+        if (ranks[0] - ranks[4] === 4) {
+            straightHigh = ranks[0];
+        } else if (ranks.join(',') === '12,3,2,1,0') {
+            // A-2-3-4-5，A 作 1
+            straightHigh = 3;
+        }
+    }
+
+    if (straightHigh !== -1) {
+        return [flush ? 8 : 4, straightHigh];
+    }
+    if (flush) {
+        return [5, ...ranks];
+    }
+    const shape = groups.map(([, count]) => count).join('');
+    const category = { 41: 7, 32: 6, 311: 3, 221: 2, 2111: 1 }[shape] || 0;
+    return [category, ...ranks];
+}
+
+function compareScores(a, b) {
+    for (let i = 0; i < Math.max(a.length, b.length); i++) {
+        const diff = (a[i] || 0) - (b[i] || 0);
+        if (diff !== 0) return diff;
+    }
+    return 0;
+}
+
+/**
+ * 从 5-7 张牌中选出最大的五张
+ * @param {object[]} cards - parseCard 的结果
+ * @returns {{ score: number[], name: string, cards: string[] }} 牌力、牌型名称与组成牌型的五张牌
+ */
+function bestHand(cards) {
+    let best = null;
+    const pick = (start, chosen) => {
+        if (chosen.length === 5) {
+            const score = scoreFive(chosen);
+            if (!best || compareScores(score, best.score) > 0) {
+                best = { score, five: chosen.slice() };
+            }
+            return;
+        }
+        for (let i = start; i <= cards.length - (5 - chosen.length); i++) {
+            chosen.push(cards[i]);
+            pick(i + 1, chosen);
+            chosen.pop();
+        }
+    };
+    pick(0, []);
+
+    const [category, high] = best.score;
+    return {
+        score: best.score,
+        name: category === 8 && high === 12 ? ROYAL_FLUSH : HAND_NAMES[category],
+        cards: best.five.map((card) => card.code)
+    };
+}
+
+/**
+ * 按投入筹码拆分主池与边池
+ * @returns {Array<{ amount: number, eligible: number[] }>} 各池金额与可分得该池的玩家下标
+ */
+function buildPots(players, total) {
+    const active = players.map((player, index) => index).filter((index) => !players[index].folded);
+    if (!players.every((player) => typeof player.contributed === 'number')) {
+        return [{ amount: total, eligible: active }];
+    }
+
+    const levels = Array.from(new Set(active.map((index) => players[index].contributed)))
+        .filter((level) => level > 0)
+        .sort((a, b) => a - b);
+    const pots = [];
+    let previous = 0;
+    levels.forEach((level, i) => {
+        let amount = 0;
+        players.forEach((player) => {
+            amount += Math.max(0, Math.min(player.contributed, level) - previous);
+        });
+        // 弃牌玩家超出最高一层的投入并入最后一个池
+        if (i === levels.length - 1) {
+            players.forEach((player) => {
+                amount += Math.max(0, player.contributed - level);
+            });
+        }
+        const eligible = active.filter((index) => players[index].contributed >= level);
+        if (amount > 0) {
+            pots.push({ amount, eligible });
+        }
+        previous = level;
+    });
+    return pots.length > 0 ? pots : [{ amount: total, eligible: active }];
+}
+
+/**
+ * 判定各玩家牌型，对局结束时结算赢家与各池分配
+ * @param {object} data - texas 模板数据
+ * @returns {object} 玩家附加 hand、best_cards、is_winner、winnings，并更新 winner_names 与 pots
+ * @throws {Error} 牌面无法识别或重复（error.poker 为 true，error.path 指明字段）
+ */
+function evaluateTable(data) {
+    const seen = new Map();
+    const parseAll = (codes, path) => codes.map((code, i) => {
+        const card = parseCard(code);
+        if (!card) {
+            throw pokerError(`${path}[${i}]`, `无法识别的牌 "${code}"`);
+        }
+        const key = RANKS[card.rank] + card.suit;
+        if (seen.has(key)) {
+            throw pokerError(`${path}[${i}]`, `${code} 与 ${seen.get(key)} 重复`);
+        }
+        seen.set(key, `${path}[${i}]`);
+        return card;
+    });
+
+    const community = parseAll(data.community_cards, 'community_cards');
+    const hands = data.players.map((player, index) => {
+        const hole = parseAll(player.cards || [], `players[${index}].cards`);
+        if (player.folded || hole.length + community.length < 5) {
+            return null;
+        }
+        return bestHand(hole.concat(community));
+    });
+
+    const players = data.players.map((player, index) => ({
+        ...player,
+        hand: hands[index] ? hands[index].name : player.hand,
+        best_cards: hands[index] ? hands[index].cards : [],
+        is_winner: false,
+        winnings: 0
+    }));
+    if (!data.is_finished) {
+        return { ...data, players };
+    }
+
+    const pots = buildPots(data.players, data.pot).map((pot) => {
+        // 只剩一人时无需比牌
+        let winners = pot.eligible;
+        if (winners.length > 1) {
+            const ranked = winners.filter((index) => hands[index]);
+            if (ranked.length > 0) {
+                const top = ranked.reduce((best, index) => (
+                    compareScores(hands[index].score, hands[best].score) > 0 ? index : best
+                ));
+                winners = ranked.filter((index) => compareScores(hands[index].score, hands[top].score) === 0);
+            }
+        }
+        // 平分，余下的筹码按座位顺序逐一分给赢家
+        const share = Math.floor(pot.amount / Math.max(winners.length, 1));
+        let remainder = pot.amount - share * winners.length;
+        winners.forEach((index) => {
+            players[index].is_winner = true;
+            players[index].winnings += share + (remainder-- > 0 ? 1 : 0);
+        });
+        return { amount: pot.amount, winner_names: winners.map((index) => players[index].name) };
+    });
+
+    return {
+        ...data,
+        players,
+        winner_names: players.filter((player) => player.is_winner).map((player) => player.name),
+        pots
+    };
+}
+
+module.exports = {
+    parseCard,
+    bestHand,
+    evaluateTable
+};
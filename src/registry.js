@@ -0,0 +1,1174 @@
+const schemas = require('./schemas');
+const { renderMarkdown } = require('./markdown');
+const { replaySgf } = require('./sgf');
+const xiangqi = require('./xiangqi');
+const chess = require('./chess');
+const poker = require('./poker');
+const { deriveBoard } = require('./minesweeper');
+const { buildTimetable } = require('./timetable');
+const { importCalendar } = require('./ics');
+const { renderChart, summarizeSeries, formatValue } = require('./chart');
+const { validationError } = require('./schema');
+
+/**
+ * 模板注册表
+ *
+ * 每个条目声明一种渲染：
+ * - template: 使用的 EJS 模板文件名，固定值或 (data) => 模板名
+ * - route: 兼容的旧接口路径（可选）
+ * - title / description: 元数据，用于 GET /templates
+ * - schema: 请求体校验（见 schemas.js）
+ * - defaults: 字段默认值（对象或 (body) => 对象），数据只包含这里声明的字段，
+ *             请求中缺省、null 或空字符串的字段取默认值
+ * - normalize: (data, body) => data，默认值之后的进一步整理（可选）
+ * - width: 渲染宽度，固定数值或 (data) => 数值
+ * - split: (data, [start, end), page) => 该页数据，支持按 max_height 拆分（可选，见 split.js）
+ * - bodyLimit: 请求体大小上限（字节），默认 DEFAULT_BODY_LIMIT
+ */
+const registry = new Map();
+
+// 请求体大小上限（字节）
+const DEFAULT_BODY_LIMIT = 100 * 1024;
+// 携带棋谱、日历文件等大段文本的模板：文本上限 10 万字符，JSON 中每字符最多 6 字节（\uXXXX 转义）
+const TEXT_BODY_LIMIT = 1024 * 1024;
+
+// 获取星期几
+function getWeekday() {
+    const weekdays = ['日', '一', '二', '三', '四', '五', '六'];
+    return '星期' + weekdays[new Date().getDay()];
+}
+
+// 获取当前日期
+function getDateStr() {
+    const now = new Date();
+    const year = now.getFullYear();
+    const month = now.getMonth() + 1;
+    const day = now.getDate();
+    return `${year}年${month}月${day}日`;
+}
+
+function sanitizeText(input, maxLen = 140) {
+    const text = String(input ?? '').replace(/\u0000/g, '').trim();
+    if (!text) return '';
+    return text.length > maxLen ? `${text.slice(0, maxLen - 3)}...` : text;
+}
+
+/**
+ * 卡片中的图表块 -> [{ title, svg }]
+ */
+function normalizeCharts(charts, width) {
+    return (charts || []).map((spec) => ({
+        title: spec.title || '',
+        svg: renderChart(spec, { width })
+    }));
+}
+
+// 统计项的走势：数值数组 -> 迷你折线 SVG（三列统计卡片的内容宽度）
+function normalizeQfarmTrend(trend) {
+    if (!Array.isArray(trend)) return '';
+    const data = trend.slice(-60).map((value) => (Number.isFinite(Number(value)) && value !== null ? Number(value) : null));
+    if (!data.some((value) => value !== null)) return '';
+    return renderChart({ type: 'sparkline', series: [{ data }] }, { width: 240, height: 28 });
+}
+
+function normalizeQfarmRows(rows) {
+    if (!Array.isArray(rows)) return [];
+    return rows.slice(0, 80).map((row) => {
+        if (row && typeof row === 'object') {
+            const label = sanitizeText(row.label, 40);
+            const value = sanitizeText(row.value, 220);
+            if (label) return { label, value };
+            return { value };
+        }
+        return { value: sanitizeText(row, 220) };
+    }).filter((row) => row.value || row.label);
+}
+
+/**
+ * universal 模板的正文：content_format 为 markdown 时转换为 content_html
+ * 请求中自带的 content_html 一律丢弃，模板只输出服务端转换的结果
+ */
+function formatContent(content, format) {
+    return format === 'markdown' && content ? renderMarkdown(content) : undefined;
+}
+
+/**
+ * universal 模板的分页：行依次为 items、table，正文只在首页，统计与引用只在末页
+ */
+function splitUniversal(data, [start, end], page) {
+    const items = data.items || [];
+    const table = data.table || [];
+    const pageData = {
+        ...data,
+        page,
+        items: items.slice(Math.min(start, items.length), Math.min(end, items.length)),
+        item_start: Math.min(start, items.length),
+        table: table.slice(Math.max(start - items.length, 0), Math.max(end - items.length, 0))
+    };
+    if (page.index > 1) {
+        delete pageData.content;
+        delete pageData.content_html;
+        delete pageData.charts;
+    }
+    if (page.index < page.total) {
+        delete pageData.stats;
+        delete pageData.quote;
+    }
+    return pageData;
+}
+
+/**
+ * 注册模板
+ */
+function register(name, entry) {
+    registry.set(name, { name, width: 800, bodyLimit: DEFAULT_BODY_LIMIT, ...entry });
+}
+
+/**
+ * 按名称获取注册项
+ */
+function get(name) {
+    return registry.get(name) || null;
+}
+
+/**
+ * 所有注册项
+ */
+function list() {
+    return Array.from(registry.values());
+}
+
+/**
+ * 由请求体构建模板数据
+ */
+function buildData(entry, body = {}) {
+    let data = { ...body };
+
+    if (entry.defaults) {
+        const defaults = typeof entry.defaults === 'function' ? entry.defaults(body) : entry.defaults;
+        data = {};
+        Object.keys(defaults).forEach((key) => {
+            const value = body[key];
+            data[key] = (value === undefined || value === null || value === '') ? defaults[key] : value;
+        });
+    }
+
+    return entry.normalize ? entry.normalize(data, body) : data;
+}
+
+/**
+ * 确定使用的模板
+ */
+function resolveTemplate(entry, data) {
+    return typeof entry.template === 'function' ? entry.template(data) : entry.template;
+}
+
+/**
+ * 计算渲染宽度
+ */
+function resolveWidth(entry, data) {
+    return typeof entry.width === 'function' ? entry.width(data) : entry.width;
+}
+
+/**
+ * 注册项的公开描述
+ */
+function describe(entry) {
+    return {
+        name: entry.name,
+        title: entry.title,
+        description: entry.description,
+        template: typeof entry.template === 'function' ? 'computed' : entry.template,
+        route: entry.route || null,
+        endpoint: `/render/${entry.name}`,
+        width: typeof entry.width === 'function' ? 'computed' : entry.width,
+        splittable: Boolean(entry.split),
+        bodyLimit: entry.bodyLimit,
+        fields: entry.defaults
+            ? Object.keys(typeof entry.defaults === 'function' ? entry.defaults({}) : entry.defaults)
+            : Object.keys((entry.schema && entry.schema.shape) || {})
+    };
+}
+
+// ============ 内容类 ============
+
+/**
+ * 通用渲染
+ * Body: { title, subtitle, items?, content?, table?, stats?, charts?, quote?, ... }
+ * charts: [{ title?, type, labels, series, ... }]，图表块显示在正文之后（字段同 /api/chart）
+ */
+register('universal', {
+    template: 'universal',
+    route: '/render',
+    title: '通用渲染',
+    description: '标题 + 列表 / 正文 / 表格 / 统计卡片 / 引用，请求体原样传入模板',
+    schema: schemas.universal,
+    normalize: (data) => ({
+        ...data,
+        title: data.title || '资讯',
+        weekday: data.weekday || getWeekday(),
+        subtitle: data.subtitle || getDateStr(),
+        content_html: formatContent(data.content, data.content_format),
+        // 卡片内容区宽 672 - 48
+        charts: normalizeCharts(data.charts, 624)
+    }),
+    split: splitUniversal
+});
+
+/**
+ * 发病语录
+ * Body: { saying: "..." }
+ */
+register('fabing', {
+    template: 'universal',
+    route: '/api/fabing',
+    title: '发病语录',
+    schema: schemas.fabing,
+    normalize: (data) => ({
+        title: '发病语录',
+        icon: '🤒',
+        subtitle: getDateStr(),
+        content: data.saying,
+        quote: '适量发病有益身心健康~',
+        sources: '60s语录合集'
+    })
+});
+
+/**
+ * KFC 文案
+ * Body: { text: "..." }
+ */
+register('kfc', {
+    template: 'universal',
+    route: '/api/kfc',
+    title: 'KFC 文案',
+    schema: schemas.kfc,
+    normalize: (data) => ({
+        title: '疯狂星期四',
+        icon: '🍗',
+        subtitle: getDateStr(),
+        weekday: getWeekday(),
+        content: data.text,
+        quote: 'V我50，今天吃什么？',
+        sources: '60s语录合集 · KFC文案'
+    })
+});
+
+// 涨跌箭头
+const PRICE_ARROWS = { up: '▲', down: '▼', flat: '—' };
+
+// 价格数值：数字，或 "612.35"、"¥ 785/克" 等字符串中的第一个数
+function parsePrice(value) {
+    if (typeof value === 'number') return value;
+    const match = /-?\d+(?:\.\d+)?/.exec(String(value ?? '').replace(/,/g, ''));
+    return match ? Number(match[0]) : null;
+}
+
+/**
+ * 较昨日的涨跌
+ * @returns {{ direction: string, text: string }|null} direction 为 up / down / flat，text 如 "+1.20 (+0.19%)"；缺少任一价格时为 null
+ */
+function priceChange(today, yesterday) {
+    const current = parsePrice(today);
+    const previous = yesterday === undefined ? null : parsePrice(yesterday);
+    if (current === null || previous === null) return null;
+    const diff = Math.round((current - previous) * 100) / 100;
+    const sign = diff > 0 ? '+' : '';
+    const percent = previous !== 0 ? ` (${sign}${(diff / previous * 100).toFixed(2)}%)` : '';
+    return {
+        direction: diff > 0 ? 'up' : (diff < 0 ? 'down' : 'flat'),
+        text: `${sign}${diff.toFixed(2)}${percent}`
+    };
+}
+
+// 金价模板按行拆分：国际金价、品牌金价、回收价格的行依次排列
+function splitGold(data, [start, end], page) {
+    let offset = 0;
+    const slice = (rows) => {
+        const part = rows.slice(Math.max(start - offset, 0), Math.max(end - offset, 0));
+        offset += rows.length;
+        return part;
+    };
+    return {
+        ...data,
+        page,
+        metals: slice(data.metals),
+        stores: slice(data.stores),
+        recycle: slice(data.recycle)
+    };
+}
+
+/**
+ * 黄金价格
+ * Body: {
+ *   date,
+ *   metals: [{ name, today_price, yesterday_price?, unit }],     // 国际金价
+ *   stores: [{ brand, formatted, price?, yesterday_price? }],    // 品牌金价
+ *   recycle: [{ type, formatted, price?, yesterday_price? }],    // 回收价格
+ *   layout?: "gold"               // gold（默认）| universal（通用卡片）
+ * }
+ * 给出昨日价格时显示涨跌箭头与幅度（品牌与回收价格缺少 price 时从 formatted 中取数）
+ */
+register('gold', {
+    template: (data) => (data.layout === 'universal' ? 'universal' : 'gold'),
+    route: '/api/gold',
+    title: '黄金价格',
+    description: '国际金价、品牌金价与回收价格，支持较昨日涨跌',
+    schema: schemas.gold,
+    normalize: ({ date, layout, metals = [], stores = [], recycle = [] }) => {
+        const metalRows = metals.map((m) => ({
+            name: m.name || '',
+            price: m.today_price ?? '-',
+            unit: m.unit || '',
+            change: priceChange(m.today_price, m.yesterday_price)
+        }));
+        const priceRow = (item) => ({
+            formatted: item.formatted || (item.price !== undefined ? String(item.price) : '-'),
+            change: priceChange(item.price ?? item.formatted, item.yesterday_price)
+        });
+        const storeRows = stores.map((s) => ({ brand: s.brand || '', ...priceRow(s) }));
+        const recycleRows = recycle.map((r) => ({ type: r.type || '', ...priceRow(r) }));
+
+        if (layout === 'universal') {
+            const withChange = (value, change) => (change ? `${value} ${PRICE_ARROWS[change.direction]} ${change.text}` : value);
+            return {
+                layout: 'universal',
+                title: '实时金价',
+                icon: '🏆',
+                subtitle: date || getDateStr(),
+                weekday: getWeekday(),
+                table: [
+                    ...metalRows.map((m) => ({ label: m.name, value: withChange(`${m.price} ${m.unit}`.trim(), m.change) })),
+                    ...storeRows.map((s) => ({ label: s.brand, value: withChange(s.formatted, s.change) })),
+                    ...recycleRows.map((r) => ({ label: `回收 · ${r.type}`, value: withChange(r.formatted, r.change) }))
+                ],
+                quote: '数据仅供参考，投资需谨慎',
+                sources: '60s语录合集 · 黄金价格'
+            };
+        }
+
+        return {
+            layout: 'gold',
+            date: date || getDateStr(),
+            arrows: PRICE_ARROWS,
+            metals: metalRows,
+            stores: storeRows,
+            recycle: recycleRows
+        };
+    },
+    width: (data) => (data.layout === 'universal' ? 800 : 560),
+    split: (data, range, page) => (data.layout === 'universal' ? splitUniversal(data, range, page) : splitGold(data, range, page))
+});
+
+/**
+ * 运势
+ * Body: { luck_desc, luck_rank, luck_tip }
+ */
+register('luck', {
+    template: 'universal',
+    route: '/api/luck',
+    title: '今日运势',
+    schema: schemas.luck,
+    normalize: ({ luck_desc, luck_rank, luck_tip }) => ({
+        title: '今日运势',
+        icon: '🔮',
+        subtitle: getDateStr(),
+        weekday: getWeekday(),
+        stats: {
+            '运势类型': luck_desc || '未知',
+            '运势指数': `${luck_rank || 0}/100`
+        },
+        quote: luck_tip || '祝你今天好运！',
+        sources: '60s语录合集 · 仅供娱乐'
+    })
+});
+
+/**
+ * 课表渲染（网格布局）
+ * Body: {
+ *   title: "第X周课表",
+ *   subtitle: "2024-2025-2",
+ *   week: 1,           // 当前周次（可选，用于标题并过滤非本周课程）
+ *   sections: [        // 节次时间表（可选，默认 10 节，见 timetable.js）
+ *     { start: "08:00", end: "08:45", label: "1" }
+ *   ],
+ *   show_inactive: false, // 是否以灰色显示非本周课程（默认隐藏）
+ *   ics: "BEGIN:VCALENDAR...", // 可选，从 iCalendar 导入课程（追加到 courses，见 ics.js）
+ *   term_start: "2025-02-24",  // 导入时第 1 周中的任意一天，缺省为最早一次课所在的周
+ *   timezone: "Asia/Shanghai", // 导入时换算 UTC 时刻所用的时区
+ *   courses: [         // 课程列表
+ *     {
+ *       weekday: 1,           // 1=周一, 7=周日
+ *       section_start: 1,     // 起始节次
+ *       section_end: 3,       // 结束节次（含），或 section_count: 3；缺省为两节连上
+ *       course_name: "高数",
+ *       location: "A101",
+ *       teacher: "张老师",
+ *       weeks_raw: "1-16周(单)", // 可选，支持范围、单/双周与列表，如 "1-8,10-16周"
+ *       weeks: [1, 3, 5]         // 可选，直接给出上课周次（优先于 weeks_raw）
+ *     }
+ *   ]
+ * }
+ * 同一天内本周上课且节次重叠的课程标记为冲突，并排显示
+ */
+register('timetable', {
+    template: 'timetable',
+    route: '/api/timetable',
+    title: '课程表',
+    description: '按星期与节次排布的周课表，支持周次过滤与冲突标记',
+    schema: schemas.timetable,
+    bodyLimit: TEXT_BODY_LIMIT,
+    width: 1100,
+    normalize: (body) => {
+        const { title, subtitle, week } = body;
+        let courses = body.courses || [];
+        if (body.ics) {
+            try {
+                courses = courses.concat(importCalendar(body));
+            } catch (error) {
+                if (!error.ics) throw error;
+                throw validationError([{ path: error.path, message: error.message }]);
+            }
+        }
+        return {
+            title: title || (week ? `第${week}周课表` : '课程表'),
+            subtitle: subtitle || getDateStr(),
+            weekday: getWeekday(),
+            week: week || null,
+            ...buildTimetable({ ...body, courses })
+        };
+    }
+});
+
+/**
+ * 通用内容渲染（用于 AI 资讯等）
+ * Body: { title, content, content_format?, icon? }
+ */
+register('content', {
+    template: 'universal',
+    route: '/api/universal',
+    title: '通用内容',
+    description: '标题 + 正文的资讯卡片',
+    schema: schemas.universalContent,
+    normalize: ({ title, content, content_format, icon }) => ({
+        title: title || '资讯',
+        icon: icon || '📋',
+        subtitle: getDateStr(),
+        weekday: getWeekday(),
+        content: content,
+        content_html: formatContent(content, content_format),
+        sources: '60s语录合集'
+    })
+});
+
+/**
+ * qfarm 结构化渲染
+ * Body: {
+ *   title, subtitle, icon, theme, summary,
+ *   stats: [{ label, value, trend? }],   // trend: 数值数组，显示为迷你折线
+ *   charts: [{ title?, type, labels, series, ... }],  // 图表块（字段同 /api/chart），显示在统计之后
+ *   sections: [{ title, rows: [{ label?, value }] }],
+ *   page: { index, total }, footer
+ * }
+ */
+register('qfarm', {
+    template: 'qfarm',
+    route: '/api/qfarm',
+    title: 'QFarm 结果',
+    description: '统计卡片 + 分组明细，支持 light / dark 主题',
+    schema: schemas.qfarm,
+    width: 920,
+    normalize: (body) => {
+        const stats = Array.isArray(body.stats)
+            ? body.stats
+                .slice(0, 10)
+                .map((item) => ({
+                    label: sanitizeText(item && item.label, 30),
+                    value: sanitizeText(item && item.value, 80),
+                    trend: normalizeQfarmTrend(item && item.trend),
+                }))
+                .filter((item) => item.label || item.value)
+            : [];
+
+        const sections = Array.isArray(body.sections)
+            ? body.sections
+                .slice(0, 8)
+                .map((section) => ({
+                    title: sanitizeText(section && section.title, 24),
+                    rows: normalizeQfarmRows(section && section.rows),
+                }))
+                .filter((section) => Array.isArray(section.rows) && section.rows.length > 0)
+            : [];
+
+        const pageRaw = (body.page && typeof body.page === 'object') ? body.page : {};
+        const pageIndex = Math.max(1, parseInt(pageRaw.index, 10) || 1);
+        const pageTotal = Math.max(pageIndex, parseInt(pageRaw.total, 10) || pageIndex);
+
+        return {
+            title: sanitizeText(body.title, 30) || 'QFarm 结果',
+            subtitle: sanitizeText(body.subtitle, 60) || getDateStr(),
+            icon: sanitizeText(body.icon, 8) || '🌾',
+            // 未注入主题变量时模板自身的配色（自定义调色板按 light 处理）
+            theme: body.theme === 'dark' ? 'dark' : 'light',
+            summary: sanitizeText(body.summary, 220),
+            stats,
+            // 图表块内容宽：920 减去页面、卡片与图表块的边距
+            charts: normalizeCharts(body.charts, 800),
+            sections,
+            page: { index: pageIndex, total: pageTotal },
+            footer: sanitizeText(body.footer, 80) || 'astrbot_plugin_qfarm',
+        };
+    },
+    // 行为各分组的 rows 依次排列；分组标题在续页重复，摘要与统计只在首页
+    split: (data, [start, end], page) => {
+        const sections = [];
+        let offset = 0;
+        data.sections.forEach((section) => {
+            const rows = section.rows.slice(Math.max(start - offset, 0), Math.max(end - offset, 0));
+            if (rows.length > 0) {
+                sections.push({ ...section, rows });
+            }
+            offset += section.rows.length;
+        });
+        return {
+            ...data,
+            page,
+            sections,
+            summary: page.index === 1 ? data.summary : '',
+            stats: page.index === 1 ? data.stats : [],
+            charts: page.index === 1 ? data.charts : []
+        };
+    }
+});
+
+/**
+ * 图表
+ * Body: {
+ *   title, subtitle?, icon?, summary?, sources?,
+ *   type: "line",                 // line | bar | pie | sparkline
+ *   labels: ["1日", "2日", ...],   // 横轴标签（饼图为各扇区名称）
+ *   series: [{ name, data: [612.5, null, 618.2], color? }],  // null 表示缺失；饼图与迷你折线只用第一个序列
+ *   unit?, y_min?, y_max?,        // 纵轴单位与范围（默认按数据自动取整）
+ *   stacked?, donut?,             // 堆叠柱状图 / 环形图
+ *   show_values?, show_legend?,   // 数值标签 / 图例（默认多序列与饼图显示图例）
+ *   width?, height?               // 图片宽度（默认 800）与图表高度
+ * }
+ * 只有一个序列的折线 / 柱状图在图表下方列出最新、最高、最低与涨跌
+ */
+register('chart', {
+    template: 'chart',
+    route: '/api/chart',
+    title: '图表',
+    description: '折线 / 柱状 / 饼图 / 迷你折线，内联 SVG',
+    schema: schemas.chart,
+    normalize: (body) => {
+        const width = body.width || 800;
+        const type = body.type || 'line';
+        const unit = body.unit || '';
+        const stats = body.series.length === 1 && type !== 'pie' ? summarizeSeries(body.series[0].data) : null;
+        return {
+            title: body.title || '图表',
+            subtitle: body.subtitle || getDateStr(),
+            icon: body.icon || '📈',
+            summary: body.summary || '',
+            sources: body.sources || '',
+            width,
+            // 减去页面边距 16 与卡片内边距 24
+            svg: renderChart({ ...body, type }, { width: width - 2 * 24 - 2 * 16 }),
+            stats: stats && [
+                { label: '最新', value: formatValue(stats.last, unit) },
+                { label: '最高', value: formatValue(stats.max, unit) },
+                { label: '最低', value: formatValue(stats.min, unit) },
+                {
+                    label: '涨跌',
+                    value: `${stats.change > 0 ? '+' : ''}${formatValue(stats.change, unit)}`
+                        + (stats.change_pct !== null ? ` (${stats.change_pct > 0 ? '+' : ''}${stats.change_pct}%)` : ''),
+                    trend: Math.sign(stats.change)
+                }
+            ]
+        };
+    },
+    width: (data) => data.width
+});
+
+// ============ 棋类 ============
+
+/**
+ * 井字棋
+ * Body: {
+ *   board: ['X', 'O', '', '', 'X', ...],  // 9个元素，'X', 'O' 或 ''
+ *   player_x_name: "玩家A",
+ *   player_o_name: "玩家B",              // 可为空表示等待加入
+ *   current_turn: "X",                    // 'X' 或 'O'
+ *   winner: "X",                          // 'X', 'O' 或 null
+ *   is_finished: false,
+ *   subtitle: "第 3 回合"                 // 可选
+ * }
+ */
+register('tictactoe', {
+    template: 'tictactoe',
+    route: '/api/tictactoe',
+    title: '井字棋',
+    schema: schemas.tictactoe,
+    width: 420,
+    defaults: () => ({
+        board: Array(9).fill(''),
+        player_x_name: '玩家X',
+        player_o_name: '',
+        current_turn: 'X',
+        winner: null,
+        is_finished: false,
+        subtitle: ''
+    })
+});
+
+/**
+ * 围棋
+ * Body: {
+ *   board: ['B', 'W', '', ...],  // board_size * board_size 个元素
+ *   board_size: 9,                // 9, 13, 或 19
+ *   black_player_name: "玩家A",
+ *   player_white_name: "玩家B",
+ *   current_turn: "B",            // 'B' 或 'W'
+ *   captured_black: 0,
+ *   captured_white: 0,
+ *   move_count: 0,
+ *   last_move: null,              // 最后落子位置索引
+ *   is_finished: false,
+ *   winner: null,                 // 'B', 'W' 或 null
+ *   subtitle: "第 15 手",
+ *   show_move_numbers: false,     // 在棋子上显示手数（需要 move_numbers）
+ *   show_coordinates: true,       // 显示坐标（列 A-T 跳过 I）
+ *   move_numbers: null,           // 各位置棋子的手数
+ *   variations: [],               // 分支标记 [{ index, label }]
+ *   comment: ""                   // 评论
+ * }
+ * 或以棋谱代替棋盘：{ sgf, move_number?, variation?, ... }，
+ * 由 SGF 重放（含提子）生成 board、captured_*、last_move、move_numbers、variations 与当前节点的评论
+ */
+register('go', {
+    template: 'go',
+    route: '/api/go',
+    title: '围棋',
+    schema: schemas.go,
+    bodyLimit: TEXT_BODY_LIMIT,
+    defaults: (body) => {
+        const size = body.board_size || 9;
+        return {
+            board: Array(size * size).fill(''),
+            board_size: size,
+            black_player_name: '黑方',
+            player_white_name: '',
+            current_turn: 'B',
+            captured_black: 0,
+            captured_white: 0,
+            move_count: 0,
+            last_move: null,
+            is_finished: false,
+            winner: null,
+            subtitle: '',
+            show_move_numbers: false,
+            show_coordinates: true,
+            move_numbers: null,
+            variations: [],
+            comment: ''
+        };
+    },
+    normalize: (data, body) => {
+        if (!body.sgf) {
+            return data;
+        }
+        let record;
+        try {
+            record = replaySgf(body.sgf, { moveNumber: body.move_number, variation: body.variation });
+        } catch (error) {
+            if (!error.sgf) throw error;
+            throw validationError([{ path: 'sgf', message: error.message }]);
+        }
+        const { result_text: resultText, ...fields } = record;
+        return {
+            ...data,
+            ...fields,
+            // 请求中显式给出的对局者与评论优先于棋谱
+            black_player_name: body.black_player_name || record.black_player_name || data.black_player_name,
+            player_white_name: body.player_white_name || record.player_white_name || data.player_white_name,
+            comment: sanitizeText(data.comment || record.comment, 500),
+            subtitle: data.subtitle || resultText || `第 ${record.move_count} 手`
+        };
+    },
+    // 根据棋盘大小调整渲染宽度
+    width: (data) => ({ 9: 450, 13: 550, 19: 700 })[data.board_size] || 450
+});
+
+/**
+ * 五子棋
+ * Body: {
+ *   board: ['B', 'W', '', ...],  // board_size * board_size 个元素
+ *   board_size: 15,               // 13, 15, 或 19
+ *   black_player_name: "玩家A",
+ *   white_player_name: "玩家B",
+ *   current_turn: "B",            // 'B' 或 'W'
+ *   move_count: 0,
+ *   last_move: null,              // 最后落子位置索引
+ *   win_line: null,               // 获胜连线位置数组 [pos1, pos2, ...]
+ *   is_finished: false,
+ *   winner: null,                 // 'B', 'W' 或 null
+ *   subtitle: "第 15 手"
+ * }
+ */
+register('gomoku', {
+    template: 'gomoku',
+    route: '/api/gomoku',
+    title: '五子棋',
+    schema: schemas.gomoku,
+    defaults: (body) => {
+        const size = body.board_size || 15;
+        return {
+            board: Array(size * size).fill(''),
+            board_size: size,
+            black_player_name: '黑方',
+            white_player_name: '',
+            current_turn: 'B',
+            move_count: 0,
+            last_move: null,
+            win_line: null,
+            is_finished: false,
+            winner: null,
+            subtitle: ''
+        };
+    },
+    // 根据棋盘大小调整渲染宽度
+    width: (data) => ({ 13: 500, 15: 550, 19: 700 })[data.board_size] || 550
+});
+
+/**
+ * 四子棋
+ */
+register('connect4', {
+    template: 'connect4',
+    route: '/api/connect4',
+    title: '四子棋',
+    schema: schemas.connect4,
+    defaults: (body) => {
+        const cols = body.columns || 7;
+        const rws = body.rows || 6;
+        return {
+            board: Array(cols * rws).fill(''),
+            columns: cols,
+            rows: rws,
+            player_red_name: '红方',
+            player_yellow_name: '',
+            current_turn: 'R',
+            move_count: 0,
+            last_move: null,
+            is_finished: false,
+            winner: null,
+            subtitle: ''
+        };
+    },
+    width: (data) => Math.max(420, data.columns * 64 + 80)
+});
+
+/**
+ * 中国象棋
+ * Body: {
+ *   board: ['RC', 'RH', 'RE', ...],  // 90 个元素
+ *   red_player_name: "玩家A",
+ *   black_player_name: "玩家B",
+ *   current_turn: "R",               // 'R' 或 'B'
+ *   move_count: 0,
+ *   last_move: { from: 4, to: 13 },  // 可为 null
+ *   in_check: false,
+ *   is_finished: false,
+ *   winner: null,                    // 'R', 'B' 或 null
+ *   subtitle: "第 10 回合",
+ *   history: []                      // 着法记录 [{ round, side, text: '炮二平五', check }]
+ * }
+ * 或以 FEN 与着法代替棋盘：{ fen?, moves?: ['炮二平五', 'h9g7', ...], ... }，
+ * 由起始局面（未给出 fen 与 board 时为开局局面）推演 board、current_turn、move_count、last_move、in_check 与 history
+ */
+register('xiangqi', {
+    template: 'xiangqi',
+    route: '/api/xiangqi',
+    title: '中国象棋',
+    schema: schemas.xiangqi,
+    defaults: () => ({
+        board: Array(90).fill(''),
+        red_player_name: '红方',
+        black_player_name: '',
+        current_turn: 'R',
+        move_count: 0,
+        last_move: null,
+        in_check: false,
+        is_finished: false,
+        winner: null,
+        subtitle: '',
+        history: []
+    }),
+    normalize: (data, body) => {
+        if (!body.fen && !body.moves) {
+            return data;
+        }
+        let game;
+        try {
+            game = xiangqi.replayMoves({
+                fen: body.fen,
+                board: body.board && data.board,
+                turn: data.current_turn,
+                moves: body.moves
+            });
+        } catch (error) {
+            if (!error.xiangqi) throw error;
+            throw validationError([{ path: error.path, message: error.message }]);
+        }
+        const played = game.history.length > 0;
+        return {
+            ...data,
+            ...game,
+            // 没有着法时保留请求中的回合数与最后一手
+            move_count: played ? game.move_count : (body.move_count ?? game.move_count),
+            last_move: played ? game.last_move : data.last_move,
+            in_check: data.in_check || game.in_check
+        };
+    },
+    // 有着法记录时在棋盘右侧显示记录面板
+    width: (data) => data.history.length > 0 ? 680 : 500
+});
+
+/**
+ * 国际象棋
+ * Body: {
+ *   board: ['WR', 'WN', 'WB', ...],  // 64 个元素，index = 横线 * 8 + 列，0 为 a1
+ *   white_player_name: "玩家A",
+ *   black_player_name: "玩家B",
+ *   current_turn: "W",               // 'W' 或 'B'
+ *   move_count: 0,
+ *   last_move: { from: 'e2', to: 'e4' },  // 可为 null
+ *   in_check: false,
+ *   is_finished: false,
+ *   winner: null,                    // 'W', 'B' 或 null
+ *   result_text: "",                 // 终局说明，如 将杀、1-0
+ *   subtitle: "",
+ *   orientation: "white",            // 'black' 时翻转棋盘
+ *   show_coordinates: true,
+ *   arrows: [],                      // [{ from: 'g1', to: 'f3', color: 'green' }]
+ *   highlights: [],                  // [{ square: 'e4', color: 'yellow' }]
+ *   history: []                      // 着法记录 [{ round, side, text: 'Nf3' }]
+ * }
+ * 或以 { fen } / { pgn, ply? } 代替棋盘，由此推演 board、current_turn、move_count、last_move、in_check、
+ * 终局状态与 history；吃子栏按棋盘上剩余的子力推算
+ */
+register('chess', {
+    template: 'chess',
+    route: '/api/chess',
+    title: '国际象棋',
+    schema: schemas.chess,
+    bodyLimit: TEXT_BODY_LIMIT,
+    defaults: () => ({
+        board: Array(64).fill(''),
+        white_player_name: '白方',
+        black_player_name: '',
+        current_turn: 'W',
+        move_count: 0,
+        last_move: null,
+        in_check: false,
+        is_finished: false,
+        winner: null,
+        result_text: '',
+        subtitle: '',
+        orientation: 'white',
+        show_coordinates: true,
+        arrows: [],
+        highlights: [],
+        history: [],
+        captured_white: [],
+        captured_black: [],
+        material_diff: 0
+    }),
+    normalize: (data, body) => {
+        let result = data;
+        if (body.fen || body.pgn) {
+            let game;
+            try {
+                game = chess.replayGame({ fen: body.fen, pgn: body.pgn, ply: body.ply });
+            } catch (error) {
+                if (!error.chess) throw error;
+                throw validationError([{ path: error.path, message: error.message }]);
+            }
+            const { event, ...fields } = game;
+            result = {
+                ...data,
+                ...fields,
+                // 请求中显式给出的对局者与终局状态优先于棋谱
+                white_player_name: body.white_player_name || fields.white_player_name || data.white_player_name,
+                black_player_name: body.black_player_name || fields.black_player_name || data.black_player_name,
+                subtitle: data.subtitle || event || ''
+            };
+            if (body.is_finished) {
+                Object.assign(result, {
+                    is_finished: true,
+                    winner: data.winner,
+                    result_text: data.result_text
+                });
+            }
+        }
+        // 空棋盘不显示吃子
+        if (!result.board.some(Boolean)) {
+            return result;
+        }
+        return { ...result, ...chess.capturedMaterial(result.board) };
+    },
+    // 有着法记录时在棋盘右侧显示记录面板
+    width: (data) => data.history.length > 0 ? 720 : 540
+});
+
+/**
+ * 军棋翻棋
+ */
+register('junqi', {
+    template: 'junqi',
+    route: '/api/junqi',
+    title: '军棋翻棋',
+    schema: schemas.junqi,
+    width: 400,
+    defaults: () => ({
+        board: [],
+        player_a_name: '玩家A',
+        player_b_name: '',
+        player_a_side: null,
+        player_b_side: null,
+        current_turn: 1,
+        move_count: 0,
+        last_action: null,
+        last_pos: null,
+        is_finished: false,
+        winner: null,
+        subtitle: ''
+    })
+});
+
+// ============ 益智类 ============
+
+/**
+ * 扫雷
+ * 可传入 cells（hidden / flag / wrong_flag / mine / boom / empty / n1-n8），
+ * 或原始局面 { mines, revealed?, flagged? }（位置为索引或 A1 形式的坐标），
+ * 由此计算周围雷数、连锁翻开空白格，并在踩雷或全部翻开时生成结束画面
+ */
+register('minesweeper', {
+    template: 'minesweeper',
+    route: '/api/minesweeper',
+    title: '扫雷',
+    schema: schemas.minesweeper,
+    defaults: (body) => {
+        const w = body.width || 9;
+        const h = body.height || 9;
+        return {
+            cells: Array(w * h).fill('hidden'),
+            width: w,
+            height: h,
+            mine_count: 10,
+            player_name: '玩家',
+            move_count: 0,
+            flags_used: 0,
+            is_finished: false,
+            is_win: false,
+            subtitle: ''
+        };
+    },
+    normalize: (data, body) => {
+        if (!body.mines) {
+            return data;
+        }
+        let board;
+        try {
+            board = deriveBoard({
+                width: data.width,
+                height: data.height,
+                mines: body.mines,
+                revealed: body.revealed,
+                flagged: body.flagged,
+                finished: data.is_finished
+            });
+        } catch (error) {
+            if (!error.minesweeper) throw error;
+            throw validationError([{ path: error.path, message: error.message }]);
+        }
+        return {
+            ...data,
+            ...board,
+            move_count: body.move_count ?? (body.revealed || []).length
+        };
+    },
+    width: ({ width: w, height: h }) => {
+        const longSide = Math.max(w, h);
+        const cellSize = longSide <= 9 ? 34 : (longSide <= 12 ? 30 : 26);
+        const gridWidth = w * cellSize + (w - 1) * 6;
+        const rowLabelW = longSide <= 9 ? 18 : 20;
+        const sideBlockW = rowLabelW * 2 + 6 * 2;
+        return Math.max(460, gridWidth + sideBlockW + 120);
+    }
+});
+
+/**
+ * 2048
+ */
+register('game2048', {
+    template: 'game2048',
+    route: '/api/game2048',
+    title: '2048',
+    schema: schemas.game2048,
+    defaults: (body) => {
+        const n = body.size || 4;
+        return {
+            board: Array(n * n).fill(0),
+            size: n,
+            player_name: '玩家',
+            score: 0,
+            best_tile: 0,
+            move_count: 0,
+            is_finished: false,
+            is_win: false,
+            subtitle: '',
+            last_spawn_pos: null
+        };
+    },
+    width: ({ size: n }) => {
+        const tileSize = n <= 4 ? 84 : (n <= 5 ? 68 : 56);
+        return Math.max(460, n * tileSize + (n - 1) * 10 + 120);
+    }
+});
+
+// ============ 牌类 ============
+
+/**
+ * 德州扑克
+ * evaluate_hands 为 true 时由手牌与公共牌判定各玩家的最大牌型（hand、best_cards），
+ * is_finished 时比牌结算 winner_names、各玩家的 winnings 与 pots（给出 contributed 时拆分边池）
+ */
+register('texas', {
+    template: 'texas',
+    route: '/api/texas',
+    title: '德州扑克',
+    schema: schemas.texas,
+    defaults: () => ({
+        phase_text: '等待玩家',
+        pot: 0,
+        current_bet: 0,
+        community_cards: [],
+        players: [],
+        is_finished: false,
+        winner_names: [],
+        last_action: '',
+        subtitle: '',
+        pots: []
+    }),
+    normalize: (data, body) => {
+        if (!body.evaluate_hands) {
+            return data;
+        }
+        try {
+            return poker.evaluateTable(data);
+        } catch (error) {
+            if (!error.poker) throw error;
+            throw validationError([{ path: error.path, message: error.message }]);
+        }
+    },
+    // 双列玩家卡片，宽度按玩家数量轻微放大
+    width: (data) => data.players.length > 4 ? 920 : 860
+});
+
+/**
+ * 21点
+ */
+register('blackjack', {
+    template: 'blackjack',
+    route: '/api/blackjack',
+    title: '21点',
+    schema: schemas.blackjack,
+    defaults: () => ({
+        phase_text: '等待发牌',
+        dealer_cards: [],
+        dealer_value_text: '0',
+        players: [],
+        is_finished: false,
+        winner_names: [],
+        last_action: '',
+        subtitle: ''
+    }),
+    width: (data) => data.players.length > 3 ? 920 : 860
+});
+
+/**
+ * UNO
+ */
+register('uno', {
+    template: 'uno',
+    route: '/api/uno',
+    title: 'UNO',
+    schema: schemas.uno,
+    defaults: () => ({
+        phase_text: '等待发牌',
+        top_card: '',
+        current_color: 'R',
+        direction: 1,
+        pending_draw: 0,
+        players: [],
+        is_finished: false,
+        winner_name: '',
+        last_action: '',
+        subtitle: ''
+    }),
+    width: (data) => data.players.length > 4 ? 980 : 900
+});
+
+/**
+ * 斗地主
+ */
+register('doudizhu', {
+    template: 'doudizhu',
+    route: '/api/doudizhu',
+    title: '斗地主',
+    schema: schemas.doudizhu,
+    width: 920,
+    defaults: () => ({
+        phase_text: '等待发牌',
+        landlord_name: '',
+        bottom_cards: [],
+        players: [],
+        last_play_text: '无',
+        current_turn_name: '',
+        winner_text: '',
+        is_finished: false,
+        last_action: '',
+        subtitle: ''
+    })
+});
+
+/**
+ * 游戏帮助
+ */
+register('gamehelp', {
+    template: 'gamehelp',
+    route: '/api/gamehelp',
+    title: '游戏帮助',
+    schema: schemas.gamehelp,
+    width: 480,
+    defaults: {
+        subtitle: 'Game Plugin v1.0'
+    }
+});
+
+module.exports = {
+    DEFAULT_BODY_LIMIT,
+    register,
+    get,
+    list,
+    buildData,
+    resolveTemplate,
+    resolveWidth,
+    describe,
+    getDateStr,
+    getWeekday,
+    sanitizeText
+};
@@ -1,7 +1,17 @@
 const puppeteer = require('puppeteer');
-const ejs = require('ejs');
-const fs = require('fs');
 const path = require('path');
+const styles = require('./styles');
+const { createCache, hashKey } = require('./cache');
+const { createTemplateStore } = require('./templates');
+const split = require('./split');
+const themes = require('./themes');
+const animation = require('./animation');
+const metrics = require('./metrics');
+
+function envInt(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) ? fallback : value;
+}
 
 // ============ 性能优化配置 ============
 const CONFIG = {
@@ -9,80 +19,266 @@ const CONFIG = {
     PAGE_POOL_SIZE: 16,
     // 最大并发渲染数 - 5900X 12核24线程
     MAX_CONCURRENT: 16,
+    // 等待页面的最大排队数，超出直接返回繁忙
+    MAX_QUEUE: envInt('RENDER_QUEUE_MAX', 100),
+    // 单个请求排队等待页面的超时时间（毫秒）
+    QUEUE_TIMEOUT: envInt('RENDER_QUEUE_TIMEOUT', 10000),
     // 页面预热
     PREWARM_PAGES: true,
-    // 模板缓存
-    CACHE_TEMPLATES: true,
     // 预编译 EJS 模板
-    PRECOMPILE_TEMPLATES: true
+    PRECOMPILE_TEMPLATES: true,
+    // 监听模板目录，文件变更后自动重新编译
+    WATCH_TEMPLATES: process.env.TEMPLATE_WATCH !== '0',
+    // JPEG / WebP 默认质量
+    DEFAULT_QUALITY: 85,
+    // 默认主题（light|dark|sepia），留空时各模板使用原有配色
+    DEFAULT_THEME: process.env.RENDER_THEME || '',
+    // 渲染结果缓存：条目数（0 关闭）、内存上限、过期时间、磁盘目录（留空仅内存）
+    RENDER_CACHE_SIZE: envInt('RENDER_CACHE_SIZE', 200),
+    RENDER_CACHE_MAX_BYTES: envInt('RENDER_CACHE_MAX_MB', 256) * 1024 * 1024,
+    RENDER_CACHE_TTL: envInt('RENDER_CACHE_TTL', 600) * 1000,
+    RENDER_CACHE_DIR: process.env.RENDER_CACHE_DIR || '',
+    // 自定义 HTML 渲染（/render/html）：HTML 大小上限、页面加载与截图超时、输出尺寸上限（CSS 像素）
+    SANDBOX_MAX_BYTES: envInt('RENDER_HTML_MAX_KB', 64) * 1024,
+    SANDBOX_TIMEOUT: envInt('RENDER_HTML_TIMEOUT', 5000),
+    SANDBOX_MAX_WIDTH: 2000,
+    SANDBOX_MAX_HEIGHT: envInt('RENDER_HTML_MAX_HEIGHT', 8000),
+    // 动图逐帧渲染的并发数，避免长回放占满页面池
+    ANIMATION_CONCURRENCY: 4
+};
+
+// 自定义 HTML 的内容安全策略：禁止脚本与一切外部资源，只允许内联样式和 data: 图片、字体
+const SANDBOX_CSP = [
+    "default-src 'none'",
+    "script-src 'none'",
+    "style-src 'unsafe-inline'",
+    'img-src data:',
+    'font-src data:',
+    "base-uri 'none'",
+    "form-action 'none'"
+].join('; ');
+
+// 支持的输出格式及对应的 Content-Type
+const OUTPUT_FORMATS = {
+    png: 'image/png',
+    jpeg: 'image/jpeg',
+    webp: 'image/webp',
+    pdf: 'application/pdf'
 };
 
+// A4 纸宽度（CSS 像素，96dpi）
+const A4_WIDTH_PX = 794;
+
 let browser = null;
+let launchPromise = null;
+let templatesPrecompiled = false;
+let shuttingDown = false;
+let browserExitReason = null;
+// 浏览器运行状态：重启次数与最近一次崩溃原因
+let browserStatus = {
+    launchedAt: null,
+    restarts: 0,
+    retriedRenders: 0,
+    lastCrashAt: null,
+    lastCrashReason: null
+};
+// 渲染进程崩溃过或状态不可信（如自定义 HTML 超时）的页面，不再放回池中
+let crashedPages = new WeakSet();
 let pagePool = [];
 let busyPages = new Set();
-let templateCache = new Map();
-let compiledTemplates = new Map();
+let creatingPages = 0;
+
+// 等待页面的请求队列：按优先级分级，同级先进先出
+const PRIORITIES = { high: 0, normal: 1, low: 2 };
+let waitQueues = [[], [], []];
+// 平均渲染耗时（毫秒），用于估算 Retry-After
+let avgRenderMs = 500;
+
+const templateStore = createTemplateStore({
+    dir: path.join(__dirname, '../templates')
+});
+
+const renderCache = createCache({
+    maxEntries: CONFIG.RENDER_CACHE_SIZE,
+    maxBytes: CONFIG.RENDER_CACHE_MAX_BYTES,
+    ttl: CONFIG.RENDER_CACHE_TTL,
+    dir: CONFIG.RENDER_CACHE_DIR
+});
+// 请求未指定主题时使用的调色板
+const defaultTheme = loadDefaultTheme();
+// 进行中的渲染：相同请求共享同一个 Promise
+let inflightRenders = new Map();
+let dedupedRenders = 0;
 
 /**
- * 预编译所有模板
+ * 解析默认主题，配置无效时忽略并保持模板原有配色
  */
-async function precompileTemplates() {
-    const templatesDir = path.join(__dirname, '../templates');
-    const files = fs.readdirSync(templatesDir).filter(f => f.endsWith('.ejs'));
+function loadDefaultTheme() {
+    if (!CONFIG.DEFAULT_THEME) {
+        return null;
+    }
+    try {
+        return themes.resolveTheme(CONFIG.DEFAULT_THEME);
+    } catch (error) {
+        console.warn(`Ignoring RENDER_THEME: ${error.message}`);
+        return null;
+    }
+}
 
-    for (const file of files) {
-        const name = file.replace('.ejs', '');
-        const templatePath = path.join(templatesDir, file);
-        const template = fs.readFileSync(templatePath, 'utf-8');
+/**
+ * 补全默认主题（缓存键与页面使用同一份选项）
+ */
+function withTheme(options) {
+    if (options.theme || !defaultTheme) {
+        return options;
+    }
+    return { ...options, theme: defaultTheme };
+}
+
+/**
+ * 预编译所有模板，并开始监听模板目录
+ */
+async function precompileTemplates() {
+    const { reloaded } = await templateStore.reload();
+    reloaded.forEach((name) => console.log(`Precompiled template: ${name}`));
 
-        templateCache.set(name, template);
-        compiledTemplates.set(name, ejs.compile(template));
-        console.log(`Precompiled template: ${name}`);
+    if (CONFIG.WATCH_TEMPLATES) {
+        templateStore.watch();
     }
 }
 
 /**
- * 获取或创建浏览器实例
+ * 获取或创建浏览器实例（并发调用共享同一次启动）
  */
 async function getBrowser() {
-    if (!browser) {
-        // 预编译模板
-        if (CONFIG.PRECOMPILE_TEMPLATES) {
-            await precompileTemplates();
-        }
+    if (browser && !browser.isConnected()) {
+        handleDisconnect(browser);
+    }
+    if (browser) {
+        return browser;
+    }
+    if (!launchPromise) {
+        launchPromise = launchBrowser().finally(() => {
+            launchPromise = null;
+        });
+    }
+    return launchPromise;
+}
+
+/**
+ * 启动浏览器并预热页面池
+ */
+async function launchBrowser() {
+    // 预编译模板（仅首次启动）
+    if (CONFIG.PRECOMPILE_TEMPLATES && !templatesPrecompiled) {
+        await precompileTemplates();
+        templatesPrecompiled = true;
+    }
+
+    const instance = await puppeteer.launch({
+        headless: 'new',
+        args: [
+            '--no-sandbox',
+            '--disable-setuid-sandbox',
+            '--disable-dev-shm-usage',
+            '--disable-gpu',
+            '--font-render-hinting=none',
+            // 性能优化参数
+            '--disable-extensions',
+            '--disable-background-networking',
+            '--disable-sync',
+            '--disable-translate',
+            '--metrics-recording-only',
+            '--mute-audio',
+            '--no-first-run',
+            '--safebrowsing-disable-auto-update',
+            // 利用多核 CPU
+            '--renderer-process-limit=8',
+            '--max-active-webgl-contexts=8'
+        ],
+        executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || undefined
+    });
 
-        browser = await puppeteer.launch({
-            headless: 'new',
-            args: [
-                '--no-sandbox',
-                '--disable-setuid-sandbox',
-                '--disable-dev-shm-usage',
-                '--disable-gpu',
-                '--font-render-hinting=none',
-                // 性能优化参数
-                '--disable-extensions',
-                '--disable-background-networking',
-                '--disable-sync',
-                '--disable-translate',
-                '--metrics-recording-only',
-                '--mute-audio',
-                '--no-first-run',
-                '--safebrowsing-disable-auto-update',
-                // 利用多核 CPU
-                '--renderer-process-limit=8',
-                '--max-active-webgl-contexts=8'
-            ],
-            executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || undefined
+    // 记录浏览器进程退出原因，并在断开后自动重启
+    const proc = instance.process();
+    if (proc) {
+        proc.once('exit', (code, signal) => {
+            browserExitReason = signal ? `Chromium killed by ${signal}` : `Chromium exited with code ${code}`;
         });
+    }
+    instance.once('disconnected', () => handleDisconnect(instance));
 
-        // 预热页面池
-        if (CONFIG.PREWARM_PAGES) {
-            await prewarmPagePool();
-        }
+    browser = instance;
+    browserStatus.launchedAt = new Date().toISOString();
+
+    // 预热页面池
+    if (CONFIG.PREWARM_PAGES) {
+        await prewarmPagePool();
     }
+    await drainQueue();
+
     return browser;
 }
 
+/**
+ * 浏览器断开：丢弃旧页面池并重新启动
+ */
+function handleDisconnect(instance) {
+    if (shuttingDown || instance !== browser) {
+        return;
+    }
+
+    recordCrash(browserExitReason || 'Browser disconnected');
+    browserExitReason = null;
+    browserStatus.restarts++;
+    console.error(`Chromium disconnected (${browserStatus.lastCrashReason}), relaunching...`);
+
+    browser = null;
+    pagePool = [];
+    busyPages.clear();
+
+    getBrowser().catch((e) => {
+        console.error('Chromium relaunch failed:', e.message);
+    });
+}
+
+/**
+ * 记录最近一次崩溃
+ */
+function recordCrash(reason) {
+    browserStatus.lastCrashReason = reason;
+    browserStatus.lastCrashAt = new Date().toISOString();
+}
+
+/**
+ * 浏览器重启后，将新页面分配给仍在排队的请求
+ */
+async function drainQueue() {
+    while (getQueueLength() > 0) {
+        let page = pagePool.pop();
+        if (!page && busyPages.size + creatingPages < CONFIG.MAX_CONCURRENT) {
+            page = await createPage();
+        }
+        if (!page) {
+            break;
+        }
+        if (!handOff(page)) {
+            pagePool.push(page);
+            break;
+        }
+    }
+}
+
+/**
+ * 获取浏览器状态
+ */
+function getBrowserStatus() {
+    return {
+        connected: Boolean(browser && browser.isConnected()),
+        ...browserStatus
+    };
+}
+
 /**
  * 预热页面池
  */
@@ -103,18 +299,26 @@ async function prewarmPagePool() {
 async function createPage() {
     const page = await browser.newPage();
 
-    // 禁用不需要的功能以加速
+    page.on('error', (err) => {
+        crashedPages.add(page);
+        recordCrash(err.message);
+        console.error('Page crashed:', err.message);
+    });
+
+    // 样式和字体均已内联，拒绝所有外部网络请求
     await page.setRequestInterception(true);
     page.on('request', (req) => {
-        const resourceType = req.resourceType();
-        // 阻止图片、字体等外部资源（我们用 CDN 的 TailwindCSS 需要放行）
-        if (['image', 'media', 'font'].includes(resourceType)) {
-            req.abort();
-        } else {
+        const url = req.url();
+        if (url.startsWith('data:') || url.startsWith('about:')) {
             req.continue();
+        } else {
+            req.abort('blockedbyclient');
         }
     });
 
+    // PDF 输出沿用屏幕样式，与截图保持一致
+    await page.emulateMediaType('screen');
+
     // 设置默认视口
     await page.setViewport({
         width: 800,
@@ -125,10 +329,58 @@ async function createPage() {
     return page;
 }
 
+/**
+ * 构造"服务繁忙"错误（由接口层转换为 503 + Retry-After）
+ */
+function busyError(message) {
+    const error = new Error(message);
+    error.status = 503;
+    // 按排队长度与平均渲染耗时估算重试等待秒数
+    const waitMs = (getQueueLength() + 1) / CONFIG.MAX_CONCURRENT * avgRenderMs;
+    error.retryAfter = Math.max(1, Math.ceil(waitMs / 1000));
+    return error;
+}
+
+/**
+ * 当前排队等待页面的请求数
+ */
+function getQueueLength() {
+    return waitQueues.reduce((sum, queue) => sum + queue.length, 0);
+}
+
+/**
+ * 取出下一个等待者（高优先级优先，同级先进先出）
+ */
+function nextWaiter() {
+    for (const queue of waitQueues) {
+        if (queue.length > 0) {
+            return queue.shift();
+        }
+    }
+    return null;
+}
+
+/**
+ * 将页面直接交给下一个等待者
+ * @returns {boolean} 是否有等待者接收
+ */
+function handOff(page) {
+    const waiter = nextWaiter();
+    if (!waiter) {
+        return false;
+    }
+
+    clearTimeout(waiter.timer);
+    busyPages.add(page);
+    waiter.resolve(page);
+    return true;
+}
+
 /**
  * 从池中获取页面
+ * @param {string} priority - 排队优先级 high|normal|low
  */
-async function acquirePage() {
+async function acquirePage(priority = 'normal') {
     // 优先从池中获取空闲页面
     while (pagePool.length > 0) {
         const page = pagePool.pop();
@@ -139,138 +391,417 @@ async function acquirePage() {
     }
 
     // 池空了，检查是否可以创建新页面
-    if (busyPages.size < CONFIG.MAX_CONCURRENT) {
-        const page = await createPage();
-        busyPages.add(page);
-        return page;
-    }
-
-    // 等待有页面释放
-    return new Promise((resolve) => {
-        const checkInterval = setInterval(async () => {
-            if (pagePool.length > 0) {
-                clearInterval(checkInterval);
-                const page = pagePool.pop();
-                if (!page.isClosed()) {
-                    busyPages.add(page);
-                    resolve(page);
-                } else {
-                    // 页面已关闭，递归获取
-                    resolve(await acquirePage());
-                }
+    if (busyPages.size + creatingPages < CONFIG.MAX_CONCURRENT) {
+        creatingPages++;
+        try {
+            const page = await createPage();
+            busyPages.add(page);
+            return page;
+        } finally {
+            creatingPages--;
+        }
+    }
+
+    // 排队等待有页面释放
+    if (getQueueLength() >= CONFIG.MAX_QUEUE) {
+        throw busyError('Render queue is full');
+    }
+
+    const queue = waitQueues[PRIORITIES[priority] ?? PRIORITIES.normal];
+    return new Promise((resolve, reject) => {
+        const waiter = { resolve, timer: null };
+        waiter.timer = setTimeout(() => {
+            const index = queue.indexOf(waiter);
+            if (index !== -1) {
+                queue.splice(index, 1);
             }
-        }, 10);
+            reject(busyError(`Timed out waiting for a page after ${CONFIG.QUEUE_TIMEOUT}ms`));
+        }, CONFIG.QUEUE_TIMEOUT);
+        queue.push(waiter);
     });
 }
 
 /**
- * 释放页面回池
+ * 释放页面回池（有等待者时直接移交）
  */
 async function releasePage(page) {
     busyPages.delete(page);
 
-    if (page.isClosed()) {
+    // 旧浏览器的页面随浏览器一起丢弃，新页面池由重启流程重建
+    if (!browser || page.browser() !== browser) {
         return;
     }
 
-    // 清理页面状态
+    if (!page.isClosed() && !crashedPages.has(page)) {
+        // 清理页面状态
+        try {
+            await page.evaluate(() => {
+                document.body.innerHTML = '';
+            });
+            if (!handOff(page)) {
+                pagePool.push(page);
+            }
+            return;
+        } catch (e) {
+            // 页面可能已损坏，下面关闭并创建新页面补充
+        }
+    }
+
     try {
-        await page.evaluate(() => {
-            document.body.innerHTML = '';
-        });
-        pagePool.push(page);
-    } catch (e) {
-        // 页面可能已损坏，创建新页面补充
+        await page.close();
+    } catch {}
+
+    if (getQueueLength() > 0 || pagePool.length < CONFIG.PAGE_POOL_SIZE) {
         try {
-            await page.close();
-        } catch {}
-        if (pagePool.length < CONFIG.PAGE_POOL_SIZE) {
             const newPage = await createPage();
-            pagePool.push(newPage);
+            if (!handOff(newPage)) {
+                pagePool.push(newPage);
+            }
+        } catch (e) {
+            console.error('Failed to replenish page pool:', e.message);
         }
     }
 }
 
 /**
- * 获取模板（带缓存）
+ * 获取页面池状态
+ */
+function getPoolStats() {
+    return {
+        idle: pagePool.length,
+        busy: busyPages.size,
+        queued: getQueueLength(),
+        maxConcurrent: CONFIG.MAX_CONCURRENT,
+        maxQueue: CONFIG.MAX_QUEUE
+    };
+}
+
+/**
+ * 计算渲染缓存键（模板内容 + 数据 + 选项），同时用作 ETag
+ * @param {string} templateName - 模板名称
+ * @param {object} data - 模板数据
+ * @param {object} options - 渲染选项
+ * @returns {Promise<string>}
+ */
+async function getCacheKey(templateName, data, options = {}) {
+    const template = await templateStore.get(templateName);
+    // 优先级只影响排队顺序，不影响输出
+    const { priority, ...outputOptions } = withTheme(options);
+    return hashKey(templateName, template.source, data || {}, outputOptions);
+}
+
+/**
+ * 渲染模板为图片（带缓存与并发去重）
+ * @param {string} templateName - 模板名称
+ * @param {object} data - 模板数据
+ * @param {object} options - 渲染选项
+ * @param {number} options.width - 视口宽度（默认800）
+ * @param {string} options.format - 输出格式 png|jpeg|webp|pdf（默认 png）
+ * @param {number} options.quality - JPEG / WebP 质量 1-100（默认85）
+ * @param {string} options.priority - 排队优先级 high|normal|low（默认 normal）
+ * @param {object} options.theme - 调色板（themes.resolveTheme 的结果，默认取 RENDER_THEME）
+ * @param {number} options.scale - 设备像素比（默认2）
+ * @returns {Promise<{ buffer: Buffer, width: number, height: number }>}
+ *          对应格式的文件 buffer 与截图区域尺寸（CSS 像素）
+ */
+async function render(templateName, data, options = {}) {
+    const key = await getCacheKey(templateName, data, options);
+    return cachedRender(key, () => renderPage(templateName, data, options));
+}
+
+/**
+ * 计算自定义 HTML 的渲染缓存键，同时用作 ETag
+ * @param {string} html - 完整的 HTML 文档
+ * @param {object} options - 渲染选项
+ * @returns {string}
+ */
+function getHtmlCacheKey(html, options = {}) {
+    const { priority, ...outputOptions } = withTheme(options);
+    return hashKey('html', html, outputOptions);
+}
+
+/**
+ * 渲染自定义 HTML（带缓存与并发去重）
+ *
+ * 与模板使用同一页面池与截图流程，另加限制：
+ * - 页面禁用 JavaScript，并注入 CSP，外部资源在 CSP 与请求拦截两层均被拒绝
+ * - HTML 大小、页面加载与截图耗时、输出尺寸均有上限（见 SANDBOX_LIMITS）
+ * @param {string} html - 完整的 HTML 文档或片段
+ * @param {object} options - 同 render()
+ * @returns {Promise<{ buffer: Buffer, width: number, height: number }>}
+ * @throws {Error} HTML 过大为 413，超时或输出尺寸超限为 422
+ */
+async function renderHtml(html, options = {}) {
+    if (Buffer.byteLength(html) > CONFIG.SANDBOX_MAX_BYTES) {
+        throw sandboxError(413, `HTML 不能超过 ${CONFIG.SANDBOX_MAX_BYTES / 1024}KB`);
+    }
+    const key = getHtmlCacheKey(html, options);
+    return cachedRender(key, () => renderDocument('html', buildSandboxHtml(html, options), {
+        ...options,
+        sandbox: true
+    }, Date.now()));
+}
+
+/**
+ * 按缓存键渲染：内存缓存 -> 进行中的相同渲染 -> 磁盘缓存 -> produce()
  */
-function getTemplate(templateName) {
-    if (CONFIG.CACHE_TEMPLATES && templateCache.has(templateName)) {
-        return templateCache.get(templateName);
+async function cachedRender(key, produce) {
+    const cached = renderCache.get(key);
+    if (cached) {
+        return { buffer: cached.buffer, ...cached.meta };
     }
 
-    const templatePath = path.join(__dirname, '../templates', `${templateName}.ejs`);
-    if (!fs.existsSync(templatePath)) {
-        throw new Error(`Template not found: ${templateName}`);
+    if (inflightRenders.has(key)) {
+        dedupedRenders++;
+        return inflightRenders.get(key);
     }
 
-    const template = fs.readFileSync(templatePath, 'utf-8');
+    const task = (async () => {
+        const fromDisk = await renderCache.getFromDisk(key);
+        if (fromDisk) {
+            return { buffer: fromDisk.buffer, ...fromDisk.meta };
+        }
+
+        renderCache.recordMiss();
+        const output = await produce();
+        renderCache.set(key, output.buffer, { width: output.width, height: output.height });
+        return output;
+    })();
 
-    if (CONFIG.CACHE_TEMPLATES) {
-        templateCache.set(templateName, template);
-        // 同时编译模板
-        compiledTemplates.set(templateName, ejs.compile(template));
+    inflightRenders.set(key, task);
+    try {
+        return await task;
+    } finally {
+        inflightRenders.delete(key);
     }
+}
 
-    return template;
+/**
+ * 计算动图的缓存键（模板内容 + 各帧数据 + 选项），同时用作 ETag
+ * @param {string} templateName - 模板名称
+ * @param {Array<{ data: object, delay: number }>} frames - 各帧数据与停留时间
+ * @param {object} options - 渲染选项
+ * @returns {Promise<string>}
+ */
+async function getAnimationCacheKey(templateName, frames, options = {}) {
+    const template = await templateStore.get(templateName);
+    const { priority, ...outputOptions } = withTheme(options);
+    return hashKey(templateName, template.source, 'animation', frames, outputOptions);
+}
+
+/**
+ * 渲染动图（带缓存与并发去重）：各帧经 render() 渲染为 PNG（逐帧缓存），再合成为 GIF / APNG
+ * @param {string} templateName - 模板名称
+ * @param {Array<{ data: object, delay: number }>} frames - 各帧数据与停留时间（毫秒）
+ * @param {object} options - 同 render()（format 除外），另有：
+ * @param {string} options.animation - 动图格式 gif|apng
+ * @param {number} options.loop - 播放次数，0 为无限循环
+ * @returns {Promise<{ buffer: Buffer, width: number, height: number }>} 动图与画布尺寸（像素）
+ */
+async function renderAnimation(templateName, frames, options = {}) {
+    const key = await getAnimationCacheKey(templateName, frames, options);
+    return cachedRender(key, async () => {
+        const startTime = Date.now();
+        const { animation: format, loop, ...frameOptions } = options;
+
+        const images = [];
+        for (let i = 0; i < frames.length; i += CONFIG.ANIMATION_CONCURRENCY) {
+            const chunk = frames.slice(i, i + CONFIG.ANIMATION_CONCURRENCY);
+            images.push(...await Promise.all(chunk.map(async (frame) => {
+                const { buffer } = await render(templateName, frame.data, { ...frameOptions, format: 'png' });
+                return { buffer, delay: frame.delay };
+            })));
+        }
+
+        const encodeStart = Date.now();
+        const output = animation.encodeAnimation(format, images, { loop });
+        metrics.observePhase(templateName, 'encode', encodeStart);
+        metrics.observeRender(templateName, format, startTime, output.buffer.length);
+        return output;
+    });
+}
+
+/**
+ * 获取渲染缓存统计
+ */
+function getCacheStats() {
+    return {
+        ...renderCache.getStats(),
+        inflight: inflightRenders.size,
+        deduped: dedupedRenders
+    };
+}
+
+/**
+ * 模板 -> HTML，内联本地样式、字体与主题变量
+ */
+async function buildHtml(templateName, data, options = {}) {
+    const htmlStart = Date.now();
+    const template = await templateStore.get(templateName);
+    const { theme } = withTheme(options);
+    let html = styles.injectFonts(template.render({ ...data, tailwindCss: template.css }));
+    if (theme) {
+        html = styles.injectCss(html, themes.themeCss(theme));
+    }
+    metrics.observePhase(templateName, 'html', htmlStart);
+    return html;
 }
 
 /**
- * 渲染模板为 HTML（使用预编译）
+ * 自定义 HTML -> 完整页面：内联字体与主题变量，最后插入 CSP 使其位于 <head> 最前
  */
-function renderTemplate(templateName, data) {
-    // 优先使用预编译的模板
-    if (compiledTemplates.has(templateName)) {
-        return compiledTemplates.get(templateName)(data);
+function buildSandboxHtml(html, options = {}) {
+    const { theme } = withTheme(options);
+    let page = styles.injectFonts(html);
+    if (theme) {
+        page = styles.injectCss(page, themes.themeCss(theme));
     }
+    return styles.injectHead(page, `<meta http-equiv="Content-Security-Policy" content="${SANDBOX_CSP}">`);
+}
 
-    // 降级到普通渲染
-    const template = getTemplate(templateName);
-    return ejs.render(template, data);
+function sandboxError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
 }
 
 /**
- * 渲染模板为图片
- * @param {string} templateName - 模板名称
- * @param {object} data - 模板数据
- * @param {object} options - 渲染选项
- * @param {number} options.width - 视口宽度（默认800）
- * @returns {Buffer} PNG 图片 buffer
+ * 执行页面任务，浏览器或页面中途崩溃时等待重启后重试一次
  */
-async function render(templateName, data, options = {}) {
+async function retryOnCrash(templateName, task) {
+    try {
+        return await task();
+    } catch (error) {
+        if (!error.crashed) {
+            throw error;
+        }
+        browserStatus.retriedRenders++;
+        console.error(`Render ${templateName} interrupted by a crash, retrying: ${error.message}`);
+        return task();
+    }
+}
+
+/**
+ * 实际执行渲染：模板 -> HTML -> 页面 -> 截图
+ */
+async function renderPage(templateName, data, options = {}) {
     const startTime = Date.now();
+    const html = await buildHtml(templateName, data, options);
+    return renderDocument(templateName, html, options, startTime);
+}
 
-    // 使用预编译模板渲染 HTML
-    const html = renderTemplate(templateName, data);
+/**
+ * HTML -> 页面 -> 截图，并记录耗时指标
+ * @param {string} label - 指标与日志中使用的名称（模板名，自定义 HTML 为 html）
+ */
+async function renderDocument(label, html, options, startTime) {
+    const format = options.format || 'png';
+    if (!OUTPUT_FORMATS[format]) {
+        throw new Error(`Unsupported format: ${format}`);
+    }
+
+    const output = await retryOnCrash(label, () => renderOnce(label, html, format, options));
+
+    const elapsed = Date.now() - startTime;
+    avgRenderMs = avgRenderMs * 0.8 + elapsed * 0.2;
+    metrics.observeRender(label, format, startTime, output.buffer.length);
+    if (elapsed > 500) {
+        console.log(`Render ${label}: ${elapsed}ms`);
+    }
+
+    return output;
+}
 
+/**
+ * 获取页面并加载 HTML 后执行 fn（失败时在错误上标记是否由崩溃导致）
+ * options.sandbox 为 true 时禁用 JavaScript，并限制加载与执行 fn 的总耗时
+ */
+async function withLoadedPage(templateName, html, options, fn) {
     // 获取浏览器和页面
-    await getBrowser();
-    const page = await acquirePage();
+    const instance = await getBrowser();
+    const page = await acquirePage(options.priority);
+
+    if (!options.sandbox) {
+        return runOnPage(instance, page, templateName, html, options, fn);
+    }
+
+    let timedOut = false;
+    let timer = null;
+    const task = (async () => {
+        await page.setJavaScriptEnabled(false);
+        return runOnPage(instance, page, templateName, html, options, fn, () => {
+            // 超时的页面可能仍在布局或截图，直接丢弃
+            if (timedOut) {
+                return;
+            }
+            return page.setJavaScriptEnabled(true).catch(() => {
+                crashedPages.add(page);
+            });
+        });
+    })();
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            timedOut = true;
+            crashedPages.add(page);
+            reject(sandboxError(422, `HTML 渲染超时（${CONFIG.SANDBOX_TIMEOUT}ms）`));
+        }, CONFIG.SANDBOX_TIMEOUT);
+    });
+    task.catch(() => {});
 
+    try {
+        return await Promise.race([task, timeout]);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * 在已获取的页面上加载 HTML 并执行 fn，结束后释放页面
+ * @param {Function} beforeRelease - 释放页面前的清理（可选）
+ */
+async function runOnPage(instance, page, templateName, html, options, fn, beforeRelease) {
     try {
         // 调整视口（如果需要）
         const width = options.width || 800;
+        const scale = options.scale || 2;
         const currentViewport = page.viewport();
-        if (currentViewport.width !== width) {
+        if (currentViewport.width !== width || currentViewport.deviceScaleFactor !== scale) {
             await page.setViewport({
                 width: width,
                 height: 600,
-                deviceScaleFactor: 2
+                deviceScaleFactor: scale
             });
         }
 
         // 加载 HTML - 使用更快的等待策略
+        const contentStart = Date.now();
         await page.setContent(html, {
             waitUntil: 'domcontentloaded'  // 比 networkidle0 快很多
         });
 
-        // 短暂等待 TailwindCSS 渲染（比等 networkidle0 快）
-        await page.waitForFunction(() => {
-            return window.tailwind !== undefined || document.readyState === 'complete';
-        }, { timeout: 3000 }).catch(() => {});
+        // 等待本地字体加载完成
+        await page.evaluate(() => document.fonts.ready.then(() => true));
+        metrics.observePhase(templateName, 'set_content', contentStart);
+
+        return await fn(page);
+    } catch (error) {
+        error.crashed = crashedPages.has(page) || page.isClosed() || !instance.isConnected();
+        throw error;
+    } finally {
+        if (beforeRelease) {
+            await beforeRelease();
+        }
+        await releasePage(page);
+    }
+}
 
-        // 再等一小会确保样式应用
-        await new Promise(r => setTimeout(r, 50));
+/**
+ * 获取页面并截图
+ * @returns {Promise<{ buffer: Buffer, width: number, height: number }>}
+ */
+async function renderOnce(templateName, html, format, options) {
+    return withLoadedPage(templateName, html, options, async (page) => {
+        const captureStart = Date.now();
 
         // 获取内容实际尺寸
         const boundingBox = await page.evaluate(() => {
@@ -282,9 +813,28 @@ async function render(templateName, data, options = {}) {
             };
         });
 
+        if (options.sandbox && (boundingBox.width > CONFIG.SANDBOX_MAX_WIDTH
+            || boundingBox.height > CONFIG.SANDBOX_MAX_HEIGHT)) {
+            throw sandboxError(422, `输出尺寸 ${boundingBox.width}×${boundingBox.height} 超过上限 `
+                + `${CONFIG.SANDBOX_MAX_WIDTH}×${CONFIG.SANDBOX_MAX_HEIGHT}`);
+        }
+
+        if (format === 'pdf') {
+            // 按内容宽度缩放到 A4 纸宽，超出一页时自动分页
+            const pdf = await page.pdf({
+                format: 'A4',
+                printBackground: true,
+                scale: Math.min(1, A4_WIDTH_PX / boundingBox.width),
+                margin: { top: 0, right: 0, bottom: 0, left: 0 }
+            });
+            metrics.observePhase(templateName, 'screenshot', captureStart);
+            return { buffer: pdf, ...boundingBox };
+        }
+
         // 截图
         const screenshot = await page.screenshot({
-            type: 'png',
+            type: format,
+            ...(format === 'png' ? {} : { quality: options.quality || CONFIG.DEFAULT_QUALITY }),
             clip: {
                 x: 0,
                 y: 0,
@@ -293,28 +843,40 @@ async function render(templateName, data, options = {}) {
             },
             omitBackground: false
         });
+        metrics.observePhase(templateName, 'screenshot', captureStart);
+        return { buffer: screenshot, ...boundingBox };
+    });
+}
 
-        const elapsed = Date.now() - startTime;
-        if (elapsed > 500) {
-            console.log(`Render ${templateName}: ${elapsed}ms`);
-        }
+/**
+ * 测量可分页的布局（各行位置、页头页尾高度），用于按 max_height 拆分
+ * @returns {Promise<object|null>} 见 split.readLayout，模板未标记可拆分区域时为 null
+ */
+async function measureLayout(templateName, data, options = {}) {
+    const html = await buildHtml(templateName, data, options);
+    return retryOnCrash(templateName, () => withLoadedPage(templateName, html, options,
+        (page) => page.evaluate(split.readLayout)));
+}
 
-        return screenshot;
-    } finally {
-        await releasePage(page);
-    }
+/**
+ * 重新加载模板（不传名称时重新扫描整个模板目录）
+ * 编译失败的模板继续使用上一个可用版本
+ */
+async function reloadTemplates(name) {
+    const result = await templateStore.reload(name);
+    return { ...result, errors: templateStore.getStatus().errors };
 }
 
 /**
- * 清除模板缓存（开发时使用）
+ * 获取模板加载状态
  */
-function clearTemplateCache() {
-    templateCache.clear();
-    console.log('Template cache cleared');
+function getTemplateStatus() {
+    return templateStore.getStatus();
 }
 
 // 进程退出时关闭浏览器
 process.on('SIGINT', async () => {
+    shuttingDown = true;
     if (browser) {
         await browser.close();
     }
@@ -322,10 +884,31 @@ process.on('SIGINT', async () => {
 });
 
 process.on('SIGTERM', async () => {
+    shuttingDown = true;
     if (browser) {
         await browser.close();
     }
     process.exit();
 });
 
-module.exports = { render, clearTemplateCache };
+module.exports = {
+    render,
+    getCacheKey,
+    getCacheStats,
+    getPoolStats,
+    getBrowserStatus,
+    reloadTemplates,
+    getTemplateStatus,
+    measureLayout,
+    renderHtml,
+    getHtmlCacheKey,
+    renderAnimation,
+    getAnimationCacheKey,
+    OUTPUT_FORMATS,
+    SANDBOX_LIMITS: {
+        maxBytes: CONFIG.SANDBOX_MAX_BYTES,
+        timeout: CONFIG.SANDBOX_TIMEOUT,
+        maxWidth: CONFIG.SANDBOX_MAX_WIDTH,
+        maxHeight: CONFIG.SANDBOX_MAX_HEIGHT
+    }
+};
@@ -0,0 +1,207 @@
+const registry = require('./registry');
+const go = require('./go');
+const xiangqi = require('./xiangqi');
+const { validate, validationError } = require('./schema');
+
+/**
+ * 棋局回放：由初始局面 + 着法列表（或逐帧局面）生成各帧的模板数据
+ *
+ * 着法格式：
+ * - gomoku / go：落子位置索引（与 last_move 相同），go 中 null 表示虚着
+ * - connect4：列号（从 0 开始）
+ * - xiangqi：{ from, to } 位置索引，或 ICCS / 中文纵线着法（如 h2e2、炮二平五）
+ *
+ * 每步由 current_turn 一方行棋，之后轮到对方；初始局面未给出 subtitle 时各帧显示"第 N 手"
+ */
+
+function badMove(message) {
+    return new Error(message);
+}
+
+function occupy(state, index, color) {
+    const size = state.board_size;
+    if (!Number.isInteger(index) || index < 0 || index >= size * size) {
+        throw badMove(`落子位置需为 0-${size * size - 1} 的整数`);
+    }
+    if (state.board[index]) {
+        throw badMove(`位置 ${index} 已有棋子`);
+    }
+    const board = state.board.slice();
+    board[index] = color;
+    return board;
+}
+
+// 各模板的单步推演：(state, move) => 本步更新的字段
+const GAMES = {
+    gomoku: (state, move) => ({
+        board: occupy(state, move, state.current_turn),
+        last_move: move,
+        current_turn: go.opponent(state.current_turn)
+    }),
+
+    go: (state, move) => {
+        const color = state.current_turn;
+        if (move === null) {
+            return { last_move: null, current_turn: go.opponent(color), passed: true };
+        }
+        const { board, captured } = go.playMove(state.board, state.board_size, move, color);
+        // captured_white 为黑方提走的白子数，反之亦然
+        const capturedKey = color === 'B' ? 'captured_white' : 'captured_black';
+        const update = {
+            board,
+            last_move: move,
+            current_turn: go.opponent(color),
+            [capturedKey]: (state[capturedKey] || 0) + captured.length,
+            // 分支标记只对应初始局面
+            variations: []
+        };
+        if (Array.isArray(state.move_numbers)) {
+            update.move_numbers = state.move_numbers.slice();
+            update.move_numbers[move] = (state.move_count || 0) + 1;
+            captured.forEach((stone) => {
+                update.move_numbers[stone] = null;
+            });
+        }
+        return update;
+    },
+
+    connect4: (state, move) => {
+        const { columns, rows } = state;
+        if (!Number.isInteger(move) || move < 0 || move >= columns) {
+            throw badMove(`列号需为 0-${columns - 1} 的整数`);
+        }
+        // y = 0 为最下面一行，棋子落到该列最低的空位
+        for (let y = 0; y < rows; y++) {
+            const index = y * columns + move;
+            if (!state.board[index]) {
+                const board = state.board.slice();
+                board[index] = state.current_turn;
+                return {
+                    board,
+                    last_move: index,
+                    current_turn: state.current_turn === 'R' ? 'Y' : 'R'
+                };
+            }
+        }
+        throw badMove(`第 ${move} 列已满`);
+    },
+
+    xiangqi: (state, move) => {
+        let from = move && move.from;
+        let to = move && move.to;
+        if (typeof move === 'string') {
+            ({ from, to } = xiangqi.parseMove(state.board, state.current_turn, move, null));
+        } else if (![from, to].every((index) => Number.isInteger(index) && index >= 0 && index < 90)) {
+            throw badMove('着法需为 { from, to }（位置为 0-89 的整数）或 ICCS / 中文着法');
+        }
+        const piece = state.board[from];
+        if (!piece) {
+            throw badMove(`位置 ${from} 没有棋子`);
+        }
+        if (state.board[to] && state.board[to][0] === piece[0]) {
+            throw badMove(`位置 ${to} 为己方棋子`);
+        }
+        const { board, text, check } = xiangqi.playMove(state.board, from, to);
+        const update = {
+            board,
+            last_move: { from, to },
+            current_turn: xiangqi.opponent(piece[0]),
+            in_check: check
+        };
+        // 初始局面带有着法记录时继续追加（保持各帧尺寸一致）
+        const history = state.history || [];
+        if (history.length > 0) {
+            const last = history[history.length - 1];
+            const round = last.side === 'B' ? last.round + 1 : last.round;
+            update.history = history.concat({ round, side: piece[0], text, check });
+        }
+        return update;
+    }
+};
+
+// 支持回放的模板
+const REPLAY_TEMPLATES = Object.keys(GAMES);
+
+/**
+ * 按着法列表逐步推演
+ */
+function playMoves(entry, start, moves) {
+    const play = GAMES[entry.name];
+    const autoSubtitle = !start.subtitle;
+    const states = [start];
+    let state = start;
+    moves.forEach((move, index) => {
+        let update;
+        try {
+            update = play(state, move);
+        } catch (error) {
+            throw validationError([{ path: `moves[${index}]`, message: error.message }]);
+        }
+        const { passed, ...fields } = update;
+        const moveCount = (state.move_count || 0) + 1;
+        state = { ...state, ...fields, move_count: moveCount };
+        if (autoSubtitle) {
+            state.subtitle = passed ? `第 ${moveCount} 手 · 虚着` : `第 ${moveCount} 手`;
+        }
+        states.push(state);
+    });
+    return states;
+}
+
+/**
+ * 校验单帧请求数据并补全默认值
+ */
+function buildState(entry, body, path) {
+    const { value, errors } = validate(entry.schema, body);
+    if (errors.length > 0) {
+        throw validationError(errors.map((e) => ({ ...e, path: e.path ? `${path}.${e.path}` : path })));
+    }
+    return registry.buildData(entry, value);
+}
+
+/**
+ * 生成回放各帧的模板数据
+ * @param {object} entry - 注册项（gomoku / go / xiangqi / connect4）
+ * @param {object} body
+ * @param {object} body.data - 初始局面（同对应接口的请求体）
+ * @param {Array} body.moves - 着法列表（与 states 二选一）
+ * @param {Array<object>} body.states - 逐帧局面，各帧字段覆盖初始局面
+ * @param {object} body.final - 合并到最后一帧的字段（如 is_finished、winner、win_line）
+ * @returns {Array<object>} 各帧模板数据，着法模式下第一帧为初始局面
+ * @throws {Error} 局面字段无效或着法不合法时为 400（details 指明出错的字段或着法）
+ */
+function buildReplay(entry, { data = {}, moves, states, final }) {
+    let frames;
+    if (moves) {
+        frames = playMoves(entry, buildState(entry, data, 'data'), moves);
+    } else {
+        frames = states.map((state, index) => buildState(entry, { ...data, ...state }, `states[${index}]`));
+    }
+
+    if (final) {
+        const last = frames.length - 1;
+        const merged = { ...frames[last], ...final };
+        frames[last] = buildState(entry, merged, 'final');
+    }
+    return frames;
+}
+
+/**
+ * 帧数超过上限时均匀抽取，保留首尾两帧
+ */
+function sampleFrames(frames, max) {
+    if (frames.length <= max) {
+        return frames;
+    }
+    const result = [];
+    for (let i = 0; i < max; i++) {
+        result.push(frames[Math.round(i * (frames.length - 1) / (max - 1))]);
+    }
+    return result;
+}
+
+module.exports = {
+    REPLAY_TEMPLATES,
+    buildReplay,
+    sampleFrames
+};
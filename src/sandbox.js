@@ -0,0 +1,64 @@
+const ejs = require('ejs');
+const vm = require('vm');
+
+/**
+ * 内联 EJS 沙箱
+ *
+ * 请求中的 EJS 以客户端模式编译（生成的函数自带转义函数，不支持 include），
+ * 在独立的 vm 上下文中执行：
+ * - 上下文只有内置对象，数据以 JSON 字符串传入后在上下文内解析，不暴露宿主对象
+ * - 禁止由字符串生成代码（eval / Function），无法借助构造函数链逃逸到宿主
+ * - 同步执行受超时限制，微任务随脚本一起计时；结果在上下文内转为字符串，
+ *   自定义的 toString 同样受超时限制
+ * - 微任务超时会破坏调用方的 async hook 栈，不要在 AsyncLocalStorage 等异步上下文中调用
+ *
+ * vm 不是安全边界：这里只防止模板误用宿主对象与长时间占用事件循环，
+ * 没有内存限制，不应作为隔离不可信代码的唯一手段
+ */
+
+function sandboxError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * 在沙箱中渲染 EJS 字符串
+ * @param {string} source - EJS 源码
+ * @param {object} data - 模板数据（需可序列化为 JSON）
+ * @param {object} options
+ * @param {number} options.timeout - 执行超时（毫秒）
+ * @returns {string} HTML
+ * @throws {Error} 语法错误为 400，执行失败或超时为 422
+ */
+function renderInline(source, data, { timeout }) {
+    let compiled;
+    try {
+        compiled = ejs.compile(source, { client: true });
+    } catch (error) {
+        throw sandboxError(400, `ejs 语法错误: ${error.message.split('\n')[0]}`);
+    }
+
+    const context = vm.createContext(Object.create(null), {
+        codeGeneration: { strings: false, wasm: false },
+        microtaskMode: 'afterEvaluate'
+    });
+    context.__data = JSON.stringify(data || {});
+
+    let result;
+    try {
+        const script = new vm.Script(`String((${compiled.toString()})(JSON.parse(__data)));`);
+        result = script.runInContext(context, { timeout });
+    } catch (error) {
+        if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+            throw sandboxError(422, `ejs 执行超时（${timeout}ms）`);
+        }
+        throw sandboxError(422, `ejs 执行失败: ${String(error && error.message).trim()}`);
+    }
+    if (typeof result !== 'string') {
+        throw sandboxError(422, 'ejs 执行结果不是字符串');
+    }
+    return result;
+}
+
+module.exports = { renderInline };
@@ -0,0 +1,328 @@
+/**
+ * 声明式请求校验
+ *
+ * schema 是普通对象描述（由下方构造函数生成），validate() 按描述校验并转换输入：
+ * - 数字字符串转数字、'true'/'false' 转布尔、数字转字符串
+ * - 字符串去除首尾空白与 \u0000，可按上限截断
+ * - 未声明的字段原样保留
+ * 错误以 { path, message } 列表返回，path 形如 players[1].cards[0]
+ */
+
+const TRUNCATE_SUFFIX = '...';
+
+// ============ schema 构造 ============
+
+/**
+ * 字符串
+ * @param {object} opts
+ * @param {number} opts.max - 最大长度
+ * @param {boolean} opts.truncate - 超长时截断而不是报错
+ * @param {string[]} opts.enum - 允许的取值
+ * @param {boolean} opts.lowercase - 校验前转小写
+ * @param {RegExp} opts.pattern - 取值格式
+ */
+function string(opts = {}) {
+    return { type: 'string', ...opts };
+}
+
+/**
+ * 数字
+ * @param {object} opts
+ * @param {boolean} opts.integer - 必须为整数
+ * @param {number} opts.min
+ * @param {number} opts.max
+ * @param {number[]} opts.enum - 允许的取值
+ */
+function number(opts = {}) {
+    return { type: 'number', ...opts };
+}
+
+function integer(opts = {}) {
+    return number({ ...opts, integer: true });
+}
+
+function boolean(opts = {}) {
+    return { type: 'boolean', ...opts };
+}
+
+/**
+ * 数组
+ * @param {object} items - 元素 schema
+ * @param {object} opts
+ * @param {number} opts.min - 最少元素数
+ * @param {number} opts.max - 最多元素数
+ * @param {boolean} opts.truncate - 超出 max 时截断而不是报错
+ */
+function array(items, opts = {}) {
+    return { type: 'array', items, ...opts };
+}
+
+/**
+ * 对象
+ * @param {object} shape - 字段 schema
+ * @param {object} opts
+ * @param {Function} opts.refine - 字段均有效后的整体校验 (value, addError) => void
+ */
+function object(shape, opts = {}) {
+    return { type: 'object', shape, ...opts };
+}
+
+/**
+ * 键值映射（键为字符串，值按同一 schema 校验）
+ */
+function record(values, opts = {}) {
+    return { type: 'record', values, ...opts };
+}
+
+/**
+ * 多个 schema 任一匹配即可（按顺序尝试）
+ */
+function anyOf(schemas, opts = {}) {
+    return { type: 'anyOf', schemas, ...opts };
+}
+
+function any(opts = {}) {
+    return { type: 'any', ...opts };
+}
+
+// ============ 校验 ============
+
+function joinPath(path, key) {
+    if (typeof key === 'number') {
+        return `${path}[${key}]`;
+    }
+    return path ? `${path}.${key}` : key;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function checkString(schema, value, path, errors) {
+    if (typeof value === 'number' || typeof value === 'boolean') {
+        value = String(value);
+    }
+    if (typeof value !== 'string') {
+        errors.push({ path, message: '应为字符串' });
+        return undefined;
+    }
+
+    value = value.replace(/\u0000/g, '').trim();
+    if (schema.lowercase) {
+        value = value.toLowerCase();
+    }
+
+    if (schema.max !== undefined && value.length > schema.max) {
+        if (!schema.truncate) {
+            errors.push({ path, message: `长度不能超过 ${schema.max}` });
+            return undefined;
+        }
+        value = `${value.slice(0, schema.max - TRUNCATE_SUFFIX.length)}${TRUNCATE_SUFFIX}`;
+    }
+    if (schema.min !== undefined && value.length < schema.min) {
+        errors.push({ path, message: `长度不能少于 ${schema.min}` });
+        return undefined;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ path, message: `取值应为 ${schema.enum.map((v) => v === '' ? '""' : v).join('|')}` });
+        return undefined;
+    }
+    if (schema.pattern && !schema.pattern.test(value)) {
+        errors.push({ path, message: '格式不正确' });
+        return undefined;
+    }
+    return value;
+}
+
+function checkNumber(schema, value, path, errors) {
+    if (typeof value === 'string' && value.trim() !== '') {
+        value = Number(value);
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        errors.push({ path, message: schema.integer ? '应为整数' : '应为数字' });
+        return undefined;
+    }
+    if (schema.integer && !Number.isInteger(value)) {
+        errors.push({ path, message: '应为整数' });
+        return undefined;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ path, message: `取值应为 ${schema.enum.join('|')}` });
+        return undefined;
+    }
+    if (schema.min !== undefined && value < schema.min) {
+        errors.push({ path, message: `不能小于 ${schema.min}` });
+        return undefined;
+    }
+    if (schema.max !== undefined && value > schema.max) {
+        errors.push({ path, message: `不能大于 ${schema.max}` });
+        return undefined;
+    }
+    return value;
+}
+
+function checkBoolean(schema, value, path, errors) {
+    if (value === 'true' || value === 1 || value === '1') return true;
+    if (value === 'false' || value === 0 || value === '0') return false;
+    if (typeof value !== 'boolean') {
+        errors.push({ path, message: '应为布尔值' });
+        return undefined;
+    }
+    return value;
+}
+
+function checkArray(schema, value, path, errors) {
+    if (!Array.isArray(value)) {
+        errors.push({ path, message: '应为数组' });
+        return undefined;
+    }
+
+    if (schema.max !== undefined && value.length > schema.max) {
+        if (!schema.truncate) {
+            errors.push({ path, message: `元素个数不能超过 ${schema.max}` });
+            return undefined;
+        }
+        value = value.slice(0, schema.max);
+    }
+    if (schema.min !== undefined && value.length < schema.min) {
+        errors.push({ path, message: `元素个数不能少于 ${schema.min}` });
+        return undefined;
+    }
+
+    return value.map((item, index) => check(schema.items, item, joinPath(path, index), errors));
+}
+
+function checkObject(schema, value, path, errors) {
+    if (!isPlainObject(value)) {
+        errors.push({ path, message: '应为对象' });
+        return undefined;
+    }
+
+    const errorCount = errors.length;
+    const result = { ...value };
+    Object.keys(schema.shape).forEach((key) => {
+        const checked = check(schema.shape[key], value[key], joinPath(path, key), errors);
+        if (checked === undefined) {
+            delete result[key];
+        } else {
+            result[key] = checked;
+        }
+    });
+
+    if (schema.refine && errors.length === errorCount) {
+        schema.refine(result, (key, message) => {
+            errors.push({ path: key ? joinPath(path, key) : path, message });
+        });
+    }
+    return result;
+}
+
+function checkRecord(schema, value, path, errors) {
+    if (!isPlainObject(value)) {
+        errors.push({ path, message: '应为对象' });
+        return undefined;
+    }
+
+    const keys = Object.keys(value);
+    if (schema.max !== undefined && keys.length > schema.max) {
+        errors.push({ path, message: `字段个数不能超过 ${schema.max}` });
+        return undefined;
+    }
+
+    const result = {};
+    keys.forEach((key) => {
+        result[key] = check(schema.values, value[key], joinPath(path, key), errors);
+    });
+    return result;
+}
+
+function checkAnyOf(schema, value, path, errors) {
+    for (const candidate of schema.schemas) {
+        const attempt = [];
+        const checked = check(candidate, value, path, attempt);
+        if (attempt.length === 0) {
+            return checked;
+        }
+    }
+    errors.push({ path, message: schema.message || '格式不正确' });
+    return undefined;
+}
+
+const CHECKERS = {
+    string: checkString,
+    number: checkNumber,
+    boolean: checkBoolean,
+    array: checkArray,
+    object: checkObject,
+    record: checkRecord,
+    anyOf: checkAnyOf,
+    any: (schema, value) => value
+};
+
+function check(schema, value, path, errors) {
+    if (value === undefined || value === null) {
+        if (value === null && schema.nullable) {
+            return null;
+        }
+        if (schema.default !== undefined) {
+            return typeof schema.default === 'function' ? schema.default() : schema.default;
+        }
+        if (schema.required) {
+            errors.push({ path, message: '必填' });
+        }
+        return undefined;
+    }
+
+    return CHECKERS[schema.type](schema, value, path, errors);
+}
+
+/**
+ * 按 schema 校验并转换输入
+ * @returns {{ value: any, errors: Array<{ path: string, message: string }> }}
+ */
+function validate(schema, input) {
+    const errors = [];
+    const value = check(schema, input, '', errors);
+    return { value, errors };
+}
+
+/**
+ * 由校验错误列表构造 400 错误，字段错误列表在 error.details
+ * @param {Array<{ path: string, message: string }>} errors
+ * @param {string} root - 根路径的显示名称
+ */
+function validationError(errors, root = '(body)') {
+    const error = new Error('请求参数无效');
+    error.status = 400;
+    error.details = errors.map((e) => ({ path: e.path || root, message: e.message }));
+    return error;
+}
+
+/**
+ * 请求体校验中间件：通过后以转换结果替换 req.body，失败时交给错误处理中间件（400 与字段错误列表）
+ */
+function validateBody(schema) {
+    return (req, res, next) => {
+        const { value, errors } = validate(schema, req.body ?? {});
+        if (errors.length > 0) {
+            return next(validationError(errors));
+        }
+        req.body = value;
+        next();
+    };
+}
+
+module.exports = {
+    string,
+    number,
+    integer,
+    boolean,
+    array,
+    object,
+    record,
+    anyOf,
+    any,
+    validate,
+    validationError,
+    validateBody
+};
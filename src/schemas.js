@@ -0,0 +1,640 @@
+const {
+    string, integer, number, boolean, array, object, record, anyOf, any
+} = require('./schema');
+
+// ============ 通用字段 ============
+
+// 展示用文本：超长截断
+const text = (max, opts = {}) => string({ max, truncate: true, ...opts });
+
+const subtitle = text(60);
+const playerName = text(32);
+const lastAction = text(120);
+const count = integer({ min: 0 });
+const flag = boolean();
+const label = string({ max: 8, nullable: true });
+
+// 主题：名称或自定义调色板（名称与颜色格式在解析渲染选项时校验）
+const themeColor = string({ max: 16 });
+const theme = anyOf([
+    string({ max: 16, lowercase: true }),
+    object({
+        primary: themeColor,
+        background: themeColor,
+        text: themeColor,
+        accent: themeColor
+    })
+], { message: '需为主题名称或 { primary, background, text, accent }' });
+
+// 扑克牌面：点数 + 花色，如 AS、TH
+const card = string({ max: 4 });
+const cards = (max) => array(card, { max });
+
+/**
+ * 棋盘字段：长度需与尺寸一致，位置索引需落在棋盘内
+ */
+function boardRefine(boardKey, sizeOf, indexKeys = []) {
+    return (body, addError) => {
+        const cellCount = sizeOf(body);
+        const board = body[boardKey];
+        if (Array.isArray(board) && board.length !== cellCount) {
+            addError(boardKey, `元素个数应为 ${cellCount}`);
+        }
+        indexKeys.forEach((key) => {
+            const value = body[key];
+            if (typeof value === 'number' && value >= cellCount) {
+                addError(key, `不能大于 ${cellCount - 1}`);
+            }
+        });
+    };
+}
+
+// ============ 内容类 ============
+
+// 正文格式：纯文本或 Markdown
+const contentFormat = string({ lowercase: true, enum: ['text', 'markdown'] });
+
+// ============ 图表 ============
+
+// 单个序列的最大数据点数
+const CHART_MAX_POINTS = 400;
+
+// 序列颜色写入 SVG 样式，只接受十六进制颜色或颜色名
+const chartColor = string({ pattern: /^(#[0-9a-fA-F]{3,8}|[a-zA-Z]+)$/ });
+
+const chartFields = {
+    type: string({ lowercase: true, enum: ['line', 'bar', 'pie', 'sparkline'] }),
+    labels: array(text(24), { max: CHART_MAX_POINTS }),
+    series: array(object({
+        name: text(24),
+        data: array(number({ nullable: true }), { min: 1, max: CHART_MAX_POINTS, required: true }),
+        color: chartColor
+    }), { min: 1, max: 8, required: true }),
+    unit: text(8),
+    y_min: number(),
+    y_max: number(),
+    stacked: flag,
+    donut: flag,
+    show_values: flag,
+    show_legend: flag,
+    height: integer({ min: 24, max: 800 })
+};
+
+function chartRefine(body, addError) {
+    if (body.y_min !== undefined && body.y_max !== undefined && body.y_min >= body.y_max) {
+        addError('y_max', '需大于 y_min');
+    }
+    if (body.type === 'pie' && body.labels && body.labels.length < body.series[0].data.length) {
+        addError('labels', '饼图需为每个数据提供标签');
+    }
+}
+
+// 嵌入 universal / qfarm 卡片的图表块
+const chartSpec = object({ title: text(40), ...chartFields }, { refine: chartRefine });
+const charts = array(chartSpec, { max: 4 });
+
+const chart = object({
+    title: text(40),
+    subtitle,
+    icon: text(8),
+    summary: text(200),
+    sources: text(80),
+    width: integer({ min: 240, max: 1600 }),
+    ...chartFields
+}, { refine: chartRefine });
+
+const universal = object({
+    title: text(60),
+    subtitle: text(80),
+    icon: text(8),
+    weekday: text(16),
+    extra: text(40),
+    items: array(text(500), { max: 50, truncate: true }),
+    content: text(5000),
+    content_format: contentFormat,
+    table: array(object({
+        label: text(60),
+        value: text(200)
+    }), { max: 50, truncate: true }),
+    stats: record(text(80), { max: 12 }),
+    charts,
+    quote: text(300),
+    sources: text(80),
+    timestamp: text(60),
+    page: object({
+        index: integer({ min: 1 }),
+        total: integer({ min: 1 })
+    }),
+    item_start: integer({ min: 0 })
+});
+
+const fabing = object({
+    saying: text(2000)
+});
+
+const kfc = object({
+    text: text(2000)
+});
+
+const goldPrice = anyOf([number(), text(40)], { message: '应为数字或字符串' });
+
+const gold = object({
+    date: text(40),
+    // gold（默认）为专用金价模板，universal 为通用卡片
+    layout: string({ lowercase: true, enum: ['gold', 'universal'] }),
+    metals: array(object({
+        name: text(30),
+        today_price: goldPrice,
+        yesterday_price: goldPrice,
+        unit: text(20)
+    }), { max: 20 }),
+    stores: array(object({
+        brand: text(30),
+        formatted: text(60),
+        price: number(),
+        yesterday_price: number()
+    }), { max: 20 }),
+    recycle: array(object({
+        type: text(30),
+        formatted: text(60),
+        price: number(),
+        yesterday_price: number()
+    }), { max: 20 })
+});
+
+const luck = object({
+    luck_desc: text(20),
+    luck_rank: number({ min: 0, max: 100 }),
+    luck_tip: text(200)
+});
+
+// 课表节次：时刻为 HH:MM
+const clockTime = string({ pattern: /^([01]?\d|2[0-3]):[0-5]\d$/ });
+const section = integer({ min: 1, max: 20 });
+const termDate = (opts = {}) => string({ pattern: /^\d{4}-\d{1,2}-\d{1,2}$/, ...opts });
+
+const timetableSections = array(object({
+    start: clockTime,
+    end: clockTime,
+    label: text(8)
+}), { max: 20 });
+
+const timetableCourse = object({
+    weekday: integer({ min: 1, max: 7 }),
+    section_start: section,
+    section_end: section,
+    section_count: section,
+    course_name: text(60),
+    location: text(60),
+    teacher: text(40),
+    weeks_raw: text(60),
+    weeks: array(integer({ min: 1, max: 60 }), { max: 60 })
+}, {
+    refine: (body, addError) => {
+        if (body.section_end !== undefined && body.section_end < (body.section_start || 1)) {
+            addError('section_end', '结束节次不能早于起始节次');
+        }
+        if (body.section_end !== undefined && body.section_count !== undefined) {
+            addError(null, 'section_end 与 section_count 只能提供其一');
+        }
+    }
+});
+
+const timetable = object({
+    title: text(40),
+    subtitle,
+    week: integer({ min: 1, max: 60 }),
+    sections: timetableSections,
+    show_inactive: flag,
+    courses: array(timetableCourse, { max: 200 }),
+    // iCalendar 导入（见 ics.js）
+    ics: string({ max: 90 * 1024 }),
+    term_start: termDate(),
+    timezone: string({ max: 64 })
+});
+
+// 课表导出为 iCalendar
+const timetableIcs = object({
+    title: text(40),
+    sections: timetableSections,
+    courses: array(timetableCourse, { min: 1, max: 200, required: true }),
+    term_start: termDate({ required: true }),
+    timezone: string({ max: 64 }),
+    total_weeks: integer({ min: 1, max: 60 })
+});
+
+const universalContent = object({
+    title: text(60),
+    content: text(5000),
+    content_format: contentFormat,
+    icon: text(8)
+});
+
+const qfarm = object({
+    title: any(),
+    subtitle: any(),
+    icon: any(),
+    theme,
+    summary: any(),
+    stats: array(any(), { max: 10, truncate: true }),
+    charts,
+    sections: array(object({
+        title: any(),
+        rows: array(any(), { max: 80, truncate: true })
+    }), { max: 8, truncate: true }),
+    page: object({
+        index: integer({ min: 1 }),
+        total: integer({ min: 1 })
+    }),
+    footer: any()
+});
+
+// ============ 棋类 ============
+
+const tictactoe = object({
+    board: array(string({ enum: ['X', 'O', ''], nullable: true }), { min: 9, max: 9 }),
+    player_x_name: playerName,
+    player_o_name: playerName,
+    current_turn: string({ enum: ['X', 'O'] }),
+    winner: label,
+    is_finished: flag,
+    subtitle
+});
+
+const stoneCell = string({ enum: ['B', 'W', ''], nullable: true });
+
+const go = object({
+    board: array(stoneCell, { max: 19 * 19 }),
+    board_size: integer({ enum: [9, 13, 19] }),
+    black_player_name: playerName,
+    player_white_name: playerName,
+    current_turn: string({ enum: ['B', 'W'] }),
+    captured_black: count,
+    captured_white: count,
+    move_count: count,
+    last_move: integer({ min: 0, nullable: true }),
+    is_finished: flag,
+    winner: string({ enum: ['B', 'W'], nullable: true }),
+    subtitle,
+    // SGF 棋谱：给出时由棋谱重放生成棋盘、提子数与最后一手
+    sgf: string({ max: 100000 }),
+    move_number: integer({ min: 0 }),
+    variation: array(integer({ min: 0 }), { max: 100 }),
+    show_move_numbers: flag,
+    show_coordinates: flag,
+    move_numbers: array(integer({ min: 1, nullable: true }), { max: 19 * 19, nullable: true }),
+    variations: array(object({
+        index: integer({ min: 0, max: 19 * 19 - 1, required: true }),
+        label: string({ max: 2, required: true })
+    }), { max: 26 }),
+    comment: text(500)
+}, {
+    refine: (body, addError) => {
+        // 棋谱模式下棋盘由 SGF 生成
+        if (body.sgf === undefined) {
+            boardRefine('board', () => (body.board_size || 9) ** 2, ['last_move'])(body, addError);
+        }
+    }
+});
+
+const gomoku = object({
+    board: array(stoneCell, { max: 19 * 19 }),
+    board_size: integer({ min: 5, max: 19 }),
+    black_player_name: playerName,
+    white_player_name: playerName,
+    current_turn: string({ enum: ['B', 'W'] }),
+    move_count: count,
+    last_move: integer({ min: 0, nullable: true }),
+    win_line: array(integer({ min: 0 }), { max: 19, nullable: true }),
+    is_finished: flag,
+    winner: string({ enum: ['B', 'W'], nullable: true }),
+    subtitle
+}, {
+    refine: boardRefine('board', (body) => (body.board_size || 15) ** 2, ['last_move'])
+});
+
+const connect4 = object({
+    board: array(string({ enum: ['R', 'Y', ''], nullable: true }), { max: 12 * 12 }),
+    columns: integer({ min: 4, max: 12 }),
+    rows: integer({ min: 4, max: 12 }),
+    player_red_name: playerName,
+    player_yellow_name: playerName,
+    current_turn: string({ enum: ['R', 'Y'] }),
+    move_count: count,
+    last_move: integer({ min: 0, nullable: true }),
+    is_finished: flag,
+    winner: label,
+    subtitle
+}, {
+    refine: boardRefine('board', (body) => (body.columns || 7) * (body.rows || 6), ['last_move'])
+});
+
+const XIANGQI_PIECE = /^([RB][KAEHCNS])?$/;
+
+const xiangqi = object({
+    board: array(string({ pattern: XIANGQI_PIECE, nullable: true }), { min: 90, max: 90 }),
+    red_player_name: playerName,
+    black_player_name: playerName,
+    current_turn: string({ enum: ['R', 'B'] }),
+    move_count: count,
+    last_move: object({
+        from: integer({ min: 0, max: 89, required: true }),
+        to: integer({ min: 0, max: 89, required: true })
+    }, { nullable: true }),
+    in_check: flag,
+    is_finished: flag,
+    winner: string({ enum: ['R', 'B'], nullable: true }),
+    subtitle,
+    // FEN 局面与着法（ICCS 或中文纵线记谱）：给出时由此推演棋盘、最后一手与着法记录
+    fen: string({ max: 120 }),
+    moves: array(string({ max: 16 }), { max: 500 }),
+    history: array(object({
+        round: integer({ min: 1, required: true }),
+        side: string({ enum: ['R', 'B'], required: true }),
+        text: text(12, { required: true }),
+        check: flag
+    }), { max: 1000 })
+});
+
+const CHESS_PIECE = /^([WB][KQRBNP])?$/;
+
+// 国际象棋坐标，如 e4
+const chessSquare = (opts = {}) => string({ lowercase: true, pattern: /^[a-h][1-8]$/, ...opts });
+
+// 箭头与高亮颜色
+const markColor = string({ lowercase: true, enum: ['green', 'red', 'blue', 'yellow'] });
+
+const chess = object({
+    board: array(string({ pattern: CHESS_PIECE, nullable: true }), { min: 64, max: 64 }),
+    white_player_name: playerName,
+    black_player_name: playerName,
+    current_turn: string({ enum: ['W', 'B'] }),
+    move_count: count,
+    last_move: object({
+        from: chessSquare({ required: true }),
+        to: chessSquare({ required: true })
+    }, { nullable: true }),
+    in_check: flag,
+    is_finished: flag,
+    winner: string({ enum: ['W', 'B'], nullable: true }),
+    result_text: text(20),
+    subtitle,
+    orientation: string({ lowercase: true, enum: ['white', 'black'] }),
+    show_coordinates: flag,
+    arrows: array(object({
+        from: chessSquare({ required: true }),
+        to: chessSquare({ required: true }),
+        color: markColor
+    }), { max: 20 }),
+    highlights: array(object({
+        square: chessSquare({ required: true }),
+        color: markColor
+    }), { max: 64 }),
+    history: array(object({
+        round: integer({ min: 1, required: true }),
+        side: string({ enum: ['W', 'B'], required: true }),
+        text: text(12, { required: true })
+    }), { max: 1000 }),
+    // FEN 局面或 PGN 棋谱：给出时由此推演棋盘、最后一手、将军与着法记录
+    fen: string({ max: 100 }),
+    pgn: string({ max: 100000 }),
+    ply: integer({ min: 0 })
+});
+
+const junqi = object({
+    board: array(object({
+        type: string({ max: 16 }),
+        side: string({ enum: ['RED', 'BLUE'], nullable: true }),
+        name: text(4)
+    }), { max: 60 }),
+    player_a_name: playerName,
+    player_b_name: playerName,
+    player_a_side: string({ enum: ['RED', 'BLUE'], nullable: true }),
+    player_b_side: string({ enum: ['RED', 'BLUE'], nullable: true }),
+    current_turn: integer({ enum: [1, 2] }),
+    move_count: count,
+    last_action: text(120, { nullable: true }),
+    last_pos: integer({ min: 0, max: 59, nullable: true }),
+    is_finished: flag,
+    winner: any(),
+    subtitle
+});
+
+// ============ 益智类 ============
+
+const MINESWEEPER_CELL = /^(hidden|flag|wrong_flag|mine|boom|empty|n[1-8])$/;
+
+// 扫雷位置：索引或坐标（如 A1）
+const minePosition = anyOf([integer({ min: 0 }), string({ max: 3 })], { message: '应为位置索引或坐标（如 A1）' });
+const minePositions = array(minePosition, { max: 30 * 24 });
+
+const minesweeper = object({
+    cells: array(string({ pattern: MINESWEEPER_CELL, nullable: true }), { max: 30 * 24 }),
+    width: integer({ min: 2, max: 30 }),
+    height: integer({ min: 2, max: 24 }),
+    mine_count: count,
+    player_name: playerName,
+    move_count: count,
+    flags_used: count,
+    is_finished: flag,
+    is_win: flag,
+    subtitle,
+    // 原始局面：给出 mines 时由地雷位置、已翻开与已插旗的格子推导 cells
+    mines: minePositions,
+    revealed: minePositions,
+    flagged: minePositions
+}, {
+    refine: boardRefine('cells', (body) => (body.width || 9) * (body.height || 9))
+});
+
+const game2048 = object({
+    board: array(integer({ min: 0, nullable: true }), { max: 8 * 8 }),
+    size: integer({ min: 3, max: 8 }),
+    player_name: playerName,
+    score: count,
+    best_tile: count,
+    move_count: count,
+    is_finished: flag,
+    is_win: flag,
+    subtitle,
+    last_spawn_pos: integer({ min: 0, nullable: true })
+}, {
+    refine: boardRefine('board', (body) => (body.size || 4) ** 2, ['last_spawn_pos'])
+});
+
+// ============ 牌类 ============
+
+const texas = object({
+    phase_text: text(20),
+    pot: count,
+    current_bet: count,
+    community_cards: cards(5),
+    players: array(object({
+        name: playerName,
+        stack: count,
+        bet: count,
+        cards: cards(2),
+        folded: flag,
+        is_turn: flag,
+        hand: text(20),
+        // 本局累计投入，全部玩家给出时按此拆分边池
+        contributed: count
+    }), { max: 10 }),
+    is_finished: flag,
+    winner_names: array(playerName, { max: 10 }),
+    last_action: lastAction,
+    subtitle,
+    // 由服务端判定牌型，is_finished 时结算赢家与分池
+    evaluate_hands: flag
+});
+
+const blackjack = object({
+    phase_text: text(20),
+    dealer_cards: cards(12),
+    dealer_value_text: text(20),
+    players: array(object({
+        name: playerName,
+        cards: cards(12),
+        value: anyOf([number(), text(20)], { message: '应为数字或字符串' }),
+        status: text(20),
+        is_turn: flag
+    }), { max: 8 }),
+    is_finished: flag,
+    winner_names: array(playerName, { max: 8 }),
+    last_action: lastAction,
+    subtitle
+});
+
+const uno = object({
+    phase_text: text(20),
+    top_card: text(8),
+    current_color: string({ enum: ['R', 'G', 'B', 'Y'] }),
+    direction: integer({ enum: [1, -1] }),
+    pending_draw: count,
+    players: array(object({
+        name: playerName,
+        count,
+        cards: array(text(8), { max: 60 }),
+        is_turn: flag
+    }), { max: 10 }),
+    is_finished: flag,
+    winner_name: playerName,
+    last_action: lastAction,
+    subtitle
+});
+
+const doudizhu = object({
+    phase_text: text(20),
+    landlord_name: playerName,
+    bottom_cards: array(text(4), { max: 3 }),
+    players: array(object({
+        name: playerName,
+        role: text(8),
+        count,
+        cards: array(text(4), { max: 20 }),
+        is_turn: flag
+    }), { max: 3 }),
+    last_play_text: text(120),
+    current_turn_name: playerName,
+    winner_text: text(60),
+    is_finished: flag,
+    last_action: lastAction,
+    subtitle
+});
+
+const gamehelp = object({
+    subtitle
+});
+
+// ============ 自定义 HTML ============
+
+const htmlRender = object({
+    html: string(),
+    ejs: string(),
+    data: object({}),
+    width: integer({ min: 100, max: 2000 })
+}, {
+    refine: (body, addError) => {
+        if ((body.html === undefined) === (body.ejs === undefined)) {
+            addError(null, 'html 与 ejs 需且只能提供其一');
+        }
+    }
+});
+
+// ============ 棋局回放 ============
+
+// 单个回放动图的最大帧数
+const REPLAY_MAX_FRAMES = parseInt(process.env.RENDER_REPLAY_MAX_FRAMES, 10) || 120;
+
+const replay = object({
+    template: string({ enum: ['gomoku', 'go', 'xiangqi', 'connect4'], required: true }),
+    data: object({}),
+    moves: array(any({ nullable: true }), { max: 1000 }),
+    states: array(object({}), { min: 1, max: 1000 }),
+    final: object({}),
+    animation: string({ lowercase: true, enum: ['gif', 'apng'] }),
+    delay: integer({ min: 20, max: 10000 }),
+    final_delay: integer({ min: 0, max: 30000 }),
+    max_frames: integer({ min: 2, max: REPLAY_MAX_FRAMES }),
+    scale: number({ min: 0.25, max: 2 }),
+    loop: integer({ min: 0, max: 1000 })
+}, {
+    refine: (body, addError) => {
+        if ((body.moves === undefined) === (body.states === undefined)) {
+            addError(null, 'moves 与 states 需且只能提供其一');
+        }
+    }
+});
+
+// ============ 批量渲染 ============
+
+// 单次批量请求的最大任务数
+const BATCH_MAX = parseInt(process.env.RENDER_BATCH_MAX, 10) || 20;
+
+const batch = object({
+    jobs: array(object({
+        id: text(64),
+        template: string({ max: 64, required: true }),
+        data: object({}),
+        options: object({
+            format: string({ max: 8 }),
+            quality: any(),
+            priority: string({ max: 8 }),
+            theme
+        })
+    }), { min: 1, max: BATCH_MAX, required: true }),
+    theme,
+    response: string({ lowercase: true, enum: ['json', 'multipart', 'zip'] })
+});
+
+module.exports = {
+    universal,
+    fabing,
+    kfc,
+    gold,
+    luck,
+    timetable,
+    timetableIcs,
+    universalContent,
+    qfarm,
+    chart,
+    tictactoe,
+    go,
+    gomoku,
+    connect4,
+    xiangqi,
+    chess,
+    junqi,
+    minesweeper,
+    game2048,
+    texas,
+    blackjack,
+    uno,
+    doudizhu,
+    gamehelp,
+    htmlRender,
+    replay,
+    REPLAY_MAX_FRAMES,
+    batch,
+    BATCH_MAX
+};
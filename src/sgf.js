@@ -0,0 +1,294 @@
+const go = require('./go');
+
+/**
+ * SGF 棋谱导入（围棋）
+ *
+ * 解析第一个对局树，沿主线（或 variation 指定的分支）重放到指定手数，
+ * 按提子规则生成 go 模板所需的棋盘、提子数、最后一手、手数标记与分支标记
+ */
+
+// 超过该尺寸的棋盘中 tt 不再表示虚着
+const PASS_MAX_SIZE = 19;
+
+function sgfError(message) {
+    const error = new Error(message);
+    error.sgf = true;
+    return error;
+}
+
+/**
+ * 解析 SGF 文本，返回第一个对局树的根节点
+ * 节点结构：{ props: { B: ['dd'], C: ['...'] }, children: [] }
+ */
+function parseSgf(text) {
+    const source = String(text);
+    let root = null;
+    let current = null;
+    const stack = [];
+    let i = 0;
+
+    while (i < source.length) {
+        const char = source[i];
+        if (char === '(') {
+            if (root && stack.length === 0) {
+                // 只读取第一个对局
+                break;
+            }
+            stack.push(current);
+            i++;
+        } else if (char === ')') {
+            if (stack.length === 0) {
+                throw sgfError(`位置 ${i} 多余的 ")"`);
+            }
+            current = stack.pop();
+            i++;
+        } else if (char === ';') {
+            if (stack.length === 0) {
+                throw sgfError('节点需位于 "(" 之后');
+            }
+            const node = { props: {}, children: [] };
+            if (current) {
+                current.children.push(node);
+            } else if (!root) {
+                root = node;
+            } else {
+                throw sgfError('只允许一个根节点');
+            }
+            current = node;
+            i++;
+        } else if (/[A-Za-z]/.test(char)) {
+            if (!current) {
+                throw sgfError(`位置 ${i} 的属性不属于任何节点`);
+            }
+            let ident = '';
+            while (i < source.length && /[A-Za-z]/.test(source[i])) {
+                ident += source[i];
+                i++;
+            }
+            // 旧版 SGF 允许属性名中夹带小写字母（如 AddBlack），只保留大写部分
+            ident = ident.replace(/[a-z]/g, '');
+            const values = [];
+            while (true) {
+                while (i < source.length && /\s/.test(source[i])) i++;
+                if (source[i] !== '[') break;
+                let value = '';
+                i++;
+                while (i < source.length && source[i] !== ']') {
+                    if (source[i] === '\\') i++;
+                    value += source[i] === undefined ? '' : source[i];
+                    i++;
+                }
+                if (i >= source.length) {
+                    throw sgfError(`属性 ${ident} 的值缺少 "]"`);
+                }
+                i++;
+                values.push(value);
+            }
+            if (values.length === 0) {
+                throw sgfError(`属性 ${ident} 缺少值`);
+            }
+            current.props[ident] = (current.props[ident] || []).concat(values);
+        } else if (/\s/.test(char)) {
+            i++;
+        } else {
+            throw sgfError(`位置 ${i} 无法识别的字符 "${char}"`);
+        }
+    }
+
+    if (!root) {
+        throw sgfError('未找到对局');
+    }
+    if (stack.length > 0) {
+        throw sgfError('缺少 ")"');
+    }
+    return root;
+}
+
+/**
+ * SGF 坐标（左上角为 aa）-> 位置索引（左下角为 0），虚着返回 null
+ */
+function parsePoint(value, size) {
+    if (value === '' || (value === 'tt' && size <= PASS_MAX_SIZE)) {
+        return null;
+    }
+    const x = value.charCodeAt(0) - 97;
+    const row = value.charCodeAt(1) - 97;
+    if (value.length !== 2 || !(x >= 0 && x < size && row >= 0 && row < size)) {
+        throw sgfError(`坐标 ${value} 超出 ${size} 路棋盘`);
+    }
+    return (size - 1 - row) * size + x;
+}
+
+/**
+ * 展开坐标列表（支持 aa:cc 矩形简写）
+ */
+function parsePoints(values, size) {
+    const points = [];
+    values.forEach((value) => {
+        const [from, to] = value.split(':');
+        if (!to) {
+            const point = parsePoint(from, size);
+            if (point !== null) points.push(point);
+            return;
+        }
+        const a = parsePoint(from, size);
+        const b = parsePoint(to, size);
+        if (a === null || b === null) {
+            throw sgfError(`坐标 ${value} 无效`);
+        }
+        const [ax, ay] = [a % size, Math.floor(a / size)];
+        const [bx, by] = [b % size, Math.floor(b / size)];
+        for (let y = Math.min(ay, by); y <= Math.max(ay, by); y++) {
+            for (let x = Math.min(ax, bx); x <= Math.max(ax, bx); x++) {
+                points.push(y * size + x);
+            }
+        }
+    });
+    return points;
+}
+
+/**
+ * 对局结果（RE）-> 胜方与中文描述
+ */
+function parseResult(value) {
+    const match = /^([BW])\+(.*)$/i.exec(value.trim());
+    if (!match) {
+        return /^(0|draw|jigo)$/i.test(value.trim()) ? { winner: null, text: '和棋' } : null;
+    }
+    const winner = match[1].toUpperCase();
+    const side = winner === 'B' ? '黑' : '白';
+    const detail = match[2].trim();
+    if (/^r(esign)?$/i.test(detail)) return { winner, text: `${side}中盘胜` };
+    if (/^t(ime)?$/i.test(detail)) return { winner, text: `${side}超时胜` };
+    if (/^f(orfeit)?$/i.test(detail)) return { winner, text: `${side}判胜` };
+    if (/^\d+(\.\d+)?$/.test(detail)) return { winner, text: `${side}胜 ${detail} 目` };
+    return { winner, text: `${side}胜` };
+}
+
+/**
+ * 重放 SGF 棋谱
+ * @param {string} text - SGF 文本
+ * @param {object} options
+ * @param {number} options.moveNumber - 重放到第几手（默认到所选分支末尾，0 为开局摆子后）
+ * @param {number[]} options.variation - 依次在各分叉处选择的分支序号（0 为主线），用完后沿主线
+ * @returns {object} go 模板数据：board、board_size、captured_black/white、move_count、last_move、
+ *                   current_turn、move_numbers、variations、comment，以及棋谱中的对局者与结果
+ * @throws {Error} 棋谱无法解析、分支或手数超出范围、着法不合法（error.sgf 为 true）
+ */
+function replaySgf(text, { moveNumber, variation = [] } = {}) {
+    const root = parseSgf(text);
+    const prop = (node, key) => (node.props[key] ? node.props[key][0] : undefined);
+
+    const size = parseInt(prop(root, 'SZ') || '19', 10);
+    if (![9, 13, 19].includes(size)) {
+        throw sgfError(`仅支持 9、13、19 路棋盘（SZ[${prop(root, 'SZ')}]）`);
+    }
+
+    let board = Array(size * size).fill('');
+    let numbers = Array(size * size).fill(null);
+    const captured = { B: 0, W: 0 };
+    let moveCount = 0;
+    let lastMove = null;
+    let lastColor = null;
+    let branch = 0;
+    let node = root;
+
+    while (true) {
+        // 摆子（让子、布局）
+        ['AB', 'AW', 'AE'].forEach((key) => {
+            if (!node.props[key]) return;
+            parsePoints(node.props[key], size).forEach((point) => {
+                board[point] = key === 'AE' ? '' : key[1];
+                numbers[point] = null;
+            });
+        });
+
+        // 着手
+        const color = node.props.B ? 'B' : (node.props.W ? 'W' : null);
+        if (color) {
+            moveCount++;
+            const point = parsePoint(node.props[color][0], size);
+            if (point !== null) {
+                let result;
+                try {
+                    result = go.playMove(board, size, point, color);
+                } catch (error) {
+                    throw sgfError(`第 ${moveCount} 手 ${error.message}`);
+                }
+                board = result.board;
+                numbers[point] = moveCount;
+                result.captured.forEach((stone) => {
+                    numbers[stone] = null;
+                });
+                captured[go.opponent(color)] += result.captured.length;
+            }
+            lastMove = point;
+            lastColor = color;
+        }
+
+        if (moveNumber !== undefined && moveCount >= moveNumber) {
+            break;
+        }
+        if (node.children.length === 0) {
+            if (moveNumber !== undefined) {
+                throw sgfError(`move_number 超出棋谱手数（共 ${moveCount} 手）`);
+            }
+            break;
+        }
+
+        let choice = 0;
+        if (node.children.length > 1 && branch < variation.length) {
+            choice = variation[branch++];
+            if (choice >= node.children.length) {
+                throw sgfError(`第 ${moveCount} 手后只有 ${node.children.length} 个分支`);
+            }
+        }
+        node = node.children[choice];
+    }
+
+    // 当前节点之后的候选着法（有分叉时以 A、B、C 标记）
+    const variations = [];
+    if (node.children.length > 1) {
+        node.children.forEach((child, index) => {
+            const color = child.props.B ? 'B' : (child.props.W ? 'W' : null);
+            const point = color ? parsePoint(child.props[color][0], size) : null;
+            if (point !== null && !board[point]) {
+                variations.push({ index: point, label: String.fromCharCode(65 + (index % 26)) });
+            }
+        });
+    }
+
+    let currentTurn = lastColor ? go.opponent(lastColor) : (prop(root, 'PL') || '').toUpperCase();
+    if (currentTurn !== 'B' && currentTurn !== 'W') {
+        currentTurn = parseInt(prop(root, 'HA'), 10) > 1 ? 'W' : 'B';
+    }
+
+    const data = {
+        board,
+        board_size: size,
+        current_turn: currentTurn,
+        captured_black: captured.B,
+        captured_white: captured.W,
+        move_count: moveCount,
+        last_move: lastMove,
+        move_numbers: numbers,
+        variations,
+        comment: prop(node, 'C') || ''
+    };
+
+    if (prop(root, 'PB')) data.black_player_name = prop(root, 'PB');
+    if (prop(root, 'PW')) data.player_white_name = prop(root, 'PW');
+
+    const result = prop(root, 'RE') && parseResult(prop(root, 'RE'));
+    if (node.children.length === 0 && result) {
+        data.is_finished = true;
+        data.winner = result.winner;
+        data.result_text = result.text;
+    }
+    return data;
+}
+
+module.exports = {
+    parseSgf,
+    replaySgf
+};
@@ -0,0 +1,101 @@
+/**
+ * 按最大高度拆分长图
+ *
+ * 模板通过 data 属性标记可拆分的结构：
+ * - data-split-body: 内容区（其上方为页头、下方为页尾，每页都会重复）
+ * - data-split-row: 不可再拆的行，分页只发生在行与行之间
+ * - data-split-group: 行所属的分组（如带标题的区块），跨页时分组标题在新页重复
+ *
+ * 先以完整数据测量布局，再按行分配到各页，最后由注册项的 split() 生成每页的数据重新渲染
+ */
+
+/**
+ * 读取页面布局（在浏览器中执行）
+ * @returns {object|null} 未标记 data-split-body 时为 null
+ */
+function readLayout() {
+    const container = document.querySelector('[data-split-body]');
+    if (!container) {
+        return null;
+    }
+
+    const rect = container.getBoundingClientRect();
+    const style = getComputedStyle(container);
+    const rows = Array.from(container.querySelectorAll('[data-split-row]')).map((el) => {
+        const box = el.getBoundingClientRect();
+        const group = el.closest('[data-split-group]');
+        const first = group ? group.querySelector('[data-split-row]') : el;
+        const groupTop = group ? group.getBoundingClientRect().top : box.top;
+        return {
+            top: box.top,
+            bottom: box.bottom,
+            groupStart: first === el,
+            groupTop,
+            // 分组标题高度：分组顶部到分组首行顶部
+            groupHead: first.getBoundingClientRect().top - groupTop
+        };
+    });
+
+    return {
+        height: Math.ceil(document.body.getBoundingClientRect().height),
+        bodyTop: rect.top,
+        bodyBottom: rect.bottom,
+        paddingTop: parseFloat(style.paddingTop) || 0,
+        paddingBottom: parseFloat(style.paddingBottom) || 0,
+        rows
+    };
+}
+
+/**
+ * 将行分配到各页
+ * @param {object|null} layout - readLayout() 的结果
+ * @param {number} maxHeight - 每页最大高度（CSS 像素）
+ * @returns {Array<[number, number]>} 每页的行区间 [start, end)
+ */
+function planPages(layout, maxHeight) {
+    if (!layout || layout.rows.length === 0 || layout.height <= maxHeight) {
+        return [[0, layout ? layout.rows.length : 0]];
+    }
+
+    const { rows } = layout;
+    const contentTop = layout.bodyTop + layout.paddingTop;
+    const contentBottom = layout.bodyBottom - layout.paddingBottom;
+    // 每页都有：页头、页尾与内容区内边距
+    const fixed = layout.height - (contentBottom - contentTop);
+    // 仅首页：首行之前的内容（摘要、统计等）；仅末页：末行之后的内容
+    const leading = rows[0].groupTop - contentTop;
+    const trailing = contentBottom - rows[rows.length - 1].bottom;
+
+    // 以第 s 行开头时该页内容的起点（分组中途开始时需重复分组标题）
+    const startTop = (s) => (rows[s].groupStart ? rows[s].groupTop : rows[s].top - rows[s].groupHead);
+    const used = (s, e) => rows[e - 1].bottom - startTop(s);
+
+    const pages = [];
+    let start = 0;
+    while (start < rows.length) {
+        const budget = maxHeight - fixed - (start === 0 ? leading : 0);
+        // 每页至少一行：单行超高时独占一页，不在行内截断
+        let end = start + 1;
+        while (end < rows.length && used(start, end + 1) <= budget) {
+            end++;
+        }
+        pages.push([start, end]);
+        start = end;
+    }
+
+    // 末页还需容纳末行之后的内容，放不下时把末尾的行移到新的一页
+    const [lastStart, lastEnd] = pages[pages.length - 1];
+    const fits = (s) => fixed + (s === 0 ? leading : 0) + used(s, lastEnd) + trailing <= maxHeight;
+    if (!fits(lastStart) && lastEnd - lastStart > 1) {
+        let cut = lastStart + 1;
+        while (cut < lastEnd - 1 && !fits(cut)) {
+            cut++;
+        }
+        pages[pages.length - 1] = [lastStart, cut];
+        pages.push([cut, lastEnd]);
+    }
+
+    return pages;
+}
+
+module.exports = { readLayout, planPages };
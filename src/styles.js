@@ -0,0 +1,135 @@
+const fs = require('fs');
+const path = require('path');
+const postcss = require('postcss');
+const tailwindcss = require('tailwindcss');
+
+const FONTS_CSS_PATH = path.join(__dirname, '../assets/fonts.css');
+
+const TAILWIND_ENTRY = '@tailwind base;\n@tailwind components;\n@tailwind utilities;';
+
+// 模板中 Tailwind 样式的插入位置
+const TAILWIND_PLACEHOLDER = '<style><%- tailwindCss %></style>';
+
+// 旧版模板（例如挂载覆盖的模板）中的外部资源引用
+const TAILWIND_CDN_RE = /<script[^>]*\ssrc=["']https?:\/\/cdn\.tailwindcss\.com[^"']*["'][^>]*>\s*<\/script>/gi;
+const TAILWIND_CONFIG_RE = /[ \t]*<script>\s*tailwind\.config\s*=[\s\S]*?<\/script>[ \t]*\r?\n?/gi;
+const FONT_IMPORT_RE = /[ \t]*@import\s+url\(\s*['"]?https?:\/\/fonts\.googleapis\.com[^)]*\)\s*;?[ \t]*\r?\n?/gi;
+const FONT_LINK_RE = /[ \t]*<link[^>]*\shref=["']https?:\/\/fonts\.(?:googleapis|gstatic)\.com[^>]*>[ \t]*\r?\n?/gi;
+
+// 主题色工具类（bg-theme-surface、text-theme-muted 等）
+// 模板在 :root 中声明 --ui-xxx: var(--theme-xxx, 原有颜色)，未注入主题时保持原有配色
+const THEME_COLORS = {
+    primary: 'var(--ui-primary)',
+    'primary-soft': 'var(--ui-primary-soft)',
+    accent: 'var(--ui-accent)',
+    background: 'var(--ui-background)',
+    surface: 'var(--ui-surface)',
+    text: 'var(--ui-text)',
+    muted: 'var(--ui-muted)',
+    border: 'var(--ui-border)'
+};
+
+let fontsCss = null;
+
+/**
+ * 规范化模板源码：将 Tailwind CDN 替换为本地样式占位，移除在线字体引用
+ * @param {string} source - 模板源码
+ * @returns {string}
+ */
+function localizeTemplate(source) {
+    return source
+        .replace(TAILWIND_CDN_RE, TAILWIND_PLACEHOLDER)
+        .replace(TAILWIND_CONFIG_RE, '')
+        .replace(FONT_IMPORT_RE, '')
+        .replace(FONT_LINK_RE, '');
+}
+
+/**
+ * 模板是否使用 Tailwind
+ */
+function usesTailwind(source) {
+    return source.includes(TAILWIND_PLACEHOLDER);
+}
+
+/**
+ * 按模板实际用到的类名编译 Tailwind CSS
+ * @param {string} source - 已规范化的模板源码
+ * @returns {Promise<string>} CSS 文本，未使用 Tailwind 时为空字符串
+ */
+async function compileTailwind(source) {
+    if (!usesTailwind(source)) {
+        return '';
+    }
+
+    const result = await postcss([
+        tailwindcss({
+            content: [{ raw: source, extension: 'html' }],
+            theme: {
+                extend: {
+                    colors: { theme: THEME_COLORS }
+                }
+            }
+        })
+    ]).process(TAILWIND_ENTRY, { from: undefined });
+
+    return result.css;
+}
+
+/**
+ * 获取本地字体映射 CSS
+ */
+function getFontsCss() {
+    if (fontsCss === null) {
+        fontsCss = fs.existsSync(FONTS_CSS_PATH) ? fs.readFileSync(FONTS_CSS_PATH, 'utf-8') : '';
+    }
+    return fontsCss;
+}
+
+/**
+ * 将字体样式注入 HTML 的 <head>
+ * @param {string} html - 渲染后的 HTML
+ * @returns {string}
+ */
+function injectFonts(html) {
+    const css = getFontsCss();
+    if (!css) {
+        return html;
+    }
+    return injectCss(html, css);
+}
+
+/**
+ * 将样式插入 HTML 的 <head> 开头
+ * @param {string} html - 渲染后的 HTML
+ * @param {string} css - 样式文本
+ * @returns {string}
+ */
+function injectCss(html, css) {
+    return injectHead(html, `<style>${css}</style>`);
+}
+
+/**
+ * 将标签插入 HTML 的 <head> 开头（没有 <head> 时插入文档类型声明之后）
+ * @param {string} html - 渲染后的 HTML
+ * @param {string} markup - 要插入的标签
+ * @returns {string}
+ */
+function injectHead(html, markup) {
+    const headIndex = html.search(/<head(\s[^>]*)?>/i);
+    if (headIndex === -1) {
+        const doctype = html.match(/^\s*<!doctype[^>]*>/i);
+        const insertAt = doctype ? doctype[0].length : 0;
+        return html.slice(0, insertAt) + markup + html.slice(insertAt);
+    }
+
+    const insertAt = html.indexOf('>', headIndex) + 1;
+    return html.slice(0, insertAt) + markup + html.slice(insertAt);
+}
+
+module.exports = {
+    localizeTemplate,
+    compileTailwind,
+    injectFonts,
+    injectCss,
+    injectHead
+};
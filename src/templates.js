@@ -0,0 +1,187 @@
+const ejs = require('ejs');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const styles = require('./styles');
+
+// 文件变更事件的合并间隔（编辑器保存时通常会连续触发多次）
+const WATCH_DEBOUNCE_MS = 100;
+
+/**
+ * 定位 EJS 语法错误所在的模板行号
+ * ejs.compile 的语法错误不带行号：重新生成函数源码交给 vm 解析，
+ * 再由出错位置之前最近的 __line 标记换算回模板行号
+ * @returns {number|null}
+ */
+function locateSyntaxError(source, filename) {
+    let code;
+    try {
+        const template = new ejs.Template(source, { filename });
+        template.generateSource();
+        code = `(function (locals, escapeFn, include, rethrow) {\n${template.source}\n})`;
+        new vm.Script(code, { filename });
+        return null;
+    } catch (error) {
+        const match = code && String(error.stack).match(/:(\d+)\r?\n/);
+        if (!match) return null;
+
+        const lines = code.split('\n').slice(0, Number(match[1]));
+        for (let i = lines.length - 1; i >= 0; i--) {
+            const marks = lines[i].match(/__line = \d+/g);
+            if (marks) {
+                return Number(marks[marks.length - 1].slice('__line = '.length));
+            }
+        }
+        return null;
+    }
+}
+
+/**
+ * 创建模板仓库：读取、规范化并编译模板目录下的 .ejs 文件
+ *
+ * 每个模板的源码、编译函数与 Tailwind 样式作为一个整体替换，
+ * 新版本编译失败时继续使用上一个可用版本，错误记录在 getStatus().errors 中
+ * @param {object} options
+ * @param {string} options.dir - 模板目录
+ */
+function createTemplateStore({ dir }) {
+    const entries = new Map();
+    const errors = new Map();
+    const pending = new Map();
+    let watcher = null;
+
+    function filePath(name) {
+        return path.join(dir, `${name}.ejs`);
+    }
+
+    /**
+     * 编译单个模板，成功后替换旧版本
+     * @returns {Promise<object>} 模板条目 { source, render, css, loadedAt }
+     */
+    async function load(name) {
+        const filename = filePath(name);
+        const source = styles.localizeTemplate(await fs.promises.readFile(filename, 'utf-8'));
+
+        let render;
+        try {
+            render = ejs.compile(source, { filename });
+        } catch (error) {
+            const line = locateSyntaxError(source, filename);
+            const message = error.message.split('\n')[0];
+            errors.set(name, { message, line, at: new Date().toISOString() });
+            console.error(`Template ${name} compile error${line ? ` (line ${line})` : ''}: ${message}`);
+            if (entries.has(name)) {
+                console.error(`Template ${name}: keeping last good version`);
+            }
+            throw error;
+        }
+
+        const css = await styles.compileTailwind(source);
+        const entry = { source, render, css, loadedAt: new Date().toISOString() };
+        entries.set(name, entry);
+        errors.delete(name);
+        return entry;
+    }
+
+    /**
+     * 获取已编译的模板，未加载时从磁盘加载
+     */
+    async function get(name) {
+        if (entries.has(name)) {
+            return entries.get(name);
+        }
+        if (!fs.existsSync(filePath(name))) {
+            throw new Error(`Template not found: ${name}`);
+        }
+        return load(name);
+    }
+
+    /**
+     * 移除模板（文件被删除时）
+     */
+    function remove(name) {
+        entries.delete(name);
+        errors.delete(name);
+    }
+
+    /**
+     * 重新加载模板：不传名称时重新扫描整个目录，已删除的文件同时移除
+     * @returns {Promise<{ reloaded: string[], removed: string[], failed: string[] }>}
+     */
+    async function reload(name) {
+        const result = { reloaded: [], removed: [], failed: [] };
+        let names;
+        if (name) {
+            names = [name];
+        } else {
+            names = fs.readdirSync(dir).filter((f) => f.endsWith('.ejs')).map((f) => f.slice(0, -4));
+            entries.forEach((_, loaded) => {
+                if (!names.includes(loaded)) names.push(loaded);
+            });
+        }
+
+        for (const item of names) {
+            if (!fs.existsSync(filePath(item))) {
+                if (entries.has(item) || errors.has(item)) {
+                    remove(item);
+                    result.removed.push(item);
+                    console.log(`Template removed: ${item}`);
+                }
+                continue;
+            }
+            try {
+                await load(item);
+                result.reloaded.push(item);
+            } catch {
+                result.failed.push(item);
+            }
+        }
+        return result;
+    }
+
+    /**
+     * 监听模板目录，文件新增、修改、删除后重新加载对应模板
+     */
+    function watch() {
+        if (watcher) return;
+
+        try {
+            watcher = fs.watch(dir, (eventType, file) => {
+                const name = file ? String(file) : null;
+                if (name && !name.endsWith('.ejs')) return;
+
+                const key = name ? name.slice(0, -4) : '*';
+                clearTimeout(pending.get(key));
+                pending.set(key, setTimeout(() => {
+                    pending.delete(key);
+                    reload(name ? key : undefined).then((result) => {
+                        if (result.reloaded.length > 0) {
+                            console.log(`Template reloaded: ${result.reloaded.join(', ')}`);
+                        }
+                    }).catch((error) => {
+                        console.error('Template reload error:', error.message);
+                    });
+                }, WATCH_DEBOUNCE_MS));
+            });
+            watcher.on('error', (error) => {
+                console.error('Template watcher error:', error.message);
+            });
+            watcher.unref();
+            console.log(`Watching templates: ${dir}`);
+        } catch (error) {
+            console.error('Template watcher unavailable:', error.message);
+        }
+    }
+
+    function getStatus() {
+        return {
+            loaded: entries.size,
+            watching: Boolean(watcher),
+            errors: Object.fromEntries(errors)
+        };
+    }
+
+    return { get, reload, remove, watch, getStatus };
+}
+
+module.exports = { createTemplateStore, locateSyntaxError };
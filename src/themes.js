@@ -0,0 +1,155 @@
+/**
+ * 主题
+ *
+ * 主题由四个基础颜色组成：primary（主色）、background（页面背景）、text（正文）、accent（强调色），
+ * 其余颜色（卡片、边框、次要文字等）未给出时由基础颜色推导。解析后的主题以 CSS 变量注入页面：
+ *
+ *   --theme-primary / --theme-primary-soft / --theme-accent
+ *   --theme-background / --theme-surface / --theme-text / --theme-muted / --theme-border
+ *
+ * 模板以 var(--theme-xxx, 原有颜色) 的形式引用，未指定主题时保持各模板原有配色
+ */
+
+// light / dark 与 qfarm 模板原有的两套配色一致
+const THEMES = {
+    light: {
+        primary: '#ea580c',
+        primarySoft: '#fff1e6',
+        accent: '#f59e0b',
+        background: '#fff8f0',
+        surface: '#ffffff',
+        text: '#292524',
+        muted: '#7c5b4d',
+        border: '#f3d8ba'
+    },
+    dark: {
+        primary: '#fb923c',
+        primarySoft: '#1f2937',
+        accent: '#fbbf24',
+        background: '#0f172a',
+        surface: '#111827',
+        text: '#e5e7eb',
+        muted: '#94a3b8',
+        border: '#1f2937'
+    },
+    sepia: {
+        primary: '#b45309',
+        background: '#f4ecd8',
+        text: '#433422',
+        accent: '#9a3412'
+    }
+};
+
+const COLOR_KEYS = ['primary', 'background', 'text', 'accent'];
+
+const HEX_RE = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+function parseHex(hex) {
+    let value = hex.slice(1);
+    if (value.length === 3) {
+        value = value.split('').map((c) => c + c).join('');
+    }
+    return [0, 2, 4].map((i) => parseInt(value.slice(i, i + 2), 16));
+}
+
+function toHex(rgb) {
+    return `#${rgb.map((c) => Math.round(c).toString(16).padStart(2, '0')).join('')}`;
+}
+
+/**
+ * 按比例混合两种颜色（ratio 为 b 的占比）
+ */
+function mix(a, b, ratio) {
+    const ca = parseHex(a);
+    const cb = parseHex(b);
+    return toHex(ca.map((c, i) => c + (cb[i] - c) * ratio));
+}
+
+/**
+ * 相对亮度（0 黑 - 1 白）
+ */
+function luminance(hex) {
+    const [r, g, b] = parseHex(hex).map((c) => {
+        const v = c / 255;
+        return v <= 0.03928 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4;
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * 补全调色板：未给出的颜色由基础颜色推导
+ */
+function buildPalette(base) {
+    const dark = luminance(base.background) < 0.2;
+    return {
+        dark,
+        primary: base.primary,
+        primarySoft: base.primarySoft || mix(base.background, base.primary, dark ? 0.2 : 0.12),
+        accent: base.accent,
+        background: base.background,
+        surface: base.surface || (dark ? mix(base.background, '#ffffff', 0.05) : mix(base.background, '#ffffff', 0.8)),
+        text: base.text,
+        muted: base.muted || mix(base.text, base.background, 0.4),
+        border: base.border || mix(base.background, base.text, dark ? 0.18 : 0.12)
+    };
+}
+
+/**
+ * 解析主题参数
+ * @param {string|object} input - 主题名称，或 { primary, background, text, accent }（缺省项取 base 主题）
+ * @param {string} base - 自定义调色板缺省颜色所用的主题
+ * @returns {object} 调色板
+ * @throws {Error} 名称未知或颜色格式不正确
+ */
+function resolveTheme(input, base = 'light') {
+    if (typeof input === 'string') {
+        const name = input.trim().toLowerCase();
+        if (!THEMES[name]) {
+            throw new Error(`theme 仅支持 ${Object.keys(THEMES).join('|')} 或 { ${COLOR_KEYS.join(', ')} }`);
+        }
+        return buildPalette(THEMES[name]);
+    }
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new Error(`theme 仅支持 ${Object.keys(THEMES).join('|')} 或 { ${COLOR_KEYS.join(', ')} }`);
+    }
+
+    // 自定义调色板只继承基础颜色，其余颜色按新的基础颜色重新推导
+    const colors = {};
+    COLOR_KEYS.forEach((key) => {
+        colors[key] = THEMES[base][key];
+    });
+    COLOR_KEYS.forEach((key) => {
+        if (input[key] === undefined || input[key] === null || input[key] === '') return;
+        const value = String(input[key]).trim();
+        if (!HEX_RE.test(value)) {
+            throw new Error(`theme.${key} 需为 #rgb 或 #rrggbb 格式的颜色`);
+        }
+        colors[key] = value.toLowerCase();
+    });
+    return buildPalette(colors);
+}
+
+/**
+ * 调色板 -> CSS 变量声明
+ */
+function themeCss(palette) {
+    const vars = {
+        primary: palette.primary,
+        'primary-soft': palette.primarySoft,
+        accent: palette.accent,
+        background: palette.background,
+        surface: palette.surface,
+        text: palette.text,
+        muted: palette.muted,
+        border: palette.border
+    };
+    const body = Object.keys(vars).map((key) => `--theme-${key}:${vars[key]};`).join('');
+    return `:root{${body}color-scheme:${palette.dark ? 'dark' : 'light'};}`;
+}
+
+module.exports = {
+    THEMES,
+    resolveTheme,
+    themeCss
+};
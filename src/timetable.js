@@ -0,0 +1,220 @@
+/**
+ * 课表：节次时间表、周次解析、本周过滤与冲突检测
+ *
+ * 节次从 1 开始；课程占用 section_start 到 section_end（含）的连续节次，
+ * 未给出结束节次时按两节连上处理（与旧版"大节"一致）
+ */
+
+// 默认节次时间表（10 节）
+const DEFAULT_SECTIONS = [
+    { start: '08:00', end: '08:45' },
+    { start: '08:55', end: '09:40' },
+    { start: '10:00', end: '10:45' },
+    { start: '10:55', end: '11:40' },
+    { start: '14:00', end: '14:45' },
+    { start: '14:55', end: '15:40' },
+    { start: '16:00', end: '16:45' },
+    { start: '16:55', end: '17:40' },
+    { start: '19:00', end: '19:45' },
+    { start: '19:55', end: '20:40' }
+];
+
+// 未给出结束节次时的默认节数
+const DEFAULT_SPAN = 2;
+
+// 只写"单周" / "双周"时的周次范围
+const MAX_WEEK = 60;
+
+/**
+ * 解析周次文本，如 "1-16周"、"1-16周(单)"、"2-16双周"、"1,3,5周"、"1-8,10-16周"、"第3周"
+ * 单 / 双写在某一段后时只作用于该段，只写"单周" / "双周"时取 1-60 周中的单 / 双周
+ * 周次超出 1-60 时视为无法解析
+ * @param {string} raw
+ * @returns {number[]|null} 升序的周次列表，无法解析时为 null（视为每周都上）
+ */
+function parseWeeks(raw) {
+    const text = String(raw || '')
+        .replace(/[，、；;]/g, ',')
+        .replace(/[~～—－至到]/g, '-')
+        .replace(/[第周\s()（）]/g, '');
+    if (!text) {
+        return null;
+    }
+
+    const weeks = new Set();
+    for (const segment of text.split(',').filter(Boolean)) {
+        const match = /^(?:(\d+)(?:-(\d+))?)?(单|双)?$/.exec(segment);
+        if (!match || (!match[1] && !match[3])) {
+            return null;
+        }
+        const from = match[1] ? Number(match[1]) : 1;
+        const to = match[2] ? Number(match[2]) : (match[1] ? from : MAX_WEEK);
+        if (Math.min(from, to) < 1 || Math.max(from, to) > MAX_WEEK) {
+            return null;
+        }
+        const parity = match[3] === '单' ? 1 : (match[3] === '双' ? 0 : null);
+        for (let week = Math.min(from, to); week <= Math.max(from, to); week++) {
+            if (parity === null || week % 2 === parity) {
+                weeks.add(week);
+            }
+        }
+    }
+    return weeks.size > 0 ? Array.from(weeks).sort((a, b) => a - b) : null;
+}
+
+/**
+ * 周次列表 -> 文本，与 parseWeeks 互逆，如 [1, 3, 5] -> "1-5周(单)"、[1, 2, 3, 5] -> "1-3,5周"
+ * @param {number[]} weeks
+ * @returns {string}
+ */
+function formatWeeks(weeks) {
+    const sorted = Array.from(new Set(weeks)).sort((a, b) => a - b);
+    if (sorted.length === 0) {
+        return '';
+    }
+    const first = sorted[0];
+    const last = sorted[sorted.length - 1];
+    if (sorted.length > 2 && sorted.every((week, i) => i === 0 || week - sorted[i - 1] === 2)) {
+        return `${first}-${last}周(${first % 2 === 1 ? '单' : '双'})`;
+    }
+
+    const ranges = [];
+    sorted.forEach((week, i) => {
+        if (i > 0 && week === sorted[i - 1] + 1) {
+            ranges[ranges.length - 1][1] = week;
+        } else {
+            ranges.push([week, week]);
+        }
+    });
+    return ranges.map(([from, to]) => (from === to ? `${from}` : `${from}-${to}`)).join(',') + '周';
+}
+
+/**
+ * 课程占用的节次 [start, end]
+ */
+function courseSpan(course) {
+    const start = course.section_start || 1;
+    if (course.section_end) {
+        return [start, course.section_end];
+    }
+    return [start, start + (course.section_count || DEFAULT_SPAN) - 1];
+}
+
+/**
+ * 课程的上课周次：weeks 优先，其次解析 weeks_raw
+ * @returns {number[]|null} null 表示每周都上
+ */
+function courseWeeks(course) {
+    return course.weeks && course.weeks.length > 0 ? course.weeks : parseWeeks(course.weeks_raw);
+}
+
+/**
+ * 为同一天内时间重叠的课程分配并列的栏位
+ * 重叠的课程组成一组，组内按开始节次依次放入第一个空闲栏位
+ */
+function assignLanes(courses) {
+    const sorted = courses.slice().sort((a, b) => a.start - b.start || b.end - a.end);
+    let group = [];
+    let groupEnd = 0;
+    const flush = () => {
+        const lanes = Math.max(...group.map((course) => course.lane + 1));
+        group.forEach((course) => {
+            course.lanes = lanes;
+        });
+        group = [];
+    };
+
+    sorted.forEach((course) => {
+        if (group.length > 0 && course.start > groupEnd) {
+            flush();
+        }
+        const laneEnds = [];
+        group.forEach((other) => {
+            laneEnds[other.lane] = Math.max(laneEnds[other.lane] || 0, other.end);
+        });
+        let lane = 0;
+        while (laneEnds[lane] !== undefined && laneEnds[lane] >= course.start) {
+            lane++;
+        }
+        course.lane = lane;
+        groupEnd = group.length > 0 ? Math.max(groupEnd, course.end) : course.end;
+        group.push(course);
+    });
+    if (group.length > 0) {
+        flush();
+    }
+}
+
+/**
+ * 整理课表数据
+ * @param {object} body - timetable 请求体
+ * @returns {object} sections（[{ index, start, end, label }]，行数覆盖所有课程）、
+ *                   courses（[{ weekday, start, end, name, location, teacher, weeks, time,
+ *                   active, conflict, lane, lanes }]）与本周课程数
+ */
+function buildTimetable({ sections, week, courses = [], show_inactive: showInactive = false }) {
+    const schedule = sections && sections.length > 0 ? sections : DEFAULT_SECTIONS;
+
+    const items = courses.map((course) => {
+        const [start, end] = courseSpan(course);
+        const weeks = courseWeeks(course);
+        return {
+            weekday: course.weekday || 1,
+            start,
+            end,
+            name: course.course_name || '未知课程',
+            location: course.location || '',
+            teacher: course.teacher || '',
+            weeks: course.weeks_raw || '',
+            active: !week || !weeks || weeks.includes(week),
+            conflict: false
+        };
+    });
+
+    const rowCount = Math.max(schedule.length, ...items.map((item) => item.end));
+    const rows = Array.from({ length: rowCount }, (_, i) => ({
+        index: i + 1,
+        start: schedule[i] ? schedule[i].start || '' : '',
+        end: schedule[i] ? schedule[i].end || '' : '',
+        label: (schedule[i] && schedule[i].label) || String(i + 1)
+    }));
+
+    items.forEach((item) => {
+        const first = rows[item.start - 1];
+        const last = rows[item.end - 1];
+        item.time = first.start && last.end ? `${first.start}-${last.end}` : '';
+    });
+
+    // 本周上课的课程之间检查时间重叠
+    const active = items.filter((item) => item.active);
+    active.forEach((item, i) => {
+        active.slice(i + 1).forEach((other) => {
+            if (item.weekday === other.weekday && item.start <= other.end && other.start <= item.end) {
+                item.conflict = true;
+                other.conflict = true;
+            }
+        });
+    });
+
+    const shown = showInactive ? items : active;
+    for (let weekday = 1; weekday <= 7; weekday++) {
+        assignLanes(shown.filter((item) => item.weekday === weekday));
+    }
+
+    return {
+        sections: rows,
+        courses: shown,
+        courseCount: active.length,
+        conflictCount: active.filter((item) => item.conflict).length
+    };
+}
+
+module.exports = {
+    DEFAULT_SECTIONS,
+    MAX_WEEK,
+    parseWeeks,
+    formatWeeks,
+    courseSpan,
+    courseWeeks,
+    buildTimetable
+};
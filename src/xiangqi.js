@@ -0,0 +1,413 @@
+/**
+ * 中国象棋规则与记谱：FEN 局面、ICCS / 中文纵线着法、将军判断
+ *
+ * 棋盘为 90 个元素的一维数组，index = row * 9 + col，row 0 为红方底线，col 0 为红方左侧（ICCS 的 a 列），
+ * 元素为颜色（R / B）+ 兵种：K 帅将、A 仕士、E 相象、H 马、C 车、N 炮、S 兵卒（与 xiangqi.ejs 一致）
+ */
+
+const INITIAL_FEN = 'rnbakabnr/9/1c5c1/p1p1p1p1p/9/9/P1P1P1P1P/1C5C1/9/RNBAKABNR w - - 0 1';
+
+// FEN 字母 -> 兵种（兼容 h / e 写法）
+const FEN_PIECES = { k: 'K', a: 'A', b: 'E', e: 'E', n: 'H', h: 'H', r: 'C', c: 'N', p: 'S' };
+
+// 记谱用的棋子名称
+const PIECE_NAMES = {
+    R: { K: '帅', A: '仕', E: '相', H: '马', C: '车', N: '炮', S: '兵' },
+    B: { K: '将', A: '士', E: '象', H: '马', C: '车', N: '炮', S: '卒' }
+};
+
+// 解析中文着法时的棋子名称（含繁体与异体写法）
+const NAME_TYPES = {
+    帅: 'K', 帥: 'K', 将: 'K', 將: 'K',
+    仕: 'A', 士: 'A',
+    相: 'E', 象: 'E',
+    马: 'H', 馬: 'H', 傌: 'H',
+    车: 'C', 車: 'C', 俥: 'C',
+    炮: 'N', 砲: 'N', 包: 'N',
+    兵: 'S', 卒: 'S'
+};
+
+// 红方用中文数字，黑方用阿拉伯数字
+const RED_NUMERALS = '一二三四五六七八九';
+const BLACK_NUMERALS = '123456789';
+const FULLWIDTH_NUMERALS = '１２３４５６７８９';
+
+// 进退时目标为步数的兵种（其余为目标纵线）
+const STRAIGHT_TYPES = ['K', 'C', 'N', 'S'];
+
+function notationError(path, message) {
+    const error = new Error(message);
+    error.xiangqi = true;
+    error.path = path;
+    return error;
+}
+
+function opponent(color) {
+    return color === 'R' ? 'B' : 'R';
+}
+
+function sideName(color) {
+    return color === 'R' ? '红方' : '黑方';
+}
+
+const rowOf = (index) => Math.floor(index / 9);
+const colOf = (index) => index % 9;
+
+// 前进方向：红方向上（row 增大），黑方向下
+const forward = (color) => (color === 'R' ? 1 : -1);
+
+function inPalace(color, row, col) {
+    return col >= 3 && col <= 5 && (color === 'R' ? row <= 2 : row >= 7);
+}
+
+/**
+ * 同一直线上两点之间的棋子数
+ */
+function countBetween(board, from, to) {
+    const step = rowOf(from) === rowOf(to) ? Math.sign(to - from) : Math.sign(to - from) * 9;
+    let count = 0;
+    for (let index = from + step; index !== to; index += step) {
+        if (board[index]) count++;
+    }
+    return count;
+}
+
+/**
+ * 按兵种走法判断 from 能否走到 to（不检查走子后己方是否被将军）
+ * 帅将同列且中间无子时视为可以吃掉对方的帅将，用于判断"对脸"
+ */
+function canMove(board, from, to) {
+    const piece = board[from];
+    if (!piece || from === to || to < 0 || to >= 90) {
+        return false;
+    }
+    const color = piece[0];
+    const target = board[to];
+    if (target && target[0] === color) {
+        return false;
+    }
+
+    const [row, col] = [rowOf(from), colOf(from)];
+    const dr = rowOf(to) - row;
+    const dc = colOf(to) - col;
+    const straight = dr === 0 || dc === 0;
+
+    switch (piece[1]) {
+        case 'C':
+            return straight && countBetween(board, from, to) === 0;
+        case 'N':
+            return straight && countBetween(board, from, to) === (target ? 1 : 0);
+        case 'H':
+            if (Math.abs(dr) === 2 && Math.abs(dc) === 1) {
+                return !board[from + (dr / 2) * 9];
+            }
+            if (Math.abs(dr) === 1 && Math.abs(dc) === 2) {
+                return !board[from + dc / 2];
+            }
+            return false;
+        case 'E':
+            return Math.abs(dr) === 2 && Math.abs(dc) === 2
+                && !board[from + (dr / 2) * 9 + dc / 2]
+                && (color === 'R' ? row + dr <= 4 : row + dr >= 5);
+        case 'A':
+            return Math.abs(dr) === 1 && Math.abs(dc) === 1 && inPalace(color, row + dr, col + dc);
+        case 'K':
+            if (target && target[1] === 'K' && dc === 0) {
+                return countBetween(board, from, to) === 0;
+            }
+            return Math.abs(dr) + Math.abs(dc) === 1 && inPalace(color, row + dr, col + dc);
+        case 'S': {
+            if (dc === 0) {
+                return dr === forward(color);
+            }
+            const crossed = color === 'R' ? row >= 5 : row <= 4;
+            return crossed && dr === 0 && Math.abs(dc) === 1;
+        }
+        default:
+            return false;
+    }
+}
+
+/**
+ * color 一方的帅将是否正被将军
+ */
+function isInCheck(board, color) {
+    const king = board.indexOf(`${color}K`);
+    if (king === -1) {
+        return false;
+    }
+    return board.some((piece, index) => piece && piece[0] !== color && canMove(board, index, king));
+}
+
+/**
+ * 解析 FEN
+ * @param {string} fen - 如 rnbakabnr/9/1c5c1/... w - - 0 1（首行为黑方底线）
+ * @returns {{ board: string[], turn: string, round: number }}
+ * @throws {Error} 格式错误（error.path 为 'fen'）
+ */
+function parseFen(fen) {
+    const fields = String(fen).trim().split(/\s+/);
+    const ranks = fields[0].split('/');
+    if (ranks.length !== 10) {
+        throw notationError('fen', `FEN 需包含 10 行，实际为 ${ranks.length} 行`);
+    }
+
+    const board = Array(90).fill('');
+    ranks.forEach((rank, i) => {
+        const row = 9 - i;
+        let col = 0;
+        for (const char of rank) {
+            if (/[1-9]/.test(char)) {
+                col += Number(char);
+                continue;
+            }
+            const type = FEN_PIECES[char.toLowerCase()];
+            if (!type) {
+                throw notationError('fen', `无法识别的棋子 "${char}"`);
+            }
+            if (col < 9) {
+                board[row * 9 + col] = (char === char.toUpperCase() ? 'R' : 'B') + type;
+            }
+            col++;
+        }
+        if (col !== 9) {
+            throw notationError('fen', `第 ${i + 1} 行应为 9 列，实际为 ${col} 列`);
+        }
+    });
+
+    const side = (fields[1] || 'w').toLowerCase();
+    if (!['w', 'r', 'b'].includes(side)) {
+        throw notationError('fen', `行棋方应为 w 或 b，实际为 "${fields[1]}"`);
+    }
+    const round = parseInt(fields[5], 10);
+    return {
+        board,
+        turn: side === 'b' ? 'B' : 'R',
+        round: round > 0 ? round : 1
+    };
+}
+
+/**
+ * 纵线序号（从行棋方的右侧数起，1-9）<-> 列
+ */
+function fileToCol(color, file) {
+    return color === 'R' ? 9 - file : file - 1;
+}
+
+function colToFile(color, col) {
+    return color === 'R' ? 9 - col : col + 1;
+}
+
+function formatNumber(color, value) {
+    return (color === 'R' ? RED_NUMERALS : BLACK_NUMERALS)[value - 1];
+}
+
+function parseNumber(char) {
+    for (const numerals of [RED_NUMERALS, BLACK_NUMERALS, FULLWIDTH_NUMERALS]) {
+        const index = numerals.indexOf(char);
+        if (index !== -1) return index + 1;
+    }
+    return null;
+}
+
+/**
+ * 某一纵线上的指定棋子，按从前到后排序（红方 row 大者在前，黑方 row 小者在前）
+ */
+function filePieces(board, piece, col) {
+    const pieces = [];
+    for (let row = 0; row < 10; row++) {
+        if (board[row * 9 + col] === piece) pieces.push(row * 9 + col);
+    }
+    return piece[0] === 'R' ? pieces.reverse() : pieces;
+}
+
+/**
+ * 着法 -> 中文纵线记谱（如 炮二平五、马8进7、前车进一）
+ * @param {string[]} board - 走子前的棋盘
+ */
+function formatMove(board, from, to) {
+    const piece = board[from];
+    const color = piece[0];
+    const type = piece[1];
+    const name = PIECE_NAMES[color][type];
+
+    let prefix;
+    const pieces = filePieces(board, piece, colOf(from));
+    if (pieces.length === 1) {
+        prefix = name + formatNumber(color, colToFile(color, colOf(from)));
+    } else {
+        const position = pieces.indexOf(from);
+        const order = position === 0 ? '前' : (position === pieces.length - 1 ? '后' : '中');
+        prefix = order + name;
+    }
+
+    const dr = (rowOf(to) - rowOf(from)) * forward(color);
+    const toFile = colToFile(color, colOf(to));
+    if (dr === 0) {
+        return `${prefix}平${formatNumber(color, toFile)}`;
+    }
+    const target = STRAIGHT_TYPES.includes(type) ? Math.abs(dr) : toFile;
+    return `${prefix}${dr > 0 ? '进' : '退'}${formatNumber(color, target)}`;
+}
+
+/**
+ * 按中文动作计算目标位置，走法不成立时返回 -1
+ */
+function destination(color, type, from, action, target) {
+    const [row, col] = [rowOf(from), colOf(from)];
+    if (action === '平') {
+        return row * 9 + fileToCol(color, target);
+    }
+    const sign = (action === '进' ? 1 : -1) * forward(color);
+    if (STRAIGHT_TYPES.includes(type)) {
+        const toRow = row + sign * target;
+        return toRow >= 0 && toRow <= 9 ? toRow * 9 + col : -1;
+    }
+    const toCol = fileToCol(color, target);
+    const dc = Math.abs(toCol - col);
+    const steps = { H: { 1: 2, 2: 1 }, E: { 2: 2 }, A: { 1: 1 } }[type][dc];
+    const toRow = row + sign * (steps || 0);
+    return steps && toRow >= 0 && toRow <= 9 ? toRow * 9 + toCol : -1;
+}
+
+/**
+ * 解析中文纵线着法（炮二平五、马8进7、前炮退二、中兵进一）
+ */
+function parseChinese(board, turn, notation, path) {
+    const chars = Array.from(notation.replace(/\s+/g, ''));
+    const invalid = () => notationError(path, `无法识别的着法 "${notation}"`);
+    if (chars.length !== 4) {
+        throw invalid();
+    }
+
+    const [first, second, action, targetChar] = chars;
+    const target = parseNumber(targetChar);
+    if (!['进', '退', '平'].includes(action) || !target) {
+        throw invalid();
+    }
+
+    let type;
+    let candidates;
+    if ('前中后'.includes(first)) {
+        // 同一纵线上有多个同兵种棋子：前、中、后
+        type = NAME_TYPES[second];
+        if (!type) throw invalid();
+        const columns = [];
+        for (let col = 0; col < 9; col++) {
+            const pieces = filePieces(board, turn + type, col);
+            if (pieces.length > 1) columns.push(pieces);
+        }
+        candidates = columns.map((pieces) => {
+            if (first === '前') return pieces[0];
+            if (first === '后') return pieces[pieces.length - 1];
+            return pieces.length === 3 ? pieces[1] : -1;
+        }).filter((index) => index !== -1);
+    } else {
+        type = NAME_TYPES[first];
+        const file = parseNumber(second);
+        if (!type || !file) throw invalid();
+        candidates = filePieces(board, turn + type, fileToCol(turn, file));
+    }
+
+    const moves = candidates
+        .map((from) => ({ from, to: destination(turn, type, from, action, target) }))
+        .filter(({ from, to }) => to !== -1 && canMove(board, from, to));
+    if (moves.length === 0) {
+        throw notationError(path, `${sideName(turn)}无法走出 "${notation}"`);
+    }
+    if (moves.length > 1) {
+        throw notationError(path, `着法 "${notation}" 有歧义，请使用 ICCS 坐标`);
+    }
+    return moves[0];
+}
+
+/**
+ * 解析着法：ICCS 坐标（h2e2 / h2-e2）或中文纵线记谱
+ * @returns {{ from: number, to: number }}
+ * @throws {Error} 无法识别、不轮到该方或不符合走法（error.path 为传入的 path）
+ */
+function parseMove(board, turn, notation, path) {
+    const iccs = /^([a-i])([0-9])-?([a-i])([0-9])$/i.exec(String(notation).trim());
+    if (!iccs) {
+        return parseChinese(board, turn, String(notation), path);
+    }
+
+    const point = (file, rank) => Number(rank) * 9 + file.toLowerCase().charCodeAt(0) - 97;
+    const from = point(iccs[1], iccs[2]);
+    const to = point(iccs[3], iccs[4]);
+    const piece = board[from];
+    if (!piece) {
+        throw notationError(path, `${iccs[1]}${iccs[2]} 没有棋子`);
+    }
+    if (piece[0] !== turn) {
+        throw notationError(path, `轮到${sideName(turn)}走棋`);
+    }
+    if (!canMove(board, from, to)) {
+        throw notationError(path, `${notation} 不符合${PIECE_NAMES[turn][piece[1]]}的走法`);
+    }
+    return { from, to };
+}
+
+/**
+ * 走一步棋
+ * @returns {{ board: string[], text: string, check: boolean }} 走子后的棋盘、中文记谱与是否将军
+ */
+function playMove(board, from, to) {
+    const text = formatMove(board, from, to);
+    const next = board.slice();
+    next[to] = next[from];
+    next[from] = '';
+    return { board: next, text, check: isInCheck(next, opponent(board[from][0])) };
+}
+
+/**
+ * 由 FEN（或给定棋盘）与着法列表推演局面
+ * @param {object} options
+ * @param {string} options.fen - 起始局面，未给出时使用 board 或开局局面
+ * @param {string[]} options.board - 起始棋盘（fen 未给出时使用）
+ * @param {string} options.turn - board 对应的行棋方
+ * @param {string[]} options.moves - ICCS 或中文着法
+ * @returns {object} board、current_turn、move_count（回合数）、last_move、in_check、
+ *                   history（[{ round, side, text, check }]）
+ * @throws {Error} FEN 或着法无效（error.xiangqi 为 true，error.path 指明字段）
+ */
+function replayMoves({ fen, board, turn = 'R', moves = [] }) {
+    const start = fen || !board ? parseFen(fen || INITIAL_FEN) : { board, turn, round: 1 };
+    let current = start.board;
+    let side = start.turn;
+    let round = start.round;
+    let lastMove = null;
+    const history = [];
+
+    moves.forEach((notation, index) => {
+        const { from, to } = parseMove(current, side, notation, `moves[${index}]`);
+        const { board: next, text, check } = playMove(current, from, to);
+        history.push({ round, side, text, check });
+        current = next;
+        lastMove = { from, to };
+        if (side === 'B') round++;
+        side = opponent(side);
+    });
+
+    return {
+        board: current,
+        current_turn: side,
+        // 已走完的回合数，黑方刚走完时为当前回合
+        move_count: side === 'R' ? round - 1 : round,
+        last_move: lastMove,
+        in_check: isInCheck(current, side),
+        history
+    };
+}
+
+module.exports = {
+    INITIAL_FEN,
+    opponent,
+    canMove,
+    isInCheck,
+    parseFen,
+    parseMove,
+    formatMove,
+    playMove,
+    replayMoves
+};
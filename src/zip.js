@@ -0,0 +1,82 @@
+// DOS 时间格式的固定时间戳（1980-01-01 00:00），保证相同内容得到相同文件
+const DOS_TIME = 0;
+const DOS_DATE = (1 << 5) | 1;
+
+// 通用标志位 bit 11：文件名为 UTF-8
+const FLAG_UTF8 = 0x0800;
+
+// CRC-32（多项式 0xEDB88320）查找表，ZIP 与 PNG 共用；zlib.crc32 需 Node 20.15+，这里自行计算
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(data) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) {
+        crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * 打包 ZIP（仅存储，不压缩：图片本身已压缩）
+ * @param {Array<{ name: string, data: Buffer }>} files
+ * @returns {Buffer}
+ */
+function createZip(files) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    files.forEach(({ name, data }) => {
+        const nameBuffer = Buffer.from(name, 'utf-8');
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(FLAG_UTF8, 6);
+        local.writeUInt16LE(0, 8);
+        local.writeUInt16LE(DOS_TIME, 10);
+        local.writeUInt16LE(DOS_DATE, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(nameBuffer.length, 26);
+        local.writeUInt16LE(0, 28);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(FLAG_UTF8, 8);
+        central.writeUInt16LE(0, 10);
+        central.writeUInt16LE(DOS_TIME, 12);
+        central.writeUInt16LE(DOS_DATE, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(nameBuffer.length, 28);
+        central.writeUInt32LE(offset, 42);
+
+        locals.push(local, nameBuffer, data);
+        centrals.push(central, nameBuffer);
+        offset += local.length + nameBuffer.length + data.length;
+    });
+
+    const centralSize = centrals.reduce((sum, buffer) => sum + buffer.length, 0);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(centralSize, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...locals, ...centrals, end]);
+}
+
+module.exports = { createZip, crc32 };
@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { decodePng, encodeAnimation } = require('../src/animation');
+const { crc32 } = require('../src/zip');
+
+function chunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+// 按 pixel(x, y) -> [r, g, b, a] 生成 RGBA PNG，各行依次使用 0-4 号滤波
+function png(width, height, pixel) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8;
+    header[9] = 6;
+    const stride = width * 4;
+    const rows = Array.from({ length: height }, (_, y) => Buffer.from(
+        Array.from({ length: width }, (_, x) => pixel(x, y)).flat()
+    ));
+    const raw = Buffer.alloc((stride + 1) * height);
+    rows.forEach((row, y) => {
+        const filter = y % 5;
+        const prev = y > 0 ? rows[y - 1] : Buffer.alloc(stride);
+        raw[y * (stride + 1)] = filter;
+        for (let i = 0; i < stride; i++) {
+            const a = i >= 4 ? row[i - 4] : 0;
+            const b = prev[i];
+            const c = i >= 4 ? prev[i - 4] : 0;
+            const p = a + b - c;
+            const paeth = Math.abs(p - a) <= Math.abs(p - b) && Math.abs(p - a) <= Math.abs(p - c)
+                ? a : (Math.abs(p - b) <= Math.abs(p - c) ? b : c);
+            const predictor = [0, a, b, (a + b) >> 1, paeth][filter];
+            raw[y * (stride + 1) + 1 + i] = (row[i] - predictor) & 0xff;
+        }
+    });
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        chunk('IHDR', header),
+        chunk('IDAT', zlib.deflateSync(raw)),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+// 解析 PNG / APNG 的块，同时校验 CRC
+function chunks(buffer) {
+    const result = [];
+    for (let offset = 8; offset < buffer.length;) {
+        const length = buffer.readUInt32BE(offset);
+        const body = buffer.subarray(offset + 4, offset + 8 + length);
+        assert.equal(buffer.readUInt32BE(offset + 8 + length), crc32(body));
+        result.push({ type: body.toString('latin1', 0, 4), data: body.subarray(4) });
+        offset += length + 12;
+    }
+    return result;
+}
+
+const gradient = (x, y) => [x * 40, y * 30, (x + y) * 10, 255];
+
+test('解码各种滤波的 PNG 为 RGBA 像素', () => {
+    const { width, height, pixels } = decodePng(png(5, 6, gradient));
+    assert.equal(width, 5);
+    assert.equal(height, 6);
+    for (let y = 0; y < 6; y++) {
+        for (let x = 0; x < 5; x++) {
+            const [r, g, b, a] = gradient(x, y);
+            assert.equal(pixels[y * 5 + x], (r | (g << 8) | (b << 16) | (a << 24)) >>> 0);
+        }
+    }
+});
+
+test('非 PNG 或不支持的帧报错', () => {
+    assert.throws(() => decodePng(Buffer.from('GIF89a')), /not a PNG/);
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(1, 0);
+    header.writeUInt32BE(1, 4);
+    header[8] = 16;
+    header[9] = 6;
+    const signature = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+    assert.throws(() => decodePng(Buffer.concat([signature, chunk('IHDR', header)])), /Unsupported PNG frame/);
+});
+
+test('GIF 包含循环扩展、每帧一个图像块，相同帧合并', () => {
+    const first = png(4, 4, gradient);
+    const second = png(4, 4, (x, y) => (x === 2 && y === 1 ? [255, 0, 0, 255] : gradient(x, y)));
+    const { buffer, width, height } = encodeAnimation('gif', [
+        { buffer: first, delay: 100 },
+        { buffer: first, delay: 100 },
+        { buffer: second, delay: 300 }
+    ]);
+    assert.equal(width, 4);
+    assert.equal(height, 4);
+    assert.equal(buffer.toString('latin1', 0, 6), 'GIF89a');
+    assert.equal(buffer.readUInt16LE(6), 4);
+    assert.ok(buffer.includes(Buffer.from('NETSCAPE2.0', 'latin1')));
+    assert.equal(buffer[buffer.length - 1], 0x3b);
+
+    // 图形控制扩展：前两帧合并为 200ms，第二帧只编码变化的像素
+    const controls = [];
+    for (let i = buffer.indexOf(Buffer.from([0x21, 0xf9, 0x04])); i !== -1;
+        i = buffer.indexOf(Buffer.from([0x21, 0xf9, 0x04]), i + 1)) {
+        controls.push(i);
+    }
+    assert.equal(controls.length, 2);
+    assert.equal(buffer.readUInt16LE(controls[0] + 4), 20);
+    assert.equal(buffer.readUInt16LE(controls[1] + 4), 30);
+    const descriptor = controls[1] + 8;
+    assert.equal(buffer[descriptor], 0x2c);
+    assert.deepEqual([1, 3, 5, 7].map((offset) => buffer.readUInt16LE(descriptor + offset)), [2, 1, 1, 1]);
+});
+
+test('APNG 块顺序、CRC 与帧控制正确，首帧可按 PNG 解码', () => {
+    const frames = [
+        { buffer: png(3, 2, gradient), delay: 500 },
+        { buffer: png(3, 2, (x, y) => (y === 1 ? [0, 0, 0, 255] : gradient(x, y))), delay: 800 }
+    ];
+    const { buffer } = encodeAnimation('apng', frames, { loop: 2 });
+    const list = chunks(buffer);
+    assert.deepEqual(list.map((item) => item.type), ['IHDR', 'acTL', 'fcTL', 'IDAT', 'fcTL', 'fdAT', 'IEND']);
+    assert.equal(list[0].data[9], 2);
+    assert.equal(list[1].data.readUInt32BE(0), 2);
+    assert.equal(list[1].data.readUInt32BE(4), 2);
+    assert.deepEqual([0, 4, 8, 12, 16].map((offset) => list[4].data.readUInt32BE(offset)), [1, 3, 1, 0, 1]);
+    assert.equal(list[4].data.readUInt16BE(20), 800);
+    assert.equal(list[5].data.readUInt32BE(0), 2);
+
+    const still = decodePng(buffer);
+    assert.equal(still.pixels[4], decodePng(frames[0].buffer).pixels[4]);
+});
+
+test('尺寸不同的帧按最大尺寸合成', () => {
+    const { width, height } = encodeAnimation('gif', [
+        { buffer: png(2, 3, gradient), delay: 100 },
+        { buffer: png(4, 2, gradient), delay: 100 }
+    ]);
+    assert.equal(width, 4);
+    assert.equal(height, 3);
+});
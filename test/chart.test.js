@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { renderChart, summarizeSeries, formatValue } = require('../src/chart');
+const { validate } = require('../src/schema');
+const schemas = require('../src/schemas');
+
+test('各类型图表输出指定尺寸的 SVG', () => {
+    const series = [{ name: '销量', data: [3, 5, null, 8] }];
+    ['line', 'bar', 'pie', 'sparkline'].forEach((type) => {
+        const svg = renderChart({ type, labels: ['一', '二', '三', '四'], series }, { width: 320, height: 200 });
+        assert.match(svg, /^<svg[^>]*width="320"[^>]*height="200"/, type);
+        assert.match(svg, /<\/svg>$/, type);
+    });
+});
+
+test('缺省类型为折线图，高度取该类型默认值', () => {
+    const svg = renderChart({ series: [{ data: [1, 2] }] }, { width: 300.4 });
+    assert.match(svg, /width="300"/);
+    assert.match(svg, /height="260"/);
+    assert.match(svg, /<path|<polyline/);
+});
+
+test('标签与序列名转义后写入 SVG', () => {
+    const svg = renderChart({
+        type: 'bar',
+        labels: ['<b>'],
+        series: [{ name: 'a&b', data: [1] }],
+        show_legend: true
+    }, { width: 300 });
+    assert.ok(!svg.includes('<b>'));
+    assert.ok(svg.includes('&lt;b&gt;'));
+    assert.ok(svg.includes('a&amp;b'));
+});
+
+test('序列摘要跳过空值，首值为 0 时不计算涨跌幅', () => {
+    assert.deepEqual(summarizeSeries([null, 10, 15, 12.5]), { last: 12.5, max: 15, min: 10, change: 2.5, change_pct: 25 });
+    assert.equal(summarizeSeries([0, 3]).change_pct, null);
+    assert.equal(summarizeSeries([null, undefined]), null);
+});
+
+test('数值按千分位与小数位格式化', () => {
+    assert.equal(formatValue(12345.678), '12,345.68');
+    assert.equal(formatValue(3, '元', 2), '3.00元');
+});
+
+test('图表参数无效时返回字段错误', () => {
+    const paths = (body) => validate(schemas.chart, body).errors.map((error) => error.path);
+    assert.deepEqual(paths({ series: [{ data: [1, 2] }] }), []);
+    assert.ok(paths({}).includes('series'));
+    assert.ok(paths({ type: 'radar', series: [{ data: [1] }] }).includes('type'));
+    assert.ok(paths({ series: [{ data: [1], color: 'red;x:1' }] }).includes('series[0].color'));
+    assert.ok(paths({ y_min: 5, y_max: 1, series: [{ data: [1] }] }).includes('y_max'));
+    assert.ok(paths({ type: 'pie', labels: ['a'], series: [{ data: [1, 2] }] }).includes('labels'));
+});
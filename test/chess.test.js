@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const chess = require('../src/chess');
+
+const at = (square) => chess.parseSquare(square);
+
+test('开局局面有 20 个合法着法', () => {
+    assert.equal(chess.legalMoves(chess.parseFen(chess.INITIAL_FEN)).length, 20);
+});
+
+test('重放 PGN 并判断将杀', () => {
+    const data = chess.replayGame({ pgn: '1. e4 e5 2. Qh5 Nc6 3. Bc4 Nf6 4. Qxf7#' });
+    assert.deepEqual(data.history.map((entry) => entry.text), ['e4', 'e5', 'Qh5', 'Nc6', 'Bc4', 'Nf6', 'Qxf7#']);
+    assert.equal(data.current_turn, 'B');
+    assert.equal(data.in_check, true);
+    assert.equal(data.is_finished, true);
+    assert.equal(data.winner, 'W');
+    assert.equal(data.result_text, '将杀');
+    assert.deepEqual(data.last_move, { from: 'h5', to: 'f7' });
+    assert.deepEqual(chess.capturedMaterial(data.board), { captured_white: [], captured_black: ['P'], material_diff: 1 });
+});
+
+test('PGN 忽略注释、变着与 NAG，读取标签与结果', () => {
+    const pgn = '[White "Morphy"]\n[Black "Duke"]\n[Event "Paris"]\n\n1. e4 {开局} e5 (1... c5 2. Nf3) 2. Nf3 $1 Nc6 ; 注释\n1-0';
+    const record = chess.parsePgn(pgn);
+    assert.deepEqual(record.moves, ['e4', 'e5', 'Nf3', 'Nc6']);
+    assert.equal(record.result, '1-0');
+
+    const data = chess.replayGame({ pgn });
+    assert.equal(data.white_player_name, 'Morphy');
+    assert.equal(data.black_player_name, 'Duke');
+    assert.equal(data.event, 'Paris');
+    assert.equal(data.winner, 'W');
+    assert.equal(data.result_text, '1-0');
+
+    const partial = chess.replayGame({ pgn, ply: 2 });
+    assert.equal(partial.move_count, 1);
+    assert.equal(partial.current_turn, 'W');
+    assert.equal(partial.is_finished, false);
+});
+
+test('王车易位、吃过路兵与升变', () => {
+    const castled = chess.replayGame({ fen: 'r3k2r/8/8/8/8/8/8/R3K2R w KQkq - 0 1', pgn: '1. O-O 0-0-0' });
+    assert.deepEqual(castled.history.map((entry) => entry.text), ['O-O', 'O-O-O']);
+    assert.deepEqual([castled.board[at('g1')], castled.board[at('f1')]], ['WK', 'WR']);
+    assert.deepEqual([castled.board[at('c8')], castled.board[at('d8')]], ['BK', 'BR']);
+
+    const enPassant = chess.replayGame({ pgn: '1. e4 a6 2. e5 d5 3. exd6' });
+    assert.equal(enPassant.board[at('d5')], '');
+    assert.equal(enPassant.board[at('d6')], 'WP');
+    assert.equal(enPassant.history[4].text, 'exd6');
+
+    const promoted = chess.replayGame({ fen: '8/P6k/8/8/8/8/8/K7 w - - 0 1', pgn: '1. a8=Q' });
+    assert.equal(promoted.board[at('a8')], 'WQ');
+    const underpromoted = chess.replayGame({ fen: '8/P6k/8/8/8/8/8/K7 w - - 0 1', pgn: '1. a7a8n' });
+    assert.equal(underpromoted.board[at('a8')], 'WN');
+    assert.equal(underpromoted.history[0].text, 'a8=N');
+});
+
+test('同兵种走到同一格时 SAN 带出发列', () => {
+    const state = chess.parseFen('k7/8/8/8/8/8/8/KN3N2 w - - 0 1');
+    const move = chess.parseMove(state, 'Nbd2');
+    assert.equal(chess.formatSan(state, move), 'Nbd2');
+    assert.throws(() => chess.parseMove(state, 'Nd2'), (error) => error.chess && /有歧义/.test(error.message));
+});
+
+test('逼和', () => {
+    const data = chess.replayGame({ fen: 'k7/8/1Q6/8/8/8/8/7K b - - 0 1' });
+    assert.equal(data.is_finished, true);
+    assert.equal(data.winner, null);
+    assert.equal(data.result_text, '逼和');
+});
+
+test('FEN、PGN 与 ply 无效时抛出 chess 错误并指明字段', () => {
+    const cases = [
+        [{ fen: '8/8/8/8/8/8/8 w - - 0 1' }, 'fen', /需包含 8 行/],
+        [{ fen: '8/8/8/8/8/8/8/K7 w - - 0 1' }, 'fen', /黑方应有且只有一个王/],
+        [{ pgn: '1. e4 {未闭合' }, 'pgn', /注释缺少/],
+        [{ pgn: '1. Ke2' }, 'pgn', /第 1 个半回合：着法 "Ke2" 不合法/],
+        [{ pgn: '1. e4 hello' }, 'pgn', /无法识别的着法/],
+        [{ pgn: '[FEN "bad"]\n1. e4' }, 'pgn', /需包含 8 行/],
+        [{ pgn: '1. e4 e5', ply: 3 }, 'ply', /共 2 个半回合/]
+    ];
+    cases.forEach(([options, path, message]) => {
+        assert.throws(
+            () => chess.replayGame(options),
+            (error) => error.chess === true && error.path === path && message.test(error.message)
+        );
+    });
+});
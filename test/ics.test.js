@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { importCalendar, exportCalendar } = require('../src/ics');
+
+const calendar = (...events) => [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    ...events.flatMap((event) => ['BEGIN:VEVENT', ...event, 'END:VEVENT']),
+    'END:VCALENDAR'
+].join('\r\n');
+
+test('按周重复的事件换算为星期、节次与周次', () => {
+    const ics = calendar(
+        [
+            'UID:a',
+            'DTSTART;TZID=Asia/Shanghai:20240902T080000',
+            'DTEND;TZID=Asia/Shanghai:20240902T094000',
+            'RRULE:FREQ=WEEKLY;COUNT=4',
+            'EXDATE;TZID=Asia/Shanghai:20240909T080000',
+            'SUMMARY:高等数学',
+            'LOCATION:A101',
+            'DESCRIPTION:教师：张三'
+        ],
+        [
+            'UID:b',
+            'DTSTART:20240904T020000Z',
+            'DTEND:20240904T024500Z',
+            'RRULE:FREQ=WEEKLY;INTERVAL=2;COUNT=3',
+            'SUMMARY:大学英语'
+        ]
+    );
+    const courses = importCalendar({ ics, term_start: '2024-09-02', timezone: 'Asia/Shanghai' });
+    assert.equal(courses.length, 2);
+    assert.deepEqual(courses[0], {
+        weekday: 1,
+        section_start: 1,
+        section_end: 2,
+        course_name: '高等数学',
+        location: 'A101',
+        teacher: '张三',
+        weeks: [1, 3, 4],
+        weeks_raw: '1,3-4周'
+    });
+    assert.equal(courses[1].weekday, 3);
+    assert.equal(courses[1].section_start, 3);
+    assert.deepEqual(courses[1].weeks, [1, 3, 5]);
+});
+
+test('导出的日历可以原样导入', () => {
+    const courses = [
+        { weekday: 2, section_start: 3, section_end: 4, course_name: '线性代数; 习题', location: 'B2', weeks: [1, 2, 3, 5] },
+        { weekday: 5, section_start: 5, section_end: 6, course_name: '体育', weeks: [2, 4, 6] }
+    ];
+    const ics = exportCalendar({ courses, term_start: '2024-09-02', title: '测试课表' });
+    assert.match(ics, /^BEGIN:VCALENDAR\r\n/);
+    assert.match(ics, /RRULE:FREQ=WEEKLY;INTERVAL=2;COUNT=3/);
+    assert.match(ics, /EXDATE;TZID=Asia\/Shanghai:20240924T100000/);
+
+    const imported = importCalendar({ ics, term_start: '2024-09-02' });
+    assert.deepEqual(imported.map(({ weekday, section_start, section_end, course_name, weeks }) => (
+        { weekday, section_start, section_end, course_name, weeks }
+    )), [
+        { weekday: 2, section_start: 3, section_end: 4, course_name: '线性代数; 习题', weeks: [1, 2, 3, 5] },
+        { weekday: 5, section_start: 5, section_end: 6, course_name: '体育', weeks: [2, 4, 6] }
+    ]);
+});
+
+test('无效的日历数据与规则报错并给出字段路径', () => {
+    const importError = (options, pattern, path = 'ics') => assert.throws(
+        () => importCalendar(options),
+        (error) => error.ics === true && error.path === path && pattern.test(error.message)
+    );
+    importError({ ics: 'hello' }, /iCalendar/);
+    importError({ ics: calendar(['DTSTART;VALUE=DATE:20240902', 'SUMMARY:假期']) }, /没有找到/);
+    importError({ ics: calendar(['DTSTART:20240902T080000', 'RRULE:FREQ=DAILY']) }, /WEEKLY/);
+    importError({ ics: calendar(['SUMMARY:无时间']) }, /DTSTART/);
+    importError({ ics: calendar(['DTSTART:20240902T080000']), timezone: 'Mars/Base' }, /时区/, 'timezone');
+    importError({ ics: calendar(['DTSTART:20240902T080000']), term_start: '2024/9/2' }, /YYYY-MM-DD/, 'term_start');
+});
+
+test('导出时节次没有时间或日期无效报错', () => {
+    assert.throws(
+        () => exportCalendar({ courses: [], term_start: 'soon' }),
+        (error) => error.ics === true && error.path === 'term_start'
+    );
+    assert.throws(
+        () => exportCalendar({
+            courses: [{ weekday: 1, section_start: 1, section_end: 2, course_name: '晚课' }],
+            term_start: '2024-09-02',
+            sections: [{ start: '08:00', end: '08:45' }, {}]
+        }),
+        (error) => error.ics === true && error.path === 'courses[0].section_end'
+    );
+});
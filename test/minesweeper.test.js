@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { deriveBoard } = require('../src/minesweeper');
+
+// 4x4 棋盘，索引 y * 4 + x，y = 0 为最下面一行
+const board = (model) => deriveBoard({ width: 4, height: 4, ...model });
+
+test('翻开无雷的格子时连锁翻开，全部翻开即获胜', () => {
+    const data = board({ mines: [15], revealed: ['A1'] });
+    assert.equal(data.cells[0], 'empty');
+    assert.deepEqual([10, 11, 14].map((index) => data.cells[index]), ['n1', 'n1', 'n1']);
+    assert.equal(data.cells[15], 'flag');
+    assert.equal(data.is_win, true);
+    assert.equal(data.is_finished, true);
+    assert.equal(data.flags_used, 1);
+});
+
+test('连锁翻开跳过插旗的格子', () => {
+    const data = board({ mines: [15], revealed: [0], flagged: [5] });
+    assert.equal(data.cells[5], 'flag');
+    assert.equal(data.cells[15], 'hidden');
+    assert.equal(data.is_finished, false);
+    assert.equal(data.flags_used, 1);
+});
+
+test('踩雷后显示全部地雷与插错的旗', () => {
+    const data = board({ mines: [0, 15], revealed: ['D4'], flagged: [0, 5] });
+    assert.equal(data.cells[15], 'boom');
+    assert.equal(data.cells[0], 'flag');
+    assert.equal(data.cells[5], 'wrong_flag');
+    assert.equal(data.is_finished, true);
+    assert.equal(data.is_win, false);
+    assert.equal(data.mine_count, 2);
+});
+
+test('调用方判定结束时揭示未插旗的地雷', () => {
+    const data = board({ mines: [15], revealed: [], finished: true });
+    assert.equal(data.cells[15], 'mine');
+    assert.equal(data.is_win, false);
+});
+
+test('位置无效时抛出 minesweeper 错误并指明字段', () => {
+    const cases = [
+        [{ mines: [16] }, 'mines[0]', /超出 4x4 棋盘/],
+        [{ mines: [1], revealed: [0, 'E1'] }, 'revealed[1]', /超出 4x4 棋盘/],
+        [{ mines: [1], flagged: ['hello'] }, 'flagged[0]', /无法识别的坐标/]
+    ];
+    cases.forEach(([model, path, message]) => {
+        assert.throws(() => board(model), (error) => error.minesweeper === true && error.path === path && message.test(error.message));
+    });
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCard, bestHand, evaluateTable } = require('../src/poker');
+
+const hand = (codes) => bestHand(codes.map(parseCard));
+
+test('解析牌面', () => {
+    assert.deepEqual(parseCard('10h'), { code: '10h', rank: 8, suit: 'H' });
+    assert.equal(parseCard('AS').rank, 12);
+    assert.equal(parseCard('1S'), null);
+    assert.equal(parseCard('AX'), null);
+});
+
+test('从七张牌中选出最大的牌型', () => {
+    assert.equal(hand(['AS', 'KS', 'QS', 'JS', 'TS', '2D', '3C']).name, '皇家同花顺');
+    assert.equal(hand(['9H', '8H', '7H', '6H', '5H', 'AH', '2C']).name, '同花顺');
+    assert.equal(hand(['KD', 'KC', 'KH', '4S', '4D', '2H', '9H']).name, '葫芦');
+    assert.equal(hand(['2H', '7H', '9H', 'JH', 'KH', 'KC', 'KD']).name, '同花');
+    assert.equal(hand(['QS', 'QD', '5C', '5H', '9S', '9D', '2C']).name, '两对');
+
+    const wheel = hand(['AS', '2D', '3C', '4H', '5S', 'KD', '9C']);
+    assert.equal(wheel.name, '顺子');
+    assert.deepEqual(wheel.score, [4, 3]);
+    assert.deepEqual(wheel.cards.slice().sort(), ['2D', '3C', '4H', '5S', 'AS']);
+});
+
+test('两对比较第二对与踢脚', () => {
+    const a = hand(['QS', 'QD', '5C', '5H', 'AS']);
+    const b = hand(['QH', 'QC', '5D', '5S', 'KS']);
+    assert.ok(a.score[3] > b.score[3]);
+});
+
+test('全下形成边池：短码赢主池，边池由其余玩家比牌', () => {
+    const data = evaluateTable({
+        is_finished: true,
+        pot: 250,
+        community_cards: ['2C', '7D', '9H', 'JS', 'KD'],
+        players: [
+            { name: 'A', cards: ['AS', 'AH'], contributed: 50 },
+            { name: 'B', cards: ['KS', 'QH'], contributed: 100 },
+            { name: 'C', cards: ['3S', '4S'], contributed: 100 }
+        ]
+    });
+    assert.deepEqual(data.pots, [
+        { amount: 150, winner_names: ['A'] },
+        { amount: 100, winner_names: ['B'] }
+    ]);
+    assert.deepEqual(data.players.map((player) => player.winnings), [150, 100, 0]);
+    assert.deepEqual(data.winner_names, ['A', 'B']);
+    assert.equal(data.players[0].hand, '一对');
+});
+
+test('弃牌玩家的投入留在池中但不参与分配', () => {
+    const data = evaluateTable({
+        is_finished: true,
+        pot: 150,
+        community_cards: ['2C', '7D', '9H', 'JS', 'KD'],
+        players: [
+            { name: 'A', cards: ['AS', 'AH'], contributed: 30, folded: true },
+            { name: 'B', cards: ['KS', 'QH'], contributed: 60 },
+            { name: 'C', cards: ['3S', '4S'], contributed: 60 }
+        ]
+    });
+    assert.deepEqual(data.pots, [{ amount: 150, winner_names: ['B'] }]);
+    assert.deepEqual(data.players[0].best_cards, []);
+});
+
+test('平分底池，余下的筹码按座位顺序分配', () => {
+    const data = evaluateTable({
+        is_finished: true,
+        pot: 101,
+        community_cards: ['AS', 'KS', 'QS', 'JS', 'TS'],
+        players: [
+            { name: 'A', cards: ['2D', '3D'] },
+            { name: 'B', cards: ['2C', '3C'] }
+        ]
+    });
+    assert.deepEqual(data.players.map((player) => player.winnings), [51, 50]);
+    assert.deepEqual(data.winner_names, ['A', 'B']);
+});
+
+test('对局未结束时只判定牌型', () => {
+    const data = evaluateTable({
+        is_finished: false,
+        pot: 40,
+        community_cards: ['2C', '7D', '9H'],
+        players: [{ name: 'A', cards: ['9S', '9D'] }]
+    });
+    assert.equal(data.players[0].hand, '三条');
+    assert.equal(data.players[0].is_winner, false);
+    assert.equal(data.pots, undefined);
+});
+
+test('牌面无法识别或重复时抛出 poker 错误并指明字段', () => {
+    const table = (community, cards) => ({ is_finished: false, community_cards: community, players: [{ name: 'A', cards }] });
+    assert.throws(
+        () => evaluateTable(table(['2C'], ['ZZ'])),
+        (error) => error.poker === true && error.path === 'players[0].cards[0]' && /无法识别的牌/.test(error.message)
+    );
+    assert.throws(
+        () => evaluateTable(table(['2C', '2c'], [])),
+        (error) => error.poker === true && error.path === 'community_cards[1]' && /与 community_cards\[0\] 重复/.test(error.message)
+    );
+});
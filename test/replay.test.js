@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const registry = require('../src/registry');
+const { buildReplay, sampleFrames } = require('../src/replay');
+
+test('按着法逐步推演五子棋并生成副标题', () => {
+    const frames = buildReplay(registry.get('gomoku'), { data: { board_size: 9 }, moves: [40, 41] });
+    assert.equal(frames.length, 3);
+    assert.equal(frames[2].board[40], 'B');
+    assert.equal(frames[2].board[41], 'W');
+    assert.equal(frames[2].last_move, 41);
+    assert.equal(frames[2].subtitle, '第 2 手');
+});
+
+test('非法着法与无效局面为带路径的 400', () => {
+    const failsAt = (body, path) => assert.throws(
+        () => buildReplay(registry.get(body.template), body),
+        (error) => error.status === 400 && error.details[0].path === path
+    );
+    failsAt({ template: 'gomoku', data: { board_size: 9 }, moves: [40, 40] }, 'moves[1]');
+    failsAt({ template: 'gomoku', data: { board_size: 9 }, moves: [81] }, 'moves[0]');
+    failsAt({ template: 'connect4', moves: [3, 9] }, 'moves[1]');
+    failsAt({ template: 'gomoku', data: { board_size: 99 }, moves: [] }, 'data.board_size');
+    failsAt({ template: 'gomoku', states: [{}, { current_turn: 'X' }] }, 'states[1].current_turn');
+});
+
+test('超出帧数上限时均匀抽帧并保留首尾', () => {
+    const frames = Array.from({ length: 10 }, (_, i) => i);
+    assert.deepEqual(sampleFrames(frames, 4), [0, 3, 6, 9]);
+    assert.equal(sampleFrames(frames, 20), frames);
+});
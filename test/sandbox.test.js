@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const { renderInline } = require('../src/sandbox');
+
+const render = (source, data) => renderInline(source, data, { timeout: 200 });
+
+test('渲染数据并转义输出', () => {
+    assert.equal(render('<p><%= name %></p><%- raw %>', { name: '<b>', raw: '<i>' }), '<p>&lt;b&gt;</p><i>');
+    assert.equal(render('<% items.forEach((n) => { %><%= n * 2 %>,<% }) %>', { items: [1, 2] }), '2,4,');
+});
+
+test('语法错误为 400', () => {
+    assert.throws(() => render('<% if ( %>'), (error) => error.status === 400 && /语法错误/.test(error.message));
+});
+
+test('执行失败为 422', () => {
+    assert.throws(() => render('<%= missing.field %>'), (error) => error.status === 422 && /执行失败/.test(error.message));
+});
+
+test('死循环与自定义 toString 均受超时限制', () => {
+    const timedOut = (error) => error.status === 422 && /超时/.test(error.message);
+    assert.throws(() => render('<% while (true) {} %>'), timedOut);
+    assert.throws(() => render('<%= { toString() { while (true) {} } } %>'), timedOut);
+});
+
+test('微任务中的死循环受超时限制', () => {
+    // 测试运行器在 AsyncResource 中执行用例，微任务超时会破坏 async hook 栈，因此在子进程中执行
+    const script = `
+        const { renderInline } = require(${JSON.stringify(require.resolve('../src/sandbox'))});
+        try {
+            renderInline('<% Promise.resolve().then(function loop() { while (true) {} }) %>', {}, { timeout: 200 });
+        } catch (error) {
+            console.log(error.status, error.message);
+        }`;
+    const { stdout, status } = spawnSync(process.execPath, ['-e', script], { encoding: 'utf-8', timeout: 10000 });
+    assert.equal(status, 0);
+    assert.match(stdout, /^422 .*超时/);
+});
+
+test('上下文中没有宿主对象，不能由字符串生成代码', () => {
+    assert.equal(render('<%= typeof require %>,<%= typeof process %>,<%= typeof Buffer %>'), 'undefined,undefined,undefined');
+    assert.throws(
+        () => render('<%= this.constructor.constructor("return process")() %>'),
+        (error) => error.status === 422
+    );
+    assert.throws(() => render('<%= eval("1") %>'), (error) => error.status === 422);
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseSgf, replaySgf } = require('../src/sgf');
+
+// 9 路棋盘上的位置索引（SGF 坐标左上角为 aa，索引左下角为 0）
+const at = (point) => (8 - (point.charCodeAt(1) - 97)) * 9 + (point.charCodeAt(0) - 97);
+
+test('解析节点、属性与分支', () => {
+    const root = parseSgf('(;GM[1]SZ[9]C[a\\]b];B[ee](;W[cc])(;W[gc]))');
+    assert.deepEqual(root.props.C, ['a]b']);
+    assert.equal(root.children.length, 1);
+    assert.equal(root.children[0].children.length, 2);
+});
+
+test('只读取第一个对局', () => {
+    const root = parseSgf('(;SZ[9];B[aa])(;SZ[13])');
+    assert.deepEqual(root.props.SZ, ['9']);
+});
+
+test('提子后更新棋盘、提子数与手数标记', () => {
+    const data = replaySgf('(;SZ[9];B[aa];W[ba];B[ca];W[ee];B[bb])');
+    assert.equal(data.board[at('ba')], '');
+    assert.equal(data.move_numbers[at('ba')], null);
+    assert.equal(data.move_numbers[at('bb')], 5);
+    assert.equal(data.captured_white, 1);
+    assert.equal(data.captured_black, 0);
+    assert.equal(data.move_count, 5);
+    assert.equal(data.last_move, at('bb'));
+    assert.equal(data.current_turn, 'W');
+});
+
+test('move_number 重放到中途并标记后续分支', () => {
+    const sgf = '(;SZ[9];B[ee](;W[cc];B[gg])(;W[gc]C[变化]))';
+    const data = replaySgf(sgf, { moveNumber: 1 });
+    assert.equal(data.move_count, 1);
+    assert.deepEqual(data.variations, [
+        { index: at('cc'), label: 'A' },
+        { index: at('gc'), label: 'B' }
+    ]);
+
+    const branch = replaySgf(sgf, { variation: [1] });
+    assert.equal(branch.board[at('gc')], 'W');
+    assert.equal(branch.board[at('cc')], '');
+    assert.equal(branch.comment, '变化');
+});
+
+test('摆子支持矩形简写，让子棋白方先行', () => {
+    const data = replaySgf('(;SZ[9]HA[2]AB[cc:dd]PB[甲]PW[乙])');
+    assert.deepEqual(['cc', 'dc', 'cd', 'dd'].map((point) => data.board[at(point)]), ['B', 'B', 'B', 'B']);
+    assert.equal(data.current_turn, 'W');
+    assert.equal(data.black_player_name, '甲');
+    assert.equal(data.player_white_name, '乙');
+});
+
+test('虚着与对局结果', () => {
+    const data = replaySgf('(;SZ[9]RE[B+R];B[ee];W[tt])');
+    assert.equal(data.last_move, null);
+    assert.equal(data.current_turn, 'B');
+    assert.equal(data.is_finished, true);
+    assert.equal(data.winner, 'B');
+    assert.equal(data.result_text, '黑中盘胜');
+});
+
+test('无法解析或不合法的棋谱抛出 sgf 错误', () => {
+    const cases = [
+        ['(;SZ[9];B[ee]))', /多余的 "\)"/],
+        ['(;SZ[9];B[ee]', /缺少 "\)"/],
+        ['(;SZ[7])', /仅支持 9、13、19 路/],
+        ['(;SZ[9];B[zz])', /超出 9 路棋盘/],
+        ['(;SZ[9];B[aa];W[aa])', /第 2 手 .*已有棋子/]
+    ];
+    cases.forEach(([sgf, message]) => {
+        assert.throws(() => replaySgf(sgf), (error) => error.sgf === true && message.test(error.message));
+    });
+});
+
+test('手数或分支超出棋谱时抛出 sgf 错误', () => {
+    const sgf = '(;SZ[9];B[ee](;W[cc])(;W[gc]))';
+    assert.throws(() => replaySgf(sgf, { moveNumber: 5 }), (error) => error.sgf && /共 2 手/.test(error.message));
+    assert.throws(() => replaySgf(sgf, { variation: [2] }), (error) => error.sgf && /只有 2 个分支/.test(error.message));
+});
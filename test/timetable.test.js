@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseWeeks, formatWeeks, courseSpan, buildTimetable } = require('../src/timetable');
+
+test('解析周次范围、列表与单双周', () => {
+    assert.deepEqual(parseWeeks('1-4周'), [1, 2, 3, 4]);
+    assert.deepEqual(parseWeeks('1-8周(单)'), [1, 3, 5, 7]);
+    assert.deepEqual(parseWeeks('2-8双周'), [2, 4, 6, 8]);
+    assert.deepEqual(parseWeeks('1,3，5周'), [1, 3, 5]);
+    assert.deepEqual(parseWeeks('1-3,6~7周'), [1, 2, 3, 6, 7]);
+    assert.deepEqual(parseWeeks('第3周'), [3]);
+    assert.equal(parseWeeks('双周').length, 30);
+    assert.equal(parseWeeks('双周')[0], 2);
+});
+
+test('无法解析或超出 1-60 周时返回 null', () => {
+    ['', '每周', '1-3000000周', '0-3周', '61周', '1-8周,99'].forEach((raw) => {
+        assert.equal(parseWeeks(raw), null, raw);
+    });
+});
+
+test('周次列表格式化为文本，与解析互逆', () => {
+    assert.equal(formatWeeks([1, 3, 5, 7]), '1-7周(单)');
+    assert.equal(formatWeeks([1, 2, 3, 5]), '1-3,5周');
+    assert.equal(formatWeeks([4]), '4周');
+    assert.equal(formatWeeks([]), '');
+    [[2, 4, 6, 8], [1, 2, 3, 9, 10], [5, 7]].forEach((weeks) => {
+        assert.deepEqual(parseWeeks(formatWeeks(weeks)), weeks);
+    });
+});
+
+test('课程节次：结束节次、节数或默认两节', () => {
+    assert.deepEqual(courseSpan({ section_start: 3, section_end: 5 }), [3, 5]);
+    assert.deepEqual(courseSpan({ section_start: 3, section_count: 3 }), [3, 5]);
+    assert.deepEqual(courseSpan({ section_start: 3 }), [3, 4]);
+    assert.deepEqual(courseSpan({}), [1, 2]);
+});
+
+test('按本周过滤课程并标记冲突', () => {
+    const data = buildTimetable({
+        week: 2,
+        courses: [
+            { weekday: 1, section_start: 1, course_name: '高数', weeks_raw: '1-16周' },
+            { weekday: 1, section_start: 2, course_name: '英语', weeks: [2] },
+            { weekday: 1, section_start: 5, course_name: '物理', weeks_raw: '1-15周(单)' },
+            { weekday: 2, section_start: 1, course_name: '体育' }
+        ]
+    });
+    assert.deepEqual(data.courses.map((course) => course.name), ['高数', '英语', '体育']);
+    assert.equal(data.courseCount, 3);
+    assert.equal(data.conflictCount, 2);
+    assert.deepEqual(data.courses.slice(0, 2).map((course) => [course.lane, course.lanes]), [[0, 2], [1, 2]]);
+    assert.equal(data.courses[0].time, '08:00-09:40');
+});
+
+test('show_inactive 时保留非本周课程，非本周课程不参与冲突', () => {
+    const data = buildTimetable({
+        week: 2,
+        show_inactive: true,
+        courses: [
+            { weekday: 1, section_start: 1, course_name: '高数', weeks: [1] },
+            { weekday: 1, section_start: 1, course_name: '英语', weeks: [2] }
+        ]
+    });
+    assert.deepEqual(data.courses.map((course) => [course.name, course.active, course.conflict]), [
+        ['高数', false, false],
+        ['英语', true, false]
+    ]);
+});
+
+test('自定义节次时间表，课程超出时补齐行数', () => {
+    const data = buildTimetable({
+        sections: [{ start: '08:00', end: '08:40', label: '早' }],
+        courses: [{ weekday: 3, section_start: 1, section_end: 3, course_name: '实验' }]
+    });
+    assert.deepEqual(data.sections.map((section) => section.label), ['早', '2', '3']);
+    assert.equal(data.courses[0].time, '');
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const xiangqi = require('../src/xiangqi');
+
+test('解析开局 FEN', () => {
+    const { board, turn, round } = xiangqi.parseFen(xiangqi.INITIAL_FEN);
+    assert.equal(board[0], 'RC');
+    assert.equal(board[4], 'RK');
+    assert.equal(board[85], 'BK');
+    assert.equal(board[19], 'RN');
+    assert.equal(turn, 'R');
+    assert.equal(round, 1);
+});
+
+test('ICCS 坐标与中文纵线着法得到相同的局面', () => {
+    const iccs = xiangqi.replayMoves({ moves: ['h2e2', 'h9-g7'] });
+    const chinese = xiangqi.replayMoves({ moves: ['炮二平五', '马8进7'] });
+    assert.deepEqual(chinese.board, iccs.board);
+    assert.deepEqual(iccs.history.map((entry) => entry.text), ['炮二平五', '马8进7']);
+    assert.equal(iccs.current_turn, 'R');
+    assert.equal(iccs.move_count, 1);
+    assert.deepEqual(iccs.last_move, { from: 88, to: 69 });
+});
+
+test('同一纵线上的棋子以前、后区分', () => {
+    const fen = '4k4/9/9/9/9/9/9/R8/9/R3K4 w';
+    const front = xiangqi.replayMoves({ fen, moves: ['前车进一'] });
+    assert.deepEqual(front.last_move, { from: 18, to: 27 });
+    assert.equal(front.history[0].text, '前车进一');
+
+    const back = xiangqi.replayMoves({ fen, moves: ['后車进一'] });
+    assert.deepEqual(back.last_move, { from: 0, to: 9 });
+});
+
+test('将军判断', () => {
+    const data = xiangqi.replayMoves({ fen: '3k5/9/9/9/9/9/9/9/9/4K3R w', moves: ['i0i9'] });
+    assert.equal(data.history[0].check, true);
+    assert.equal(data.in_check, true);
+    assert.equal(data.current_turn, 'B');
+});
+
+test('帅将对脸视为将军', () => {
+    const { board } = xiangqi.parseFen('4k4/9/9/9/9/9/9/9/9/4K4 w');
+    assert.equal(xiangqi.isInCheck(board, 'R'), true);
+});
+
+test('FEN 无效时抛出 xiangqi 错误，path 为 fen', () => {
+    ['9/9/9', 'rnbakabnx/9/1c5c1/p1p1p1p1p/9/9/P1P1P1P1P/1C5C1/9/RNBAKABNR w', xiangqi.INITIAL_FEN.replace(' w ', ' x ')].forEach((fen) => {
+        assert.throws(() => xiangqi.replayMoves({ fen }), (error) => error.xiangqi === true && error.path === 'fen');
+    });
+});
+
+test('着法无效时抛出 xiangqi 错误，path 指向该步', () => {
+    const cases = [
+        [['a5a6'], /没有棋子/],
+        [['h7h5'], /轮到红方走棋/],
+        [['a0a5'], /不符合车的走法/],
+        [['炮二走五'], /无法识别的着法/],
+        [['车九进九'], /红方无法走出/],
+        [['h2e2', 'h2e2'], /没有棋子/]
+    ];
+    cases.forEach(([moves, message]) => {
+        assert.throws(
+            () => xiangqi.replayMoves({ moves }),
+            (error) => error.xiangqi === true && error.path === `moves[${moves.length - 1}]` && message.test(error.message)
+        );
+    });
+});
+
+test('多个纵线都符合前、后时提示歧义', () => {
+    assert.throws(
+        () => xiangqi.replayMoves({ fen: '4k4/9/9/9/9/9/9/R7R/9/R3K3R w', moves: ['前车进一'] }),
+        (error) => error.path === 'moves[0]' && /有歧义/.test(error.message)
+    );
+});
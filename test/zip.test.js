@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { createZip, crc32 } = require('../src/zip');
+
+test('CRC-32 与标准值一致', () => {
+    assert.equal(crc32(Buffer.from('123456789')), 0xcbf43926);
+    assert.equal(crc32(Buffer.alloc(0)), 0);
+    const data = Buffer.from(Array.from({ length: 1000 }, (_, i) => (i * 37) & 0xff));
+    if (zlib.crc32) {
+        assert.equal(crc32(data), zlib.crc32(data));
+    }
+});
+
+test('按存储方式打包，本地头、中央目录与结尾记录一致', () => {
+    const files = [
+        { name: '图片.png', data: Buffer.from('first') },
+        { name: 'b.txt', data: Buffer.from('second file') }
+    ];
+    const zip = createZip(files);
+
+    let offset = 0;
+    const offsets = files.map(({ name, data }) => {
+        const start = offset;
+        const nameLength = Buffer.byteLength(name);
+        assert.equal(zip.readUInt32LE(offset), 0x04034b50);
+        assert.equal(zip.readUInt16LE(offset + 6) & 0x0800, 0x0800);
+        assert.equal(zip.readUInt16LE(offset + 8), 0);
+        assert.equal(zip.readUInt32LE(offset + 14), crc32(data));
+        assert.equal(zip.readUInt32LE(offset + 18), data.length);
+        assert.equal(zip.toString('utf-8', offset + 30, offset + 30 + nameLength), name);
+        assert.ok(zip.subarray(offset + 30 + nameLength, offset + 30 + nameLength + data.length).equals(data));
+        offset += 30 + nameLength + data.length;
+        return start;
+    });
+
+    const end = zip.length - 22;
+    assert.equal(zip.readUInt32LE(end), 0x06054b50);
+    assert.equal(zip.readUInt16LE(end + 10), files.length);
+    assert.equal(zip.readUInt32LE(end + 16), offset);
+    assert.equal(zip.readUInt32LE(end + 12), end - offset);
+
+    let central = offset;
+    files.forEach(({ name, data }, index) => {
+        assert.equal(zip.readUInt32LE(central), 0x02014b50);
+        assert.equal(zip.readUInt32LE(central + 16), crc32(data));
+        assert.equal(zip.readUInt32LE(central + 42), offsets[index]);
+        central += 46 + Buffer.byteLength(name);
+    });
+    assert.equal(central, end);
+});
+
+test('相同内容生成相同的 ZIP', () => {
+    const files = [{ name: 'a.png', data: Buffer.from([1, 2, 3]) }];
+    assert.ok(createZip(files).equals(createZip(files)));
+    assert.equal(createZip([]).length, 22);
+});